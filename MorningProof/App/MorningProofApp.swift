@@ -3,6 +3,19 @@ import SwiftData
 import Combine
 import SuperwallKit
 import FirebaseCore
+import FirebaseAppCheck
+
+/// App Check attestation for Cloud Functions calls: App Attest on devices,
+/// the debug provider in the simulator (register its token in the Firebase console)
+final class MorningProofAppCheckProviderFactory: NSObject, AppCheckProviderFactory {
+    func createProvider(with app: FirebaseApp) -> AppCheckProvider? {
+        #if targetEnvironment(simulator)
+        return AppCheckDebugProvider(app: app)
+        #else
+        return AppAttestProvider(app: app)
+        #endif
+    }
+}
 
 @main
 struct MorningProofApp: App {
@@ -11,7 +24,9 @@ struct MorningProofApp: App {
     init() {
         MPLogger.info("MorningProofApp: init starting...", category: MPLogger.general)
 
-        // Configure Firebase first (required for Functions, Crashlytics, Analytics)
+        // Configure Firebase first (required for Functions, Crashlytics, Analytics).
+        // App Check's provider has to be set before configure().
+        AppCheck.setAppCheckProviderFactory(MorningProofAppCheckProviderFactory())
         FirebaseApp.configure()
         MPLogger.info("MorningProofApp: Firebase configured", category: MPLogger.general)
         do {
@@ -1,5 +1,7 @@
 import Foundation
 import UIKit
+import FirebaseAuth
+import FirebaseAppCheck
 
 actor ClaudeAPIService {
     private let apiKey: String
@@ -124,7 +126,23 @@ actor ClaudeAPIService {
     }
 
     /// Classifies HTTP status codes into appropriate APIError types
+    /// Prefers the `code` field Cloud Functions include in error bodies when present
     private func classifyHTTPError(statusCode: Int, message: String) -> APIError {
+        if let code = serverErrorCode(from: message) {
+            switch code {
+            case "rate_limited":
+                return .rateLimited
+            case "image_rejected":
+                return .imageRejected
+            case "upstream_unavailable":
+                return .serviceUnavailable
+            case "timeout":
+                return .timeout
+            default:
+                break
+            }
+        }
+
         switch statusCode {
         case 429:
             return .rateLimited
@@ -139,8 +157,44 @@ actor ClaudeAPIService {
         }
     }
 
+    /// Extracts the machine-readable `code` from a Cloud Functions error body
+    private func serverErrorCode(from message: String) -> String? {
+        guard let data = message.data(using: .utf8),
+              let json = try? JSONSerialization.jsonObject(with: data) as? [String: Any] else {
+            return nil
+        }
+        return json["code"] as? String
+    }
+
     // MARK: - Firebase Cloud Functions (HTTP)
 
+    /// Credentials the Cloud Functions guard checks: a Firebase ID token (signing in
+    /// anonymously on first use) and an App Check token. A missing one is logged and
+    /// left off; the server decides whether the request can go ahead without it.
+    private func authorizationHeaders() async -> [String: String] {
+        var headers: [String: String] = [:]
+
+        do {
+            let user: User
+            if let currentUser = Auth.auth().currentUser {
+                user = currentUser
+            } else {
+                user = try await Auth.auth().signInAnonymously().user
+            }
+            headers["Authorization"] = "Bearer \(try await user.getIDToken())"
+        } catch {
+            MPLogger.error("ClaudeAPIService: Failed to get Firebase ID token", error: error, category: MPLogger.general)
+        }
+
+        do {
+            headers["X-Firebase-AppCheck"] = try await AppCheck.appCheck().token(forcingRefresh: false).token
+        } catch {
+            MPLogger.error("ClaudeAPIService: Failed to get App Check token", error: error, category: MPLogger.general)
+        }
+
+        return headers
+    }
+
     /// Calls a Firebase HTTP Function
     private func callFirebaseHTTP<T: Decodable>(
         _ functionName: String,
@@ -156,6 +210,9 @@ actor ClaudeAPIService {
         var request = URLRequest(url: url)
         request.httpMethod = "POST"
         request.addValue("application/json", forHTTPHeaderField: "Content-Type")
+        for (field, value) in await authorizationHeaders() {
+            request.setValue(value, forHTTPHeaderField: field)
+        }
         request.httpBody = try JSONSerialization.data(withJSONObject: body)
 
         let data = try await performRequestWithRetry(request, endpoint: endpoint)
@@ -1026,6 +1083,8 @@ enum APIError: LocalizedError {
     case networkError(underlyingError: Error)
     case rateLimited
     case serviceUnavailable
+    case imageRejected
+    case timeout
     case serverError(statusCode: Int, message: String)
     case parsingFailed
 
@@ -1043,6 +1102,10 @@ enum APIError: LocalizedError {
             return "Please wait a moment and try again."
         case .serviceUnavailable:
             return "Service temporarily unavailable. Please try again in a few minutes."
+        case .imageRejected:
+            return "Couldn't process your photo. Please try taking another one."
+        case .timeout:
+            return "Verification took too long. Please try again."
         case .serverError(let code, _):
             // Return user-friendly messages based on status code
             switch code {
@@ -1066,8 +1129,10 @@ enum APIError: LocalizedError {
         switch self {
         case .networkError:
             return "wifi.exclamationmark"
-        case .rateLimited:
+        case .rateLimited, .timeout:
             return "clock.arrow.circlepath"
+        case .imageRejected:
+            return "photo.badge.exclamationmark"
         case .serviceUnavailable, .serverError:
             return "icloud.slash"
         default:
@@ -1078,7 +1143,7 @@ enum APIError: LocalizedError {
     /// Whether this error is likely transient and worth retrying
     var isRetryable: Bool {
         switch self {
-        case .networkError, .rateLimited, .serviceUnavailable:
+        case .networkError, .rateLimited, .serviceUnavailable, .timeout:
             return true
         case .serverError(let code, _):
             return code >= 500 || code == 429
@@ -0,0 +1,226 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { HABITS } = require("../src/habits");
+const { getLatestPromptVersion, getPromptVersionById } = require("../src/promptRegistry");
+const { prepareVerification, runVerification } = require("../src/verify");
+const { getModelForHabit } = require("../src/config");
+
+// Corpus tags counted as gaming attempts for the false-accept report
+const ADVERSARIAL_TAGS = ["screenshot", "stock_photo", "prompt_injection"];
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+// Registry entry evaluated for a habit: the one named in promptIds, else the latest
+const resolvePromptVersion = (habitType, promptIds = {}) => {
+  if (!promptIds[habitType]) {
+    return getLatestPromptVersion(habitType);
+  }
+  const entry = getPromptVersionById(promptIds[habitType]);
+  if (!entry || entry.habitType !== habitType) {
+    throw new Error(`Unknown ${habitType} prompt version: ${promptIds[habitType]}`);
+  }
+  return entry;
+};
+
+// Version label used for caching and reports: registry id plus a template
+// fingerprint, so an in-place template edit never replays stale responses
+const getPromptVersion = (habitType, promptIds = {}) => {
+  const entry = resolvePromptVersion(habitType, promptIds);
+  return `${entry.id}:${sha256(entry.template).slice(0, 8)}`;
+};
+
+// Labeled corpus: manifest.json lists cases as
+// { id, habitType, image | frames | text, expected: boolean, tags?: [], options?: {} }
+// Written entries are kept inline as text; photos and frames are files under corpusDir.
+const loadCorpus = (corpusDir) => {
+  const manifest = JSON.parse(fs.readFileSync(path.join(corpusDir, "manifest.json"), "utf8"));
+  return manifest.cases;
+};
+
+// Cached responses live in <cacheDir>/<habitType>/<caseId>.json keyed by
+// "<promptVersion>:<model>" so replays are exact and need no images
+const cacheKey = (promptVersion, model) => `${promptVersion}:${model}`;
+
+const cachePath = (cacheDir, testCase) => path.join(cacheDir, testCase.habitType, `${testCase.id}.json`);
+
+const readCache = (cacheDir, testCase) => {
+  const file = cachePath(cacheDir, testCase);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+};
+
+const writeCache = (cacheDir, testCase, entries) => {
+  const file = cachePath(cacheDir, testCase);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(entries, null, 2) + "\n");
+};
+
+const readImage = (corpusDir, relativePath) => {
+  const file = path.join(corpusDir, relativePath);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Corpus image not found: ${relativePath}`);
+  }
+  return fs.readFileSync(file).toString("base64");
+};
+
+const buildMedia = (corpusDir, testCase) => {
+  if (testCase.text !== undefined) {
+    return { kind: "text", text: testCase.text };
+  }
+  if (testCase.frames) {
+    return {
+      kind: "video",
+      frames: testCase.frames.map((frame) => readImage(corpusDir, frame)),
+      duration: testCase.duration || testCase.frames.length
+    };
+  }
+  return { kind: "image", data: readImage(corpusDir, testCase.image) };
+};
+
+// Live call through the configured provider (only in record mode)
+const recordVerdict = async (corpusDir, testCase, promptIds) => {
+  const verification = prepareVerification({
+    habitType: testCase.habitType,
+    media: buildMedia(corpusDir, testCase),
+    options: testCase.options
+  });
+  return runVerification({ ...verification, promptVersion: resolvePromptVersion(testCase.habitType, promptIds) });
+};
+
+// Resolve each case's verdict from the cache, or by calling the provider when
+// record is set. promptIds ({ <habitType>: <promptId> }) picks non-latest versions.
+// Returns one result per case:
+// { id, habitType, expected, tags, predicted (boolean|null), status: "ok"|"missing"|"error", error? }
+const evaluateCorpus = async ({ corpusDir, cacheDir, record = false, habitTypes = null, promptIds = {} }) => {
+  const results = [];
+
+  for (const testCase of loadCorpus(corpusDir)) {
+    if (habitTypes && !habitTypes.includes(testCase.habitType)) continue;
+    if (!HABITS[testCase.habitType]) {
+      throw new Error(`Corpus case ${testCase.id} has unknown habit type ${testCase.habitType}`);
+    }
+
+    const key = cacheKey(getPromptVersion(testCase.habitType, promptIds), getModelForHabit(testCase.habitType));
+    const cache = readCache(cacheDir, testCase);
+    const result = {
+      id: testCase.id,
+      habitType: testCase.habitType,
+      expected: testCase.expected,
+      tags: testCase.tags || [],
+      predicted: null,
+      status: "missing"
+    };
+
+    if (cache[key]) {
+      result.predicted = cache[key].passed;
+      result.status = "ok";
+    } else if (record) {
+      try {
+        const verdict = await recordVerdict(corpusDir, testCase, promptIds);
+        writeCache(cacheDir, testCase, { ...cache, [key]: verdict });
+        result.predicted = verdict.passed;
+        result.status = "ok";
+      } catch (error) {
+        console.error(`Eval case ${testCase.id} failed: ${error.message}`);
+        result.status = "error";
+        result.error = error.message;
+      }
+    }
+
+    results.push(result);
+  }
+
+  return results;
+};
+
+// Ratio, or null when the denominator is zero
+const ratio = (numerator, denominator) => (denominator === 0 ? null : numerator / denominator);
+
+// Per-habit confusion counts, precision, recall and adversarial false-accept rates
+const computeMetrics = (results) => {
+  const byHabit = {};
+
+  results.forEach((result) => {
+    const habit = byHabit[result.habitType] || (byHabit[result.habitType] = {
+      cases: 0, tp: 0, fp: 0, tn: 0, fn: 0, missing: 0, errors: 0,
+      adversarial: Object.fromEntries(ADVERSARIAL_TAGS.map((tag) => [tag, { cases: 0, accepted: 0 }]))
+    });
+
+    habit.cases++;
+    if (result.status === "missing") { habit.missing++; return; }
+    if (result.status === "error") { habit.errors++; return; }
+
+    if (result.predicted && result.expected) habit.tp++;
+    else if (result.predicted && !result.expected) habit.fp++;
+    else if (!result.predicted && result.expected) habit.fn++;
+    else habit.tn++;
+
+    ADVERSARIAL_TAGS.filter((tag) => result.tags.includes(tag)).forEach((tag) => {
+      habit.adversarial[tag].cases++;
+      if (result.predicted) habit.adversarial[tag].accepted++;
+    });
+  });
+
+  Object.values(byHabit).forEach((habit) => {
+    habit.precision = ratio(habit.tp, habit.tp + habit.fp);
+    habit.recall = ratio(habit.tp, habit.tp + habit.fn);
+    Object.values(habit.adversarial).forEach((entry) => {
+      entry.falseAcceptRate = ratio(entry.accepted, entry.cases);
+    });
+  });
+
+  return byHabit;
+};
+
+const buildReport = (results, promptIds = {}) => {
+  const habitTypes = [...new Set(results.map((result) => result.habitType))];
+  return {
+    createdAt: new Date().toISOString(),
+    promptVersions: Object.fromEntries(habitTypes.map((habitType) => [habitType, getPromptVersion(habitType, promptIds)])),
+    metrics: computeMetrics(results),
+    results: results.map(({ id, habitType, predicted, status }) => ({ id, habitType, predicted, status }))
+  };
+};
+
+const delta = (current, previous) => {
+  if (current === null || previous === null || previous === undefined) return null;
+  return current - previous;
+};
+
+// Compare a report against a baseline: metric deltas per habit and cases whose verdict flipped
+const diffReports = (baseline, current) => {
+  const previousResults = new Map(baseline.results.map((result) => [result.id, result]));
+
+  return Object.entries(current.metrics).map(([habitType, metrics]) => {
+    const previous = baseline.metrics[habitType];
+    const flipped = current.results
+      .filter((result) => result.habitType === habitType && result.status === "ok")
+      .filter((result) => {
+        const before = previousResults.get(result.id);
+        return before && before.status === "ok" && before.predicted !== result.predicted;
+      })
+      .map((result) => ({ id: result.id, from: !result.predicted, to: result.predicted }));
+
+    return {
+      habitType,
+      promptChanged: baseline.promptVersions[habitType] !== current.promptVersions[habitType],
+      precision: delta(metrics.precision, previous?.precision ?? null),
+      recall: delta(metrics.recall, previous?.recall ?? null),
+      falseAcceptRate: Object.fromEntries(ADVERSARIAL_TAGS.map((tag) => [
+        tag,
+        delta(metrics.adversarial[tag].falseAcceptRate, previous?.adversarial?.[tag]?.falseAcceptRate ?? null)
+      ])),
+      flipped
+    };
+  });
+};
+
+module.exports = {
+  ADVERSARIAL_TAGS,
+  buildReport,
+  computeMetrics,
+  diffReports,
+  evaluateCorpus,
+  getPromptVersion,
+};
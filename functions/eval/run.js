@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+// Offline prompt evaluation.
+//
+//   npm run eval                      replay cached responses, diff against the baseline
+//   npm run eval -- --record          call the provider for cases missing from the cache
+//   npm run eval -- --habit bed       only evaluate one habit type (repeatable)
+//   npm run eval -- --prompt bed-v2   evaluate a specific prompt version (default: latest)
+//   npm run eval -- --update-baseline save this run as the new baseline
+//   npm run eval -- --baseline <file> diff against a different report
+//
+// Recording needs CLAUDE_API_KEY (or VISION_PROVIDER=mock) and, for photo cases, the
+// corpus images; written entry cases are inline in the manifest.
+//
+// The corpus photos are personal proofs, so they aren't in git: get the
+// corpus/images/ folder from a maintainer (file names as in
+// corpus/manifest.json). Responses recorded from them are safe to commit;
+// after changing a prompt, record the new version and commit eval/cache/ with it
+// so the run replays offline for everyone else.
+//
+// The run exits non-zero when any case has no verdict (not cached for this
+// prompt version and model, or failed to record), and then won't update the baseline.
+
+const fs = require("fs");
+const path = require("path");
+
+const {
+  ADVERSARIAL_TAGS,
+  buildReport,
+  diffReports,
+  evaluateCorpus,
+} = require("./evaluate");
+const { getPromptVersionById } = require("../src/promptRegistry");
+
+const CORPUS_DIR = path.join(__dirname, "corpus");
+const CACHE_DIR = path.join(__dirname, "cache");
+const BASELINE_PATH = path.join(__dirname, "reports", "baseline.json");
+const LATEST_PATH = path.join(__dirname, "reports", "latest.json");
+
+const parseArgs = (argv) => {
+  const args = { record: false, updateBaseline: false, habitTypes: null, promptIds: {}, baseline: BASELINE_PATH };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--record":
+        args.record = true;
+        break;
+      case "--update-baseline":
+        args.updateBaseline = true;
+        break;
+      case "--habit":
+        args.habitTypes = [...(args.habitTypes || []), argv[++i]];
+        break;
+      case "--prompt": {
+        const entry = getPromptVersionById(argv[++i]);
+        if (!entry) throw new Error(`Unknown prompt version: ${argv[i]}`);
+        args.promptIds[entry.habitType] = entry.id;
+        break;
+      }
+      case "--baseline":
+        args.baseline = path.resolve(argv[++i]);
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return args;
+};
+
+const percent = (value) => (value === null ? "  n/a" : `${(value * 100).toFixed(0).padStart(4)}%`);
+
+const signedPercent = (value) => {
+  if (value === null) return "";
+  const points = Math.round(value * 100);
+  return points === 0 ? "(=)" : `(${points > 0 ? "+" : ""}${points})`;
+};
+
+const printReport = (report, diff) => {
+  const diffByHabit = new Map((diff || []).map((entry) => [entry.habitType, entry]));
+
+  console.log("\nhabit               cases  precision  recall   " + ADVERSARIAL_TAGS.map((tag) => `FAR ${tag}`).join("  "));
+  Object.entries(report.metrics).forEach(([habitType, metrics]) => {
+    const change = diffByHabit.get(habitType);
+    const far = ADVERSARIAL_TAGS.map((tag) => {
+      const value = metrics.adversarial[tag].falseAcceptRate;
+      return `${percent(value)} ${change ? signedPercent(change.falseAcceptRate[tag]) : ""}`.padEnd(18);
+    }).join("");
+
+    console.log(
+      habitType.padEnd(20) +
+      String(metrics.cases).padStart(5) + "  " +
+      `${percent(metrics.precision)} ${change ? signedPercent(change.precision) : ""}`.padEnd(11) +
+      `${percent(metrics.recall)} ${change ? signedPercent(change.recall) : ""}`.padEnd(11) +
+      far
+    );
+
+    if (metrics.missing > 0) {
+      console.log(`  ${metrics.missing} case(s) have no cached response for this prompt (run with --record)`);
+    }
+    if (metrics.errors > 0) {
+      console.log(`  ${metrics.errors} case(s) failed to record`);
+    }
+    if (change?.promptChanged) {
+      console.log(`  prompt changed since baseline (now ${report.promptVersions[habitType]})`);
+    }
+    change?.flipped.forEach((flip) => {
+      console.log(`  ${flip.id}: ${flip.from ? "pass" : "fail"} -> ${flip.to ? "pass" : "fail"}`);
+    });
+  });
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  const results = await evaluateCorpus({
+    corpusDir: CORPUS_DIR,
+    cacheDir: CACHE_DIR,
+    record: args.record,
+    habitTypes: args.habitTypes,
+    promptIds: args.promptIds
+  });
+  const report = buildReport(results, args.promptIds);
+
+  const baseline = fs.existsSync(args.baseline) ? JSON.parse(fs.readFileSync(args.baseline, "utf8")) : null;
+  const diff = baseline ? diffReports(baseline, report) : null;
+  if (!baseline) {
+    console.log(`No baseline at ${path.relative(process.cwd(), args.baseline)}, skipping diff`);
+  }
+
+  printReport(report, diff);
+  fs.writeFileSync(LATEST_PATH, JSON.stringify(report, null, 2) + "\n");
+
+  const incomplete = results.filter((result) => result.status !== "ok");
+  if (results.length === 0 || incomplete.length > 0) {
+    console.error(results.length === 0
+      ? "\nNo corpus cases to evaluate"
+      : `\n${incomplete.length} of ${results.length} case(s) have no verdict, so these metrics are incomplete. ` +
+        "Record them with --record (see the top of eval/run.js for getting the corpus images).");
+    process.exitCode = 1;
+    return;
+  }
+
+  if (args.updateBaseline) {
+    fs.writeFileSync(BASELINE_PATH, JSON.stringify(report, null, 2) + "\n");
+    console.log("\nBaseline updated");
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
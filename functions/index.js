@@ -1,544 +1,304 @@
 const functions = require("firebase-functions");
-
-const CLAUDE_API_URL = "https://api.anthropic.com/v1/messages";
-const CLAUDE_MODEL = "claude-haiku-4-5";
-
-// Get Claude API key from Firebase config
-const getApiKey = () => {
-  return process.env.CLAUDE_API_KEY || functions.config().claude?.api_key;
-};
-
-// Set CORS headers - restricted to app requests only
-// In production, consider using Firebase App Check for additional security
+const admin = require("firebase-admin");
+const { APP_CHECK_HEADER, guardRequest } = require("./src/guard");
+const { countRateLimit, enforceRateLimit, getSubjectKey } = require("./src/rateLimit");
+const { getHabitDefinition } = require("./src/habits");
+const { HABIT_DRAFT_PROMPT_KEY, assignPromptVersion } = require("./src/promptRegistry");
+const { checkFreshness } = require("./src/freshness");
+const { checkMotion } = require("./src/motion");
+const { checkIdenticalImages } = require("./src/comparison");
+const { checkEntryEffort } = require("./src/textEntries");
+const { draftHabitCriteria, parseDraftRequest } = require("./src/habitDrafts");
+const {
+  APPEAL_STATUS,
+  claimAppeal,
+  loadAppeal,
+  openAppeal,
+  releaseAppeal,
+  reviewAppeal,
+} = require("./src/appeals");
+const {
+  clearHistory,
+  deleteHistoryRecord,
+  getHistoryRecord,
+  listHistory,
+  recordAppealOutcome,
+  recordHistory,
+  updateHistorySettings,
+} = require("./src/history");
+const {
+  checkForDuplicate,
+  getDuplicatePolicy,
+  recordProof,
+} = require("./src/duplicates");
+const { issueReceipt, verifyReceipt } = require("./src/receipts");
+const { RequestError } = require("./src/errors");
+const {
+  createChallenge,
+  getLeaderboard,
+  joinChallenge,
+  leaveChallenge,
+  listChallenges,
+  recordChallengeResult,
+  scoreChallenges,
+} = require("./src/challenges");
+const { RECOVERY_ERRORS } = require("./src/freezeTokens");
+const {
+  getNotificationSettings,
+  registerToken,
+  sendScheduledNotifications,
+  unregisterToken,
+  updateNotificationSettings,
+} = require("./src/notifications");
+const {
+  INVITE_LOOKUP_FAILURES,
+  acceptInvite,
+  createInvite,
+  getPartnerStatus,
+  leavePartnership,
+  listFeed,
+  postToPartnerFeed,
+  updateSettings,
+} = require("./src/partners");
+const {
+  MAX_LOG_RANGE_DAYS,
+  getRecoveryStatus,
+  getStreak,
+  getToday,
+  listDailyLogs,
+  recordCompletion,
+  recoverMissedDay,
+  setStreakTimezone,
+} = require("./src/streaks");
+const {
+  addDays,
+  daysBetween,
+  isDateString,
+  isValidTimezone,
+} = require("./src/timezone");
+const {
+  createJob,
+  getJob,
+  parseJobRequest,
+  processJob,
+} = require("./src/verificationJobs");
+const { CLIENT_ERRORS, ClaudeAPIError } = require("./src/claude");
+const {
+  VERIFY_TIMEOUT_SECONDS,
+  analyzeMotion,
+  buildRejection,
+  getVerifyDeadline,
+  prepareVerification,
+  runVerification,
+} = require("./src/verify");
+
+admin.initializeApp();
+
+// Set CORS headers
+// Access is controlled by the ID token / App Check guard (see src/guard.js), not by origin
 const setCorsHeaders = (res) => {
   // Allow requests from the app (mobile apps don't send Origin header)
   // For web testing, you can temporarily add specific origins
-  res.set("Access-Control-Allow-Origin", "*"); // TODO: Consider Firebase App Check for production
+  res.set("Access-Control-Allow-Origin", "*");
   res.set("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.set("Access-Control-Allow-Headers", "Content-Type");
+  res.set("Access-Control-Allow-Headers", `Content-Type, Authorization, ${APP_CHECK_HEADER}`);
 };
 
-// Input validation constants
-const MAX_HABIT_NAME_LENGTH = 100;
-const MAX_AI_PROMPT_LENGTH = 2000;
-const MAX_IMAGE_SIZE_BYTES = 10 * 1024 * 1024; // 10MB
-
-// Sanitize user input to prevent prompt injection
-// Escapes characters that could be used to break out of prompt context
-const sanitizeForPrompt = (input) => {
-  if (!input || typeof input !== 'string') return '';
-
-  // Limit length
-  let sanitized = input.slice(0, MAX_AI_PROMPT_LENGTH);
-
-  // Escape characters that could be used for prompt injection
-  sanitized = sanitized
-    .replace(/\\/g, '\\\\')  // Escape backslashes
-    .replace(/"/g, '\\"')    // Escape quotes
-    .replace(/\n/g, ' ')     // Replace newlines with spaces
-    .replace(/\r/g, '')      // Remove carriage returns
-    .trim();
+const DUPLICATE_PROOF_FEEDBACK = "Looks like this photo has been used before. Snap a fresh one from this morning!";
+const REPEATED_ENTRY_FEEDBACK = "You've written this one before. Put today's thoughts into fresh words!";
 
-  return sanitized;
-};
-
-// Validate habit name
-const validateHabitName = (name) => {
-  if (!name || typeof name !== 'string') {
-    return { valid: false, error: 'Habit name is required' };
-  }
-  if (name.trim().length === 0) {
-    return { valid: false, error: 'Habit name cannot be empty' };
-  }
-  if (name.length > MAX_HABIT_NAME_LENGTH) {
-    return { valid: false, error: `Habit name must be ${MAX_HABIT_NAME_LENGTH} characters or less` };
+// Respond with the app-facing code for a classified Claude failure; codes the
+// app doesn't know are reported as upstream_unavailable
+const sendClaudeError = (res, error, name, caller) => {
+  console.error(`${name} ${error.code} (uid: ${caller.uid || "anonymous"}): ${error.message}`);
+  const code = CLIENT_ERRORS[error.code] ? error.code : "upstream_unavailable";
+  if (code === "rate_limited") {
+    res.set("Retry-After", String(error.retryAfter || 30));
   }
-  return { valid: true };
+  res.status(CLIENT_ERRORS[code].status).json({ error: CLIENT_ERRORS[code].message, code });
 };
 
-// Validate AI prompt
-const validateAIPrompt = (prompt) => {
-  if (prompt && typeof prompt === 'string' && prompt.length > MAX_AI_PROMPT_LENGTH) {
-    return { valid: false, error: `AI prompt must be ${MAX_AI_PROMPT_LENGTH} characters or less` };
-  }
-  return { valid: true };
-};
+// Build a plain JSON POST endpoint: CORS, method check and the auth guard,
+// then handler(req, res, caller). RequestErrors become their status and
+// { error, code }; anything else uncaught becomes a 500.
+// req.startedAt is when the request arrived, for handlers that budget model calls.
+const createJsonEndpoint = (name, handler, runtimeOptions = {}) => functions
+  .runWith(runtimeOptions)
+  .https.onRequest(async (req, res) => {
+    req.startedAt = Date.now();
+    setCorsHeaders(res);
 
-// Prompts for each verification type
-const PROMPTS = {
-  bed: `ROLE: You are a friendly morning habit verifier. Your job is to answer: "Did this person make their bed?"
-
-This is NOT a hotel inspection. Normal wrinkles, natural fabric draping, and everyday bed-making are totally fine. Only fail beds that are genuinely unmade.
-
-IMPORTANT: The user only sees PASS or FAIL with your feedback message. They do NOT see any scores. Never mention scores, points, or numbers in your feedback.
-
-═══════════════════════════════════════════════════════════════
-STEP 1: IDENTIFY WHAT'S IN THE PHOTO
-═══════════════════════════════════════════════════════════════
-First, describe what you ACTUALLY see. Set detected_subject to one of:
-- "bed" - if a real bed with mattress/bedding is visible
-- "bathroom" - toilet, shower, sink, etc.
-- "kitchen" - stove, fridge, counters, etc.
-- "desk" - workspace, computer setup
-- "couch" - sofa or loveseat (NOT a bed)
-- "screenshot" - clearly a photo of a screen or another photo
-- "stock_photo" - unnaturally perfect/staged, watermarks, or obviously not personal
-- "other" - anything else (pet, food, random object, person without bed)
-
-If detected_subject is NOT "bed", respond immediately:
-{"is_made": false, "detected_subject": "[what you see]", "feedback": "I see [specific thing], but I need to see your bed!"}
-
-═══════════════════════════════════════════════════════════════
-STEP 2: SCORE THE BED (only if bed is visible)
-═══════════════════════════════════════════════════════════════
-Ask yourself: "Did they make their bed?" NOT "Is this hotel-quality?"
-
-DUVET/COMFORTER (0-35):
-  35: Pulled up and covering the bed (wrinkles are fine!)
-  25: Mostly covering, some bunching at edges
-  15: Partially pulled up but effort visible
-  0:  Not pulled up at all - mattress/sheets fully exposed
-
-PILLOWS (0-35):
-  35: Placed on bed (arranged, stacked, or just set there - all fine!)
-  25: On bed but messy/fallen over
-  15: Partially off bed or half-effort
-  0:  Missing, on floor, or scattered around room
-
-OVERALL EFFORT (0-30):
-  30: Clearly made an effort - this is a made bed
-  20: Quick job but they tried
-  10: Minimal effort visible
-  0:  No attempt / obviously just woke up and left
-
-═══════════════════════════════════════════════════════════════
-STEP 3: RESPOND
-═══════════════════════════════════════════════════════════════
-- is_made = true if score >= 50
-- Be encouraging! This is about building a morning habit, not perfection.
-- Feedback must be SPECIFIC to what you see. Keep it to 2 sentences max. NEVER mention scores/points/numbers.
-  * Pass (high effort): Celebrate! ("Nice work! Your bed looks great.")
-  * Pass (decent effort): Positive acknowledgment ("Bed's made - you're good to go!")
-  * Fail (almost there): Helpful, not harsh ("Just pull that comforter up and you're set!")
-  * Fail (not made): Friendly nudge ("Looks like the bed still needs making - pull up that blanket!")
-
-JSON format (detected_subject required):
-{"is_made": boolean, "detected_subject": "bed", "feedback": "specific message"}`,
-
-  sunlight: `TASK: Verify this photo shows NATURAL LIGHT exposure.
-
-═══════════════════════════════════════════════════════════════
-STEP 1: IDENTIFY WHAT'S IN THE PHOTO
-═══════════════════════════════════════════════════════════════
-Set detected_subject to what best describes the scene:
-- "outdoor_daylight" - outside with natural sunlight/daylight
-- "window_daylight" - indoors but with visible natural light from windows
-- "dark_indoor" - indoor space with no natural light
-- "artificial_light" - room lit only by lamps/screens/LEDs
-- "nighttime" - clearly night (dark sky, stars, moon)
-- "screenshot" - photo of a screen or another image
-- "unrelated" - random object with no light context
-
-═══════════════════════════════════════════════════════════════
-STEP 2: DETERMINE PASS/FAIL
-═══════════════════════════════════════════════════════════════
-PASS (is_outside: true) if:
-- Outdoor daylight (sunny, overcast, cloudy all count)
-- Indoors with visible natural daylight through windows
-
-FAIL (is_outside: false) if:
-- Nighttime scene
-- Only artificial lighting visible
-- Dark indoor space
-- Screenshot or unrelated image
-
-═══════════════════════════════════════════════════════════════
-STEP 3: RESPOND WITH SPECIFIC FEEDBACK
-═══════════════════════════════════════════════════════════════
-Keep feedback to 2 sentences max.
-- If unrelated/screenshot: "I see [what's there], but I need to see natural light exposure!"
-- If artificial light only: "That's artificial light - step outside or near a window!"
-- If nighttime: "It's dark out! Catch some rays tomorrow morning."
-- If passed: Acknowledge the light ("Beautiful morning light!" or "Good window setup!")
-
-JSON format:
-{"is_outside": boolean, "detected_subject": "category", "feedback": "specific message"}`,
-
-  hydration: `TASK: Verify this photo shows HYDRATION (a beverage or drinking vessel).
-
-═══════════════════════════════════════════════════════════════
-STEP 1: IDENTIFY WHAT'S IN THE PHOTO
-═══════════════════════════════════════════════════════════════
-Set detected_subject to what you see:
-- "water_bottle" - reusable water bottle or tumbler
-- "glass" - drinking glass with beverage
-- "mug" - coffee mug or tea cup
-- "person_drinking" - someone actively drinking
-- "food" - food items (not drinks)
-- "electronics" - phone, computer, etc.
-- "furniture" - bed, desk, couch
-- "screenshot" - photo of a screen
-- "other" - anything else unrelated
-
-═══════════════════════════════════════════════════════════════
-STEP 2: DETERMINE PASS/FAIL
-═══════════════════════════════════════════════════════════════
-PASS (is_water: true) if:
-- Any drinking vessel visible (full, partially full, or empty)
-- Person actively drinking
-- Water, coffee, tea, juice, smoothie, sports drink - all count!
-
-FAIL (is_water: false) if:
-- No drinking vessel at all
-- Only food, no drinks
-- Random objects, electronics, furniture
-
-Be lenient - the goal is encouraging hydration!
-
-═══════════════════════════════════════════════════════════════
-STEP 3: SPECIFIC FEEDBACK
-═══════════════════════════════════════════════════════════════
-Keep feedback to 2 sentences max.
-- If wrong subject: "I see [what's there], but where's your drink?"
-- If passed: Acknowledge what you see ("Nice water bottle!" or "Coffee counts!")
-- Empty vessel: "Already finished? That's the spirit!"
-
-JSON format:
-{"is_water": boolean, "detected_subject": "category", "feedback": "specific message"}`,
-
-  healthyBreakfast: `TASK: Verify this photo shows a HEALTHY BREAKFAST.
-
-═══════════════════════════════════════════════════════════════
-STEP 1: IDENTIFY WHAT'S IN THE PHOTO
-═══════════════════════════════════════════════════════════════
-Set detected_subject to one of:
-- "healthy_meal" - fruits, vegetables, eggs, oatmeal, yogurt, whole grains, smoothie, avocado toast
-- "unhealthy_meal" - donuts, sugary cereal, pastries, candy, chips
-- "beverage_only" - just coffee/tea with no food
-- "screenshot" - photo of a screen
-- "other" - unrelated content
-
-═══════════════════════════════════════════════════════════════
-STEP 2: DETERMINE PASS/FAIL
-═══════════════════════════════════════════════════════════════
-PASS (is_verified: true) if:
-- Nutritious food visible: eggs, avocado, oatmeal, yogurt, fruit, vegetables, whole grain toast, smoothie
-- Mixed meals count if they include healthy components
-
-FAIL (is_verified: false) if:
-- Only sugary/processed foods (donuts, pastries, sugary cereal)
-- No food visible (beverage only)
-- Unrelated content
-
-Be encouraging about healthy eating choices!
-
-═══════════════════════════════════════════════════════════════
-STEP 3: SPECIFIC FEEDBACK
-═══════════════════════════════════════════════════════════════
-Keep feedback to 2 sentences max.
-- If passed: Celebrate the healthy choice! ("Great choice! Protein and fiber to fuel your morning.")
-- If failed (unhealthy): Gentle nudge ("That looks tasty, but try adding some fruit or eggs!")
-- If unrelated: "I see [what's there], but where's your breakfast?"
-
-JSON format:
-{"is_verified": boolean, "detected_subject": "category", "feedback": "specific message"}`,
-
-  morningJournal: `TASK: Verify this photo shows a JOURNAL with writing.
-
-═══════════════════════════════════════════════════════════════
-STEP 1: IDENTIFY WHAT'S IN THE PHOTO
-═══════════════════════════════════════════════════════════════
-Set detected_subject to one of:
-- "journal_writing" - open notebook/journal with visible handwriting
-- "journal_closed" - closed notebook or journal
-- "journal_blank" - open but blank pages
-- "digital_journal" - tablet or phone showing notes app with writing
-- "screenshot" - photo of a screen showing something else
-- "other" - unrelated content
-
-═══════════════════════════════════════════════════════════════
-STEP 2: DETERMINE PASS/FAIL
-═══════════════════════════════════════════════════════════════
-PASS (is_verified: true) if:
-- Open journal/notebook with visible handwriting (doesn't need to be readable)
-- Digital notes app showing today's writing
-
-FAIL (is_verified: false) if:
-- Closed journal (no proof of writing)
-- Blank pages
-- Unrelated content
-
-═══════════════════════════════════════════════════════════════
-STEP 3: SPECIFIC FEEDBACK
-═══════════════════════════════════════════════════════════════
-Keep feedback to 2 sentences max.
-- If passed: Acknowledge the effort ("Love to see those morning thoughts on paper!")
-- If closed: "Open it up and show me today's entry!"
-- If blank: "Those pages look empty - time to write!"
-
-JSON format:
-{"is_verified": boolean, "detected_subject": "category", "feedback": "specific message"}`,
-
-  vitamins: `TASK: Verify this photo shows VITAMINS or SUPPLEMENTS being taken.
-
-═══════════════════════════════════════════════════════════════
-STEP 1: IDENTIFY WHAT'S IN THE PHOTO
-═══════════════════════════════════════════════════════════════
-Set detected_subject to one of:
-- "vitamins_visible" - vitamin bottles, pill organizers, loose vitamins/supplements
-- "person_taking" - someone holding or taking vitamins
-- "pill_organizer" - weekly pill organizer with compartments
-- "screenshot" - photo of a screen
-- "other" - unrelated content
-
-═══════════════════════════════════════════════════════════════
-STEP 2: DETERMINE PASS/FAIL
-═══════════════════════════════════════════════════════════════
-PASS (is_verified: true) if:
-- Vitamins, supplements, or pill organizer visible
-- Person actively taking vitamins
-
-FAIL (is_verified: false) if:
-- No vitamins or supplements visible
-- Unrelated content
-
-Be encouraging - taking vitamins is a great habit!
-
-═══════════════════════════════════════════════════════════════
-STEP 3: SPECIFIC FEEDBACK
-═══════════════════════════════════════════════════════════════
-Keep feedback to 2 sentences max.
-- If passed: "Nice! Keeping up with your supplements."
-- If wrong subject: "I see [what's there], but where are your vitamins?"
-
-JSON format:
-{"is_verified": boolean, "detected_subject": "category", "feedback": "specific message"}`,
-
-  skincare: `TASK: Verify this photo shows SKINCARE products or routine.
-
-═══════════════════════════════════════════════════════════════
-STEP 1: IDENTIFY WHAT'S IN THE PHOTO
-═══════════════════════════════════════════════════════════════
-Set detected_subject to one of:
-- "skincare_products" - moisturizer, serum, sunscreen, cleanser, toner
-- "person_applying" - someone applying skincare products
-- "makeup_only" - only makeup products (not skincare)
-- "screenshot" - photo of a screen
-- "other" - unrelated content
-
-═══════════════════════════════════════════════════════════════
-STEP 2: DETERMINE PASS/FAIL
-═══════════════════════════════════════════════════════════════
-PASS (is_verified: true) if:
-- Skincare products visible (moisturizer, sunscreen, serum, cleanser, etc.)
-- Person applying skincare
-
-FAIL (is_verified: false) if:
-- Only makeup products (no skincare)
-- Unrelated content
-
-═══════════════════════════════════════════════════════════════
-STEP 3: SPECIFIC FEEDBACK
-═══════════════════════════════════════════════════════════════
-Keep feedback to 2 sentences max.
-- If passed: "Your skin will thank you! Great routine."
-- If makeup only: "I see makeup, but show me your skincare products!"
-- If unrelated: "I see [what's there], but where's your skincare?"
-
-JSON format:
-{"is_verified": boolean, "detected_subject": "category", "feedback": "specific message"}`,
-
-  mealPrep: `TASK: Verify this photo shows MEAL PREP.
-
-═══════════════════════════════════════════════════════════════
-STEP 1: IDENTIFY WHAT'S IN THE PHOTO
-═══════════════════════════════════════════════════════════════
-Set detected_subject to one of:
-- "meal_containers" - food storage containers with prepared meals
-- "packed_lunch" - lunch box or bag with food
-- "prep_in_progress" - actively cooking or chopping ingredients
-- "groceries" - raw ingredients not being prepped
-- "screenshot" - photo of a screen
-- "other" - unrelated content
-
-═══════════════════════════════════════════════════════════════
-STEP 2: DETERMINE PASS/FAIL
-═══════════════════════════════════════════════════════════════
-PASS (is_verified: true) if:
-- Meal prep containers with food inside
-- Packed lunch/lunchbox ready to go
-- Active food preparation (cooking, chopping, assembling)
-
-FAIL (is_verified: false) if:
-- Empty containers
-- Just raw groceries sitting there
-- Unrelated content
-
-═══════════════════════════════════════════════════════════════
-STEP 3: SPECIFIC FEEDBACK
-═══════════════════════════════════════════════════════════════
-Keep feedback to 2 sentences max.
-- If passed: "Prepped and ready! That's setting yourself up for success."
-- If groceries: "Great ingredients! Now let's see them prepped."
-- If unrelated: "I see [what's there], but where's your meal prep?"
-
-JSON format:
-{"is_verified": boolean, "detected_subject": "category", "feedback": "specific message"}`,
-
-  touchGrass: `TASK: Verify this photo shows the user is OUTDOORS IN NATURE.
-
-═══════════════════════════════════════════════════════════════
-STEP 1: IDENTIFY WHAT'S IN THE PHOTO
-═══════════════════════════════════════════════════════════════
-Set detected_subject to one of:
-- "nature_outdoor" - outside with visible nature (grass, trees, park, trail, beach, sky, garden)
-- "indoor_plant" - houseplant or indoor greenery
-- "screenshot" - photo of a screen
-- "indoor" - clearly indoors (furniture, walls, ceiling)
-- "other" - unrelated content
-
-═══════════════════════════════════════════════════════════════
-STEP 2: DETERMINE PASS/FAIL
-═══════════════════════════════════════════════════════════════
-PASS (is_verified: true) if:
-- Outdoors with visible nature elements (grass, trees, sky, park, trail, beach, garden)
-- Overcast or cloudy days count - just needs to be outside
-- Balcony/patio with outdoor view counts
-
-FAIL (is_verified: false) if:
-- Indoors (even with houseplants)
-- Indoor plant close-up (a houseplant doesn't count!)
-- Screenshot or photo of a photo
-- No nature elements visible
-
-═══════════════════════════════════════════════════════════════
-STEP 3: SPECIFIC FEEDBACK
-═══════════════════════════════════════════════════════════════
-Keep feedback to 2 sentences max.
-- If passed: Celebrate! ("Grass officially touched! Fresh air hits different.")
-- If indoor plant: "A houseplant doesn't count! Get out there for real."
-- If indoors: "I see four walls... time to step outside!"
-- If unrelated: "I see [what's there], but I need to see you outside!"
-
-JSON format:
-{"is_verified": boolean, "detected_subject": "category", "feedback": "specific message"}`
-};
+    if (req.method === "OPTIONS") {
+      res.status(204).send("");
+      return;
+    }
 
-// Helper to call Claude API
-async function callClaudeAPI(apiKey, imageBase64, prompt, maxTokens = 512) {
-  const requestBody = {
-    model: CLAUDE_MODEL,
-    max_tokens: maxTokens,
-    messages: [
-      {
-        role: "user",
-        content: [
-          {
-            type: "image",
-            source: {
-              type: "base64",
-              media_type: "image/jpeg",
-              data: imageBase64
-            }
-          },
-          {
-            type: "text",
-            text: prompt
-          }
-        ]
-      }
-    ]
-  };
+    if (req.method !== "POST") {
+      res.status(405).json({ error: "Method not allowed" });
+      return;
+    }
+
+    const caller = await guardRequest(req, res);
+    if (!caller) return;
 
-  const response = await fetch(CLAUDE_API_URL, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "anthropic-version": "2023-06-01",
-      "x-api-key": apiKey
-    },
-    body: JSON.stringify(requestBody)
+    try {
+      await handler(req, res, caller);
+    } catch (error) {
+      if (error instanceof RequestError) {
+        res.status(error.status).json({ error: error.message, code: error.code });
+        return;
+      }
+      console.error(`${name} error (uid: ${caller.uid || "anonymous"}):`, error);
+      res.status(500).json({ error: `${name} failed` });
+    }
   });
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error(`Claude API error: ${response.status} - ${errorText}`);
-    throw new Error(`Claude API error: ${response.status}`);
+// Server-side checks, then the model. Returns the response envelope
+// (a rejection when a check fails before reaching the model).
+const verifyProof = async (name, req, caller, verification) => {
+  const freshnessFailure = checkFreshness(verification);
+  if (freshnessFailure) {
+    console.warn(`${name} ${freshnessFailure.reason} (uid: ${caller.uid || "anonymous"}):`, freshnessFailure.details);
+    const { reason, feedback, details } = freshnessFailure;
+    return buildRejection(verification.definition, reason, feedback, details);
   }
 
-  const data = await response.json();
-  const textContent = data.content.find(c => c.type === "text");
-
-  if (!textContent || !textContent.text) {
-    throw new Error("No text response from Claude");
+  // A video without movement fails before the model sees it
+  const motionFailure = checkMotion(verification.motion);
+  if (motionFailure) {
+    console.warn(`${name} no_motion (uid: ${caller.uid || "anonymous"}):`, motionFailure.details);
+    const { reason, feedback, details } = motionFailure;
+    return { ...buildRejection(verification.definition, reason, feedback, details), motion_score: verification.motion.motionScore };
   }
 
-  // Extract JSON from response
-  let responseText = textContent.text.trim();
-
-  // Remove markdown code blocks if present
-  if (responseText.startsWith("```json")) {
-    responseText = responseText.slice(7);
-  } else if (responseText.startsWith("```")) {
-    responseText = responseText.slice(3);
+  // Before/after shots that are the same photo show no work done
+  const identicalImages = checkIdenticalImages(verification.media);
+  if (identicalImages) {
+    console.warn(`${name} identical_images (uid: ${caller.uid || "anonymous"}):`, identicalImages.details);
+    const { reason, feedback, details } = identicalImages;
+    return buildRejection(verification.definition, reason, feedback, details);
   }
-  if (responseText.endsWith("```")) {
-    responseText = responseText.slice(0, -3);
+
+  // Written entries fail on obvious filler before the model reads them
+  const lowEffort = checkEntryEffort(verification.media);
+  if (lowEffort) {
+    console.warn(`${name} low_effort (uid: ${caller.uid || "anonymous"}):`, lowEffort.details);
+    const { reason, feedback, details } = lowEffort;
+    return buildRejection(verification.definition, reason, feedback, details);
   }
-  responseText = responseText.trim();
 
-  // Find JSON object
-  const jsonStart = responseText.indexOf("{");
-  const jsonEnd = responseText.lastIndexOf("}");
-  if (jsonStart !== -1 && jsonEnd !== -1) {
-    responseText = responseText.slice(jsonStart, jsonEnd + 1);
+  const { proof, duplicate } = await checkForDuplicate(caller.uid, verification.media);
+  if (duplicate) {
+    console.warn(`${name} duplicate proof (uid: ${caller.uid || "anonymous"}):`, duplicate);
+    if (getDuplicatePolicy() === "reject") {
+      const feedback = verification.media.kind === "text" ? REPEATED_ENTRY_FEEDBACK : DUPLICATE_PROOF_FEEDBACK;
+      return buildRejection(verification.definition, "duplicate_proof", feedback, duplicate);
+    }
   }
 
-  return JSON.parse(responseText);
-}
+  // Same key as rate limiting: uid, or hashed IP for anonymous callers
+  const promptVersion = await assignPromptVersion(verification.promptKey, getSubjectKey(req, caller));
 
-// Verify Bed endpoint
-exports.verifyBed = functions
-  .runWith({ secrets: ["CLAUDE_API_KEY"] })
-  .https.onRequest(async (req, res) => {
-    setCorsHeaders(res);
+  const result = await runVerification({ ...verification, promptVersion, uid: caller.uid });
 
-    if (req.method === "OPTIONS") {
-      res.status(204).send("");
-      return;
+  if (result.passed && caller.uid) {
+    const receipt = issueReceipt({
+      uid: caller.uid,
+      habitType: verification.habitType,
+      promptVersion: result.prompt_version,
+      media: verification.media
+    });
+    if (receipt) {
+      result.receipt = receipt;
     }
+  }
 
-    if (req.method !== "POST") {
-      res.status(405).json({ error: "Method not allowed" });
-      return;
-    }
+  if (duplicate) {
+    result.flags = ["duplicate_proof"];
+  } else if (result.passed && proof && caller.uid) {
+    await recordProof(caller.uid, verification.habitType, proof, verification.media.kind)
+      .catch((error) => console.error("Failed to record proof:", error));
+  }
 
-    try {
-      const { imageBase64 } = req.body;
+  // The model's failures can get a second opinion (see appealVerification)
+  if (!result.passed && caller.uid) {
+    const appealId = await openAppeal(caller.uid, verification, result, duplicate ? null : proof)
+      .catch((error) => {
+        console.error(`Failed to open appeal (uid: ${caller.uid}):`, error);
+        return null;
+      });
+    if (appealId) {
+      result.appeal_id = appealId;
+    }
+  }
 
-      if (!imageBase64) {
-        res.status(400).json({ error: "Missing imageBase64" });
-        return;
-      }
+  return result;
+};
 
-      const result = await callClaudeAPI(
-        getApiKey(),
-        imageBase64,
-        PROMPTS.bed,
-        512
-      );
+// Authoritative streak for a verify response: passes are recorded, other
+// results just read it.
+const getStreakForResult = async (uid, verification, result) => {
+  if (result.passed) {
+    return recordCompletion({
+      uid,
+      habitType: verification.habitType,
+      timezone: verification.capture.timezone,
+      promptVersion: result.prompt_version
+    });
+  }
+  return getStreak(uid, verification.capture.timezone);
+};
 
-      res.json(result);
-    } catch (error) {
-      console.error("verifyBed error:", error);
-      res.status(500).json({ error: "Verification failed" });
-    }
-  });
+// Everything a signed-in caller's verification feeds into: the streak (added
+// to the response), challenge results, opted-in history and, for passes, the partner feed.
+// overturnedAppeal ({ id, createdAt }) is set for the pass of an overturned
+// appeal: the challenge attempt and history record of the failure it replaces
+// are updated in place rather than added again.
+// Storage problems are logged and never fail a verification.
+const recordOutcome = async (uid, verification, result, overturnedAppeal = null) => {
+  const logFailure = (what) => (error) => console.error(`Failed to ${what} (uid: ${uid}):`, error);
+
+  result.streak = await getStreakForResult(uid, verification, result)
+    .catch((error) => {
+      logFailure("update streak")(error);
+      return null;
+    });
+
+  await recordChallengeResult(uid, {
+    habitType: verification.habitType,
+    passed: result.passed,
+    overturnedAttemptAt: overturnedAppeal ? overturnedAppeal.createdAt : null
+  }).catch(logFailure("record challenge result"));
+
+  const history = overturnedAppeal
+    ? recordAppealOutcome(uid, overturnedAppeal.id, result)
+    : recordHistory(uid, {
+      habitType: verification.habitType,
+      media: verification.media,
+      timezone: verification.capture.timezone
+    }, result);
+  await history.catch(logFailure("record verification history"));
+
+  if (result.passed) {
+    await postToPartnerFeed(uid, {
+      habitType: verification.habitType,
+      result,
+      media: verification.media,
+      timezone: verification.capture.timezone
+    }).catch(logFailure("post to partner feed"));
+  }
+};
 
-// Verify Sunlight endpoint
-exports.verifySunlight = functions
-  .runWith({ secrets: ["CLAUDE_API_KEY"] })
+// Build a verification endpoint.
+// parseRequest maps the request body to { habitType, media, options } and may
+// throw RequestError for legacy-specific validation messages.
+// Every endpoint also accepts the optional capture context fields
+// timezone (IANA name) and morningWindow ({ startMinutes, endMinutes }).
+const createVerifyEndpoint = (name, parseRequest) => functions
+  .runWith({ secrets: ["CLAUDE_API_KEY", "RECEIPT_SIGNING_KEY"], timeoutSeconds: VERIFY_TIMEOUT_SECONDS })
   .https.onRequest(async (req, res) => {
+    // Everything from here to the response shares the function timeout
+    const deadline = getVerifyDeadline(Date.now());
     setCorsHeaders(res);
 
     if (req.method === "OPTIONS") {
@@ -551,404 +311,546 @@ exports.verifySunlight = functions
       return;
     }
 
-    try {
-      const { imageBase64 } = req.body;
+    const caller = await guardRequest(req, res);
+    if (!caller) return;
 
-      if (!imageBase64) {
-        res.status(400).json({ error: "Missing imageBase64" });
-        return;
+    try {
+      const body = req.body || {};
+      const prepared = prepareVerification({
+        ...parseRequest(body),
+        capture: { timezone: body.timezone, morningWindow: body.morningWindow }
+      }, { analyze: false });
+
+      // Buckets are per habit type so legacy aliases and `verify` share quotas.
+      // Checked before video frames are decoded.
+      if (!(await enforceRateLimit(req, res, prepared.habitType, caller))) return;
+      const verification = { ...analyzeMotion(prepared), deadline };
+
+      const result = await verifyProof(name, req, caller, verification);
+      if (caller.uid) {
+        await recordOutcome(caller.uid, verification, result);
       }
 
-      const result = await callClaudeAPI(
-        getApiKey(),
-        imageBase64,
-        PROMPTS.sunlight,
-        256
-      );
-
       res.json(result);
     } catch (error) {
-      console.error("verifySunlight error:", error);
+      if (error instanceof RequestError) {
+        res.status(error.status).json({ error: error.message, code: error.code });
+        return;
+      }
+      if (error instanceof ClaudeAPIError) {
+        sendClaudeError(res, error, name, caller);
+        return;
+      }
+      console.error(`${name} error (uid: ${caller.uid || "anonymous"}):`, error);
       res.status(500).json({ error: "Verification failed" });
     }
   });
 
-// Verify Hydration endpoint
-exports.verifyHydration = functions
-  .runWith({ secrets: ["CLAUDE_API_KEY"] })
-  .https.onRequest(async (req, res) => {
-    setCorsHeaders(res);
+// Legacy single-photo body: { imageBase64 }
+const imageMedia = (imageBase64) => ({ kind: "image", data: imageBase64 });
 
-    if (req.method === "OPTIONS") {
-      res.status(204).send("");
-      return;
-    }
+const requireImage = (imageBase64) => {
+  if (!imageBase64) {
+    throw new RequestError(400, "invalid_request", "Missing imageBase64");
+  }
+};
 
-    if (req.method !== "POST") {
-      res.status(405).json({ error: "Method not allowed" });
-      return;
-    }
+// Generic verification endpoint
+// Body: { habitType, media: { kind: "image", data } | { kind: "video", frames, duration }, options }
+exports.verify = createVerifyEndpoint("verify", (body) => ({
+  habitType: body.habitType,
+  media: body.media,
+  options: body.options
+}));
 
-    try {
-      const { imageBase64 } = req.body;
+// Legacy endpoints - thin aliases over `verify` kept for shipped app versions
 
-      if (!imageBase64) {
-        res.status(400).json({ error: "Missing imageBase64" });
-        return;
-      }
+exports.verifyBed = createVerifyEndpoint("verifyBed", ({ imageBase64 }) => {
+  requireImage(imageBase64);
+  return { habitType: "bed", media: imageMedia(imageBase64) };
+});
 
-      const result = await callClaudeAPI(
-        getApiKey(),
-        imageBase64,
-        PROMPTS.hydration,
-        256
-      );
+exports.verifySunlight = createVerifyEndpoint("verifySunlight", ({ imageBase64 }) => {
+  requireImage(imageBase64);
+  return { habitType: "sunlight", media: imageMedia(imageBase64) };
+});
 
-      res.json(result);
-    } catch (error) {
-      console.error("verifyHydration error:", error);
-      res.status(500).json({ error: "Verification failed" });
-    }
-  });
+exports.verifyHydration = createVerifyEndpoint("verifyHydration", ({ imageBase64 }) => {
+  requireImage(imageBase64);
+  return { habitType: "hydration", media: imageMedia(imageBase64) };
+});
 
-// Verify Custom Habit endpoint
-exports.verifyCustomHabit = functions
-  .runWith({ secrets: ["CLAUDE_API_KEY"] })
-  .https.onRequest(async (req, res) => {
-    setCorsHeaders(res);
+exports.verifyCustomHabit = createVerifyEndpoint("verifyCustomHabit", (body) => {
+  const { imageBase64, habitName, aiPrompt, allowsScreenshots } = body;
 
-    if (req.method === "OPTIONS") {
-      res.status(204).send("");
-      return;
-    }
+  if (!imageBase64 || !habitName) {
+    throw new RequestError(400, "invalid_request", "Missing required fields");
+  }
 
-    if (req.method !== "POST") {
-      res.status(405).json({ error: "Method not allowed" });
-      return;
-    }
+  return {
+    habitType: "custom",
+    media: imageMedia(imageBase64),
+    options: { habitName, aiPrompt, allowsScreenshots }
+  };
+});
 
-    try {
-      const { imageBase64, habitName, aiPrompt, allowsScreenshots } = req.body;
+exports.verifyVideo = createVerifyEndpoint("verifyVideo", (body) => {
+  const { frames, habitName, aiPrompt, duration } = body;
 
-      if (!imageBase64 || !habitName) {
-        res.status(400).json({ error: "Missing required fields" });
-        return;
-      }
+  if (!frames || !Array.isArray(frames) || frames.length === 0 || !habitName) {
+    throw new RequestError(400, "invalid_request", "Missing required fields");
+  }
 
-      // Validate and sanitize inputs to prevent prompt injection
-      const habitNameValidation = validateHabitName(habitName);
-      if (!habitNameValidation.valid) {
-        res.status(400).json({ error: habitNameValidation.error });
-        return;
-      }
+  return {
+    habitType: "customVideo",
+    media: { kind: "video", frames, duration },
+    options: { habitName, aiPrompt }
+  };
+});
 
-      const aiPromptValidation = validateAIPrompt(aiPrompt);
-      if (!aiPromptValidation.valid) {
-        res.status(400).json({ error: aiPromptValidation.error });
-        return;
-      }
+// Generic endpoint for predefined AI-verified habits (user-defined habits not allowed)
+exports.verifyPredefinedHabit = createVerifyEndpoint("verifyPredefinedHabit", ({ imageBase64, habitType }) => {
+  if (!imageBase64 || !habitType) {
+    throw new RequestError(400, "invalid_request", "Missing imageBase64 or habitType");
+  }
 
-      // Sanitize inputs before using in prompt
-      const sanitizedHabitName = sanitizeForPrompt(habitName);
-      const sanitizedCriteria = aiPrompt ? sanitizeForPrompt(aiPrompt) : "Verify that this habit has been completed.";
-
-      const screenshotGuidance = allowsScreenshots ? `SCREENSHOT POLICY: Screenshots ARE ACCEPTED for this habit.
-- Screenshots showing app interfaces, phone calls, messages, or activity are valid proof
-- Only reject screenshots if they're obviously fake, heavily edited, or completely unrelated
-- Focus on whether the screenshot shows legitimate proof of the habit` : `SCREENSHOT POLICY: Screenshots are NOT ACCEPTED for this habit.
-- If this appears to be a screenshot (phone screen, app interface, status bar visible), reject it
-- The user must provide a live camera photo as proof
-- Politely ask them to take a real photo if you detect a screenshot`;
-
-      const prompt = `ROLE: You are a sharp-eyed habit verification AI. Be honest, specific, and catch gaming attempts.
-
-TASK: Verify this photo for the custom habit "${sanitizedHabitName}" using the user's criteria.
-
-User's verification criteria: ${sanitizedCriteria}
-
-${screenshotGuidance}
-
-═══════════════════════════════════════════════════════════════
-STEP 1: IDENTIFY WHAT'S IN THE PHOTO
-═══════════════════════════════════════════════════════════════
-Set detected_subject to a brief description of what you actually see.
-Examples: "person exercising", "notebook with writing", "kitchen counter", "bathroom sink", "random object", "screenshot"
-
-Gaming detection - FAIL immediately if you see:
-- Stock photo / obviously not personal
-- Completely unrelated to "${sanitizedHabitName}"
-
-If unrelated, respond:
-{"is_verified": false, "detected_subject": "[what you see]", "feedback": "I see [specific thing], but I need to see proof of ${sanitizedHabitName}!"}
-
-═══════════════════════════════════════════════════════════════
-STEP 2: SCORE THE PHOTO (0-100 points)
-═══════════════════════════════════════════════════════════════
-
-RELEVANCE TO HABIT (0-40):
-  40: Perfectly captures the habit being done
-  30: Clearly shows the habit activity
-  20: Related but indirect evidence
-  10: Loosely connected
-  0:  Completely unrelated
-
-CRITERIA MATCH (0-40):
-  40: Fully meets user's verification criteria
-  30: Mostly meets criteria
-  20: Partially meets criteria
-  10: Barely addresses criteria
-  0:  Doesn't match at all
-
-CLARITY & EFFORT (0-20):
-  20: Clear photo, obvious effort
-  15: Reasonably clear
-  10: Somewhat unclear but acceptable
-  5:  Poor quality but discernible
-  0:  Cannot determine what's shown
-
-═══════════════════════════════════════════════════════════════
-STEP 3: RESPOND WITH SPECIFIC FEEDBACK
-═══════════════════════════════════════════════════════════════
-- is_verified = true ONLY if score >= 65
-- Feedback must be SPECIFIC to what you see. Keep it to 2 sentences max.
-  * Score >= 85: Celebrate! ("Perfect! That's exactly what I'm looking for!")
-  * Score 65-84: Acknowledge with encouragement
-  * Score 40-64: Name what's missing ("I see X, but I need to see Y")
-  * Score < 40: Explain what would count as valid proof
-
-JSON format (detected_subject required):
-{"is_verified": boolean, "detected_subject": "brief description", "feedback": "specific message"}`;
-
-      const result = await callClaudeAPI(
-        getApiKey(),
-        imageBase64,
-        prompt,
-        512
-      );
+  const definition = getHabitDefinition(habitType);
+  if (!definition || definition.custom) {
+    throw new RequestError(400, "unknown_habit_type", `Unknown habit type: ${habitType}`);
+  }
 
-      res.json(result);
-    } catch (error) {
-      console.error("verifyCustomHabit error:", error);
-      res.status(500).json({ error: "Verification failed" });
-    }
-  });
+  return { habitType, media: imageMedia(imageBase64) };
+});
 
-// Verify Video endpoint
-exports.verifyVideo = functions
-  .runWith({ secrets: ["CLAUDE_API_KEY"] })
-  .https.onRequest(async (req, res) => {
-    setCorsHeaders(res);
+// Written entries for journaling habits (gratitude, dailyPlanning)
+// Body: { habitType, text, reflection? }; reflection: true asks for a short
+// reflection on a passing entry
+exports.verifyTextEntry = createVerifyEndpoint("verifyTextEntry", ({ habitType, text, reflection }) => {
+  if (!habitType || !text) {
+    throw new RequestError(400, "invalid_request", "Missing habitType or text");
+  }
 
-    if (req.method === "OPTIONS") {
-      res.status(204).send("");
-      return;
-    }
+  return { habitType, media: { kind: "text", text }, options: { reflection } };
+});
 
-    if (req.method !== "POST") {
-      res.status(405).json({ error: "Method not allowed" });
+// Suggested setup for a new custom habit, to prefill CustomHabitCreationSheet
+// Body: { habitName, description? } -> { draft: { criteria, proofType, allowsScreenshots,
+// examples: { good, bad }, iconCategory, icon, promptVersion } }
+// criteria is meant to be saved as the habit's aiPrompt.
+exports.draftHabitCriteria = createJsonEndpoint("draftHabitCriteria", async (req, res, caller) => {
+  const request = parseDraftRequest(req.body || {});
+
+  if (!(await enforceRateLimit(req, res, HABIT_DRAFT_PROMPT_KEY, caller))) return;
+
+  try {
+    const promptVersion = await assignPromptVersion(HABIT_DRAFT_PROMPT_KEY, getSubjectKey(req, caller));
+    res.json({ draft: await draftHabitCriteria(request, promptVersion, getVerifyDeadline(req.startedAt)) });
+  } catch (error) {
+    if (error instanceof ClaudeAPIError) {
+      sendClaudeError(res, error, "draftHabitCriteria", caller);
       return;
     }
+    throw error;
+  }
+}, { secrets: ["CLAUDE_API_KEY"], timeoutSeconds: VERIFY_TIMEOUT_SECONDS });
+
+// Second opinion on a failed verdict (see src/appeals.js)
+// Body: { appealId (the failed response's appeal_id), media } with the same media as the
+// original, or { appealId, imageBase64 } for a single photo
+// -> the verify envelope of the decision, plus appeal: { id, outcome: "overturned" | "upheld",
+// passVotes, samples } and the streak. An overturned verdict counts as a pass everywhere.
+exports.appealVerification = createJsonEndpoint("appealVerification", async (req, res, caller) => {
+  if (!requireUser(res, caller)) return;
+  const { appealId, media, imageBase64 } = req.body || {};
+
+  try {
+    const { appeal, verification } = await loadAppeal(caller.uid, appealId, media || imageMedia(imageBase64));
+
+    // Charged once the appeal is known to be valid
+    if (!(await enforceRateLimit(req, res, "appeal", caller))) return;
+
+    await claimAppeal(appealId);
+    const review = { ...verification, deadline: getVerifyDeadline(req.startedAt) };
+    const result = await reviewAppeal(appealId, appeal, review, caller.uid)
+      .catch(async (error) => {
+        await releaseAppeal(appealId).catch((releaseError) => console.error(`Failed to release appeal ${appealId}:`, releaseError));
+        throw error;
+      });
 
-    try {
-      const { frames, habitName, aiPrompt, duration } = req.body;
-
-      if (!frames || !Array.isArray(frames) || frames.length === 0 || !habitName) {
-        res.status(400).json({ error: "Missing required fields" });
-        return;
+    if (result.appeal.outcome === APPEAL_STATUS.overturned) {
+      const receipt = issueReceipt({
+        uid: caller.uid,
+        habitType: verification.habitType,
+        promptVersion: result.prompt_version,
+        media: verification.media
+      });
+      if (receipt) {
+        result.receipt = receipt;
       }
-
-      // Validate and sanitize inputs
-      const habitNameValidation = validateHabitName(habitName);
-      if (!habitNameValidation.valid) {
-        res.status(400).json({ error: habitNameValidation.error });
-        return;
+      if (appeal.proof) {
+        await recordProof(caller.uid, verification.habitType, appeal.proof, verification.media.kind)
+          .catch((error) => console.error("Failed to record proof:", error));
       }
+      await recordOutcome(caller.uid, verification, result, { id: appealId, createdAt: appeal.createdAt });
+    } else {
+      // The original failure was already recorded everywhere else
+      result.streak = await getStreak(caller.uid, verification.capture.timezone).catch((error) => {
+        console.error(`Failed to read streak (uid: ${caller.uid}):`, error);
+        return null;
+      });
+    }
 
-      const aiPromptValidation = validateAIPrompt(aiPrompt);
-      if (!aiPromptValidation.valid) {
-        res.status(400).json({ error: aiPromptValidation.error });
-        return;
-      }
+    res.json(result);
+  } catch (error) {
+    if (error instanceof ClaudeAPIError) {
+      sendClaudeError(res, error, "appealVerification", caller);
+      return;
+    }
+    throw error;
+  }
+}, { secrets: ["CLAUDE_API_KEY", "RECEIPT_SIGNING_KEY"], timeoutSeconds: VERIFY_TIMEOUT_SECONDS });
+
+// Background video verification, for frame sets too big or slow for one request
+// Body: { habitType?, media: { kind: "video", frames | framePaths, duration }, options?, timezone?,
+// morningWindow?, notify? } -> { job }
+// habitType defaults to customVideo. framePaths reference frames already uploaded to
+// Cloud Storage under verificationUploads/{uid}/. notify sends a push when the job finishes.
+exports.createVerificationJob = createJsonEndpoint("createVerificationJob", async (req, res, caller) => {
+  if (!requireUser(res, caller)) return;
+  const body = req.body || {};
+
+  const request = parseJobRequest(caller.uid, {
+    habitType: body.habitType,
+    media: body.media,
+    options: body.options,
+    capture: { timezone: body.timezone, morningWindow: body.morningWindow },
+    notify: body.notify
+  });
 
-      const sanitizedHabitName = sanitizeForPrompt(habitName);
-      const sanitizedCriteria = aiPrompt ? sanitizeForPrompt(aiPrompt) : "Verify that this action was performed.";
-
-      // Build content array with all frames
-      const content = [];
-      frames.forEach((frameBase64, index) => {
-        content.push({
-          type: "image",
-          source: {
-            type: "base64",
-            media_type: "image/jpeg",
-            data: frameBase64
-          }
-        });
-        content.push({
-          type: "text",
-          text: `Frame ${index + 1} of ${frames.length}`
-        });
-      });
+  // Charged when the job is created, against the same quota as the verify endpoints
+  if (!(await enforceRateLimit(req, res, request.habitType, caller))) return;
 
-      const prompt = `ROLE: You are a sharp-eyed action verification AI. Analyze video frames to verify the user completed their habit.
-
-TASK: Verify this video for the habit "${sanitizedHabitName}" using the user's criteria.
-
-You are seeing ${frames.length} frames extracted from a ${Math.round(duration)}-second video, shown in chronological order.
-
-User's verification criteria: ${sanitizedCriteria}
-
-═══════════════════════════════════════════════════════════════
-CRITICAL - ANALYZE AS A SEQUENCE
-═══════════════════════════════════════════════════════════════
-These frames show PROGRESSION over time, not separate photos:
-1. Look for evidence the ACTION was actually performed
-2. Verify movement/change between frames shows the activity
-3. Be lenient on form/perfection but verify the core action happened
-
-═══════════════════════════════════════════════════════════════
-DETECT CHEATING
-═══════════════════════════════════════════════════════════════
-FAIL immediately if you detect:
-- Video of a video / screen recording
-- Still images with no movement between frames
-- Completely unrelated content
-- Someone else doing the action (not the user)
-
-═══════════════════════════════════════════════════════════════
-VERIFICATION CRITERIA
-═══════════════════════════════════════════════════════════════
-PASS (is_verified: true) if:
-- Frames show clear progression of the described action
-- The action matches the habit "${sanitizedHabitName}"
-- Movement between frames indicates real activity
-
-FAIL (is_verified: false) if:
-- No relevant action visible
-- Static/no movement (just showing equipment doesn't count)
-- Content doesn't match the criteria
-- Obvious cheating attempt
-
-═══════════════════════════════════════════════════════════════
-RESPOND WITH SPECIFIC FEEDBACK
-═══════════════════════════════════════════════════════════════
-Keep feedback to 2 sentences max.
-- If passed: Acknowledge what you saw ("Great form on those pushups!")
-- If failed: Explain specifically what was missing or wrong
-- detected_action: Brief description of what you actually saw happen
-- confidence: "high" if very clear, "medium" if some uncertainty, "low" if barely passed
-
-JSON format (all fields required):
-{"is_verified": boolean, "feedback": "specific message", "detected_action": "what happened", "confidence": "high/medium/low"}`;
-
-      content.push({
-        type: "text",
-        text: prompt
-      });
+  res.json({ job: await createJob(caller.uid, request) });
+});
 
-      // Call Claude API with video frames
-      const requestBody = {
-        model: CLAUDE_MODEL,
-        max_tokens: 512,
-        messages: [
-          {
-            role: "user",
-            content: content
-          }
-        ]
-      };
-
-      const response = await fetch(CLAUDE_API_URL, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "anthropic-version": "2023-06-01",
-          "x-api-key": getApiKey()
-        },
-        body: JSON.stringify(requestBody)
-      });
+// Poll a verification job
+// Body: { jobId } -> { job: { jobId, status, habitType, attempts, result, error, createdAt, updatedAt, completedAt } }
+// status: queued | processing | retrying | completed (result is the verify response) | failed (error: { code, message })
+exports.getVerificationJob = createJsonEndpoint("getVerificationJob", async (req, res, caller) => {
+  if (!requireUser(res, caller)) return;
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`Claude API error: ${response.status} - ${errorText}`);
-        res.status(500).json({ error: "Verification failed" });
-        return;
-      }
+  res.json({ job: await getJob(caller.uid, (req.body || {}).jobId) });
+});
 
-      const responseData = await response.json();
-      const textContent = responseData.content.find(c => c.type === "text");
+// Verification for a job: the same checks and bookkeeping as the verify
+// endpoints, on behalf of the job's owner
+const runJobVerification = async ({ uid, habitType, media, options, capture, deadline }) => {
+  const verification = { ...prepareVerification({ habitType, media, options, capture }), deadline };
+  const result = await verifyProof("processVerificationJob", null, { uid }, verification);
+  await recordOutcome(uid, verification, result);
+  return result;
+};
 
-      if (!textContent || !textContent.text) {
-        res.status(500).json({ error: "No text response from Claude" });
-        return;
-      }
+// Runs each new job. failurePolicy retries the trigger after a retryable
+// failure; processJob caps the attempts.
+exports.processVerificationJob = functions
+  .runWith({
+    secrets: ["CLAUDE_API_KEY", "RECEIPT_SIGNING_KEY"],
+    timeoutSeconds: VERIFY_TIMEOUT_SECONDS,
+    failurePolicy: true
+  })
+  .firestore.document("verificationJobs/{jobId}")
+  .onCreate((snapshot) => processJob(snapshot.id, runJobVerification));
+
+// Check a receipt returned by a passed verification; receipts expire a day after they're issued
+// Body: { receipt } -> { valid: true, receipt: { uid, habitType, issuedAt, promptVersion, imageHash } }
+// or { valid: false, reason }
+exports.verifyReceipt = createJsonEndpoint("verifyReceipt", async (req, res) => {
+  const { receipt } = req.body || {};
+  if (!receipt || typeof receipt !== "string") {
+    res.status(400).json({ error: "Missing receipt", code: "invalid_request" });
+    return;
+  }
 
-      // Extract JSON from response
-      let responseText = textContent.text.trim();
-      if (responseText.startsWith("```json")) {
-        responseText = responseText.slice(7);
-      } else if (responseText.startsWith("```")) {
-        responseText = responseText.slice(3);
-      }
-      if (responseText.endsWith("```")) {
-        responseText = responseText.slice(0, -3);
-      }
-      responseText = responseText.trim();
+  res.json(verifyReceipt(receipt));
+}, { secrets: ["RECEIPT_SIGNING_KEY"] });
 
-      const jsonStart = responseText.indexOf("{");
-      const jsonEnd = responseText.lastIndexOf("}");
-      if (jsonStart !== -1 && jsonEnd !== -1) {
-        responseText = responseText.slice(jsonStart, jsonEnd + 1);
-      }
+// Endpoints below act on the caller's own data and need a signed-in user
+const requireUser = (res, caller) => {
+  if (!caller.uid) {
+    res.status(401).json({ error: "Sign in required", code: "unauthenticated" });
+    return false;
+  }
+  return true;
+};
 
-      res.json(JSON.parse(responseText));
-    } catch (error) {
-      console.error("verifyVideo error:", error);
-      res.status(500).json({ error: "Verification failed" });
-    }
-  });
+// Reject an unknown timezone; returns the timezone (or null) or undefined after responding
+const readTimezone = (res, timezone) => {
+  if (timezone === undefined || timezone === null) return null;
+  if (!isValidTimezone(timezone)) {
+    res.status(400).json({ error: `Unknown timezone: ${timezone}`, code: "invalid_request" });
+    return undefined;
+  }
+  return timezone;
+};
 
-// Verify Predefined Habit endpoint (generic for new AI-verified habits)
-exports.verifyPredefinedHabit = functions
-  .runWith({ secrets: ["CLAUDE_API_KEY"] })
-  .https.onRequest(async (req, res) => {
-    setCorsHeaders(res);
+// Current streak
+// Body: { timezone? } -> { streak: { currentStreak, longestStreak, totalCompletions, lastCompletionDate, completedToday, today } }
+// Days are counted in the timezone pinned by the user's first completion; a
+// client timezone only applies before that (see setStreakTimezone).
+exports.getStreak = createJsonEndpoint("getStreak", async (req, res, caller) => {
+  if (!requireUser(res, caller)) return;
+  const timezone = readTimezone(res, (req.body || {}).timezone);
+  if (timezone === undefined) return;
+
+  res.json({ streak: await getStreak(caller.uid, timezone) });
+});
+
+// Change the timezone streak days are counted in, e.g. after moving
+// Body: { timezone } -> { streak }
+exports.setStreakTimezone = createJsonEndpoint("setStreakTimezone", async (req, res, caller) => {
+  if (!requireUser(res, caller)) return;
+  const timezone = readTimezone(res, (req.body || {}).timezone);
+  if (timezone === undefined) return;
+  if (timezone === null) {
+    res.status(400).json({ error: "Missing timezone", code: "invalid_request" });
+    return;
+  }
 
-    if (req.method === "OPTIONS") {
-      res.status(204).send("");
-      return;
-    }
+  if (!(await enforceRateLimit(req, res, "streakTimezone", caller))) return;
+
+  res.json({ streak: await setStreakTimezone(caller.uid, timezone) });
+});
+
+// Verified completions per day, oldest first
+// Body: { from?, to?, timezone? } with dates as YYYY-MM-DD; defaults to the last 30 days
+// -> { days: [{ date, habits: [{ habitType, completedAt }] }] }
+exports.getDailyLogs = createJsonEndpoint("getDailyLogs", async (req, res, caller) => {
+  if (!requireUser(res, caller)) return;
+  const body = req.body || {};
+  const timezone = readTimezone(res, body.timezone);
+  if (timezone === undefined) return;
+
+  const to = body.to || getToday(timezone);
+  const from = body.from || addDays(to, -29);
+  if (!isDateString(from) || !isDateString(to)) {
+    res.status(400).json({ error: "from and to must be dates (YYYY-MM-DD)", code: "invalid_request" });
+    return;
+  }
+  const span = daysBetween(from, to);
+  if (span < 0 || span >= MAX_LOG_RANGE_DAYS) {
+    res.status(400).json({ error: `Date range must be 1-${MAX_LOG_RANGE_DAYS} days`, code: "invalid_request" });
+    return;
+  }
 
-    if (req.method !== "POST") {
-      res.status(405).json({ error: "Method not allowed" });
+  res.json({ days: await listDailyLogs(caller.uid, from, to) });
+});
+
+// Opt-in verification history (proof gallery), newest first
+// Body: { action: "settings", enabled? } -> { settings: { enabled } }
+// Body: { action: "list", limit?, before? (createdAt ms) } -> { records }
+// Body: { action: "get", recordId } -> { record }
+// Body: { action: "delete", recordId } -> { deleted: true }
+// Body: { action: "clear" } -> { deleted: <record count> }
+// Records: { id, habitType, passed, feedback, detected_subject, promptVersion, reason,
+// mediaKind, date, createdAt, thumbnail (base64 JPEG or null) }
+exports.verificationHistory = createJsonEndpoint("verificationHistory", async (req, res, caller) => {
+  if (!requireUser(res, caller)) return;
+  const { action, ...params } = req.body || {};
+
+  switch (action) {
+    case "settings":
+      res.json({ settings: await updateHistorySettings(caller.uid, params) });
       return;
-    }
+    case "list":
+      res.json({ records: await listHistory(caller.uid, params) });
+      return;
+    case "get":
+      res.json({ record: await getHistoryRecord(caller.uid, params.recordId) });
+      return;
+    case "delete":
+      await deleteHistoryRecord(caller.uid, params.recordId);
+      res.json({ deleted: true });
+      return;
+    case "clear":
+      res.json({ deleted: await clearHistory(caller.uid) });
+      return;
+    default:
+      res.status(400).json({ error: `Unknown action: ${action}`, code: "invalid_request" });
+  }
+});
+
+// Streak freeze tokens
+// Body: { action: "status" } -> { streak, recoverableDate }
+// Body: { action: "recover", date: "YYYY-MM-DD" } -> { recovered: true, streak },
+// or 409 { error, code } when the rules refuse it (see RECOVERY_ERRORS)
+// Both accept an optional timezone.
+exports.streakRecovery = createJsonEndpoint("streakRecovery", async (req, res, caller) => {
+  if (!requireUser(res, caller)) return;
+  const { action = "status", date } = req.body || {};
+  const timezone = readTimezone(res, (req.body || {}).timezone);
+  if (timezone === undefined) return;
+
+  const request = { uid: caller.uid, isPremium: caller.isPremium, timezone };
+
+  if (action === "status") {
+    res.json(await getRecoveryStatus(request));
+    return;
+  }
 
-    try {
-      const { imageBase64, habitType } = req.body;
+  if (action !== "recover") {
+    res.status(400).json({ error: `Unknown action: ${action}`, code: "invalid_request" });
+    return;
+  }
+  if (!isDateString(date)) {
+    res.status(400).json({ error: "date must be a date (YYYY-MM-DD)", code: "invalid_request" });
+    return;
+  }
 
-      if (!imageBase64 || !habitType) {
-        res.status(400).json({ error: "Missing imageBase64 or habitType" });
-        return;
+  const result = await recoverMissedDay({ ...request, date });
+  if (!result.recovered) {
+    console.warn(`streakRecovery refused (uid: ${caller.uid}): ${result.reason} for ${date}`);
+    res.status(409).json({ error: RECOVERY_ERRORS[result.reason], code: result.reason });
+    return;
+  }
+  res.json(result);
+});
+
+// Accountability partner pairing
+// Body: { action: "invite" } -> { code, expiresAt }
+// Body: { action: "accept", code } -> { partnerUid, pairId }
+// Body: { action: "leave" } -> { left: true }
+// Body: { action: "settings", shareThumbnails?, routineHabits?, displayName? } -> { settings }
+exports.partnerPairing = createJsonEndpoint("partnerPairing", async (req, res, caller) => {
+  if (!requireUser(res, caller)) return;
+  const { action, ...params } = req.body || {};
+
+  switch (action) {
+    case "invite":
+      if (!(await enforceRateLimit(req, res, "partnerInvite", caller))) return;
+      res.json(await createInvite(caller.uid));
+      return;
+    case "accept": {
+      if (!(await enforceRateLimit(req, res, "partnerAccept", caller))) return;
+      // Wrong codes count per account and per IP (a null caller), so neither
+      // new accounts nor one account can keep guessing
+      for (const subject of [caller, null]) {
+        if (!(await enforceRateLimit(req, res, "partnerInviteMiss", subject, { consume: false }))) return;
       }
-
-      // Look up prompt by habit type
-      const prompt = PROMPTS[habitType];
-      if (!prompt) {
-        res.status(400).json({ error: `Unknown habit type: ${habitType}` });
-        return;
+      try {
+        res.json(await acceptInvite(caller.uid, params.code));
+      } catch (error) {
+        if (error instanceof RequestError && INVITE_LOOKUP_FAILURES.includes(error.code)) {
+          await Promise.all([caller, null].map((subject) => countRateLimit(req, "partnerInviteMiss", subject)));
+        }
+        throw error;
       }
-
-      const result = await callClaudeAPI(
-        getApiKey(),
-        imageBase64,
-        prompt,
-        256
-      );
-
-      res.json(result);
-    } catch (error) {
-      console.error("verifyPredefinedHabit error:", error);
-      res.status(500).json({ error: "Verification failed" });
+      return;
     }
-  });
+    case "leave":
+      await leavePartnership(caller.uid);
+      res.json({ left: true });
+      return;
+    case "settings":
+      res.json({ settings: await updateSettings(caller.uid, params) });
+      return;
+    default:
+      res.status(400).json({ error: `Unknown action: ${action}`, code: "invalid_request" });
+  }
+});
+
+// Shared feed of both partners' passed verifications, newest first
+// Body: { limit?, before? (createdAt ms) }
+// -> { entries: [{ id, uid, habitType, feedback, detected_subject, date, createdAt, thumbnail?, fromPartner }] }
+exports.partnerFeed = createJsonEndpoint("partnerFeed", async (req, res, caller) => {
+  if (!requireUser(res, caller)) return;
+  const { limit, before } = req.body || {};
+
+  res.json({ entries: await listFeed(caller.uid, { limit, before }) });
+});
+
+// Whether the caller's partner has finished their morning
+// -> { partnerUid, displayName, today, completedHabits, routineHabits, finished }
+exports.partnerStatus = createJsonEndpoint("partnerStatus", async (req, res, caller) => {
+  if (!requireUser(res, caller)) return;
+
+  res.json(await getPartnerStatus(caller.uid));
+});
+
+// Group challenges
+// Body: { action: "create", name, habitTypes, durationDays, timezone, requireAll?, startDate?, displayName? } -> { challenge }
+// Body: { action: "join", joinCode, displayName? } -> { challenge }
+// Body: { action: "leave", challengeId } -> { left: true }
+// Body: { action: "list" } -> { challenges }
+exports.challenges = createJsonEndpoint("challenges", async (req, res, caller) => {
+  if (!requireUser(res, caller)) return;
+  const { action, ...params } = req.body || {};
+
+  switch (action) {
+    case "create":
+      res.json({ challenge: await createChallenge(caller.uid, params) });
+      return;
+    case "join":
+      res.json({ challenge: await joinChallenge(caller.uid, params) });
+      return;
+    case "leave":
+      await leaveChallenge(caller.uid, params.challengeId);
+      res.json({ left: true });
+      return;
+    case "list":
+      res.json({ challenges: await listChallenges(caller.uid) });
+      return;
+    default:
+      res.status(400).json({ error: `Unknown action: ${action}`, code: "invalid_request" });
+  }
+});
+
+// Challenge standings, as of the last daily scoring run
+// Body: { challengeId }
+// -> { challenge, lastScoredDate, entries: [{ rank, uid, displayName, points, daysCompleted, currentStreak, longestStreak, isMe }] }
+exports.challengeLeaderboard = createJsonEndpoint("challengeLeaderboard", async (req, res, caller) => {
+  if (!requireUser(res, caller)) return;
+
+  res.json(await getLeaderboard(caller.uid, (req.body || {}).challengeId));
+});
+
+// Daily challenge scoring. 12:00 UTC is after local midnight in every
+// timezone, so each challenge's previous day is complete when this runs.
+exports.scoreChallenges = functions.pubsub
+  .schedule("0 12 * * *")
+  .timeZone("UTC")
+  .onRun(() => scoreChallenges());
+
+// Push notification settings and device tokens
+// Body: { action: "get" } -> { settings }
+// Body: { action: "update", timezone?, deadlineMinutes?, reminderMinutes?, quietHours?, enabled? } -> { settings }
+// Body: { action: "registerToken" | "unregisterToken", fcmToken } -> { settings }
+// settings: { timezone, deadlineMinutes, reminderMinutes, quietHours, enabled, registeredDevices }
+exports.notificationSettings = createJsonEndpoint("notificationSettings", async (req, res, caller) => {
+  if (!requireUser(res, caller)) return;
+  const { action = "get", ...params } = req.body || {};
+
+  switch (action) {
+    case "get":
+      res.json({ settings: await getNotificationSettings(caller.uid) });
+      return;
+    case "update":
+      res.json({ settings: await updateNotificationSettings(caller.uid, params) });
+      return;
+    case "registerToken":
+      res.json({ settings: await registerToken(caller.uid, params.fcmToken) });
+      return;
+    case "unregisterToken":
+      res.json({ settings: await unregisterToken(caller.uid, params.fcmToken) });
+      return;
+    default:
+      res.status(400).json({ error: `Unknown action: ${action}`, code: "invalid_request" });
+  }
+});
+
+// Morning reminder, streak-at-risk and partner nudge pushes. Runs every
+// 15 minutes; each user's pushes are timed in their own timezone.
+exports.sendMorningNotifications = functions.pubsub
+  .schedule("every 15 minutes")
+  .timeZone("UTC")
+  .onRun(() => sendScheduledNotifications());
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+// Add stock / widely shared images to the duplicate check's list.
+//
+//   npm run stock-hashes -- <image.jpg> [...]
+//
+// Hashes each JPEG (see src/imageHash.js) into src/data/stockPhotoHashes.json,
+// skipping ones already listed. Use the flagged submission itself or the
+// original it was taken from; commit the updated list and deploy.
+
+const fs = require("fs");
+const path = require("path");
+
+const { hashImage } = require("../src/imageHash");
+
+const LIST_PATH = path.join(__dirname, "..", "src", "data", "stockPhotoHashes.json");
+
+const main = () => {
+  const files = process.argv.slice(2);
+  if (files.length === 0) {
+    throw new Error("Usage: npm run stock-hashes -- <image.jpg> [...]");
+  }
+
+  const list = JSON.parse(fs.readFileSync(LIST_PATH, "utf8"));
+  const hashes = new Set(list.hashes);
+
+  files.forEach((file) => {
+    const hash = hashImage(fs.readFileSync(file).toString("base64"));
+    if (!hash) {
+      throw new Error(`Not a readable JPEG: ${file}`);
+    }
+    console.log(`${hashes.has(hash) ? "already listed" : "added"}  ${hash}  ${file}`);
+    hashes.add(hash);
+  });
+
+  fs.writeFileSync(LIST_PATH, JSON.stringify({ ...list, hashes: [...hashes] }, null, 2) + "\n");
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
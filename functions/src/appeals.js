@@ -0,0 +1,185 @@
+const admin = require("firebase-admin");
+const { RequestError } = require("./errors");
+const { getModelForHabit } = require("./config");
+const { getPromptVersionById } = require("./promptRegistry");
+const { hashMedia } = require("./receipts");
+const { getToday } = require("./streaks");
+const {
+  VERIFY_TIMEOUT_SECONDS,
+  prepareVerification,
+  runVerification,
+} = require("./verify");
+
+// Second opinions on failed verdicts. When the model fails a signed-in user's
+// proof, an appeal is opened and its id returned as appeal_id. Appealing
+// resends the same proof; it is judged APPEAL_SAMPLES times by the appeal
+// model with the original prompt version, and the majority decides.
+// Server-side rejections (freshness, motion, duplicates, ...) can't be appealed.
+// - appeals/{appealId}: { uid, habitType, options, capture, mediaKind, mediaHash, proof,
+//   promptVersion, feedback, date, status, createdAt, claimedAt, decidedAt, passVotes, samples }
+// status: open | reviewing | upheld | overturned
+// proof is the duplicate check's fingerprint (see duplicates.js), recorded if the appeal is overturned
+// The habit, options and capture context are the original request's; only the
+// media is resent, and must hash to the original.
+const APPEALS_COLLECTION = "appeals";
+
+const APPEAL_STATUS = {
+  open: "open",
+  reviewing: "reviewing",
+  upheld: "upheld",
+  overturned: "overturned"
+};
+
+// Odd, so there is always a majority
+const APPEAL_SAMPLES = 3;
+
+// HABIT_MODELS key for the model appeals are judged by
+const APPEAL_MODEL_KEY = "appeal";
+
+// A review claim older than the function timeout was abandoned and can be retaken
+const STALE_CLAIM_MS = VERIFY_TIMEOUT_SECONDS * 1000;
+
+const appealsRef = () => admin.firestore().collection(APPEALS_COLLECTION);
+const appealRef = (appealId) => appealsRef().doc(appealId);
+
+// Firestore rejects undefined fields; legacy endpoints leave unset options undefined
+const withoutUndefined = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined)
+);
+
+// Open an appeal for a failed model verdict. Returns the appeal id.
+const openAppeal = async (uid, verification, result, proof = null, nowMs = Date.now()) => {
+  const { habitType, options, capture, media } = verification;
+  const ref = appealsRef().doc();
+
+  await ref.set({
+    uid,
+    habitType,
+    options: withoutUndefined(options),
+    capture: { timezone: capture.timezone, morningWindow: capture.morningWindow },
+    mediaKind: media.kind,
+    mediaHash: hashMedia(media),
+    proof,
+    promptVersion: result.prompt_version,
+    feedback: result.feedback,
+    // Appeals are decided on the day of the verification they appeal
+    date: getToday(capture.timezone, nowMs),
+    status: APPEAL_STATUS.open,
+    createdAt: nowMs
+  });
+  return ref.id;
+};
+
+const isClaimable = (appeal, nowMs) => appeal.status === APPEAL_STATUS.open
+  || (appeal.status === APPEAL_STATUS.reviewing && nowMs - appeal.claimedAt >= STALE_CLAIM_MS);
+
+// Check uid may appeal appealId with this proof and rebuild the original
+// verification around it. Returns { appeal, verification }.
+// Throws RequestError, including for malformed media.
+const loadAppeal = async (uid, appealId, media, nowMs = Date.now()) => {
+  if (typeof appealId !== "string" || !appealId || appealId.includes("/")) {
+    throw new RequestError(400, "invalid_request", "Missing appealId");
+  }
+
+  const snapshot = await appealRef(appealId).get();
+  if (!snapshot.exists || snapshot.data().uid !== uid) {
+    throw new RequestError(404, "appeal_not_found", "Appeal not found");
+  }
+
+  const appeal = snapshot.data();
+  if (appeal.status === APPEAL_STATUS.upheld || appeal.status === APPEAL_STATUS.overturned) {
+    throw new RequestError(409, "appeal_closed", "This verification has already been appealed");
+  }
+  if (!isClaimable(appeal, nowMs)) {
+    throw new RequestError(409, "appeal_in_progress", "This appeal is already being reviewed");
+  }
+  if (getToday(appeal.capture.timezone, nowMs) !== appeal.date) {
+    throw new RequestError(409, "appeal_expired", "Appeals must be made on the day of the verification");
+  }
+
+  const verification = prepareVerification({
+    habitType: appeal.habitType,
+    media,
+    options: appeal.options,
+    capture: appeal.capture
+  });
+  if (hashMedia(verification.media) !== appeal.mediaHash) {
+    throw new RequestError(400, "proof_mismatch", "Send the same proof as the verification you are appealing");
+  }
+
+  return { appeal, verification };
+};
+
+// Mark an appeal as under review, so it is decided once
+const claimAppeal = async (appealId, nowMs = Date.now()) => {
+  const ref = appealRef(appealId);
+
+  await admin.firestore().runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    if (!isClaimable(snapshot.data(), nowMs)) {
+      throw new RequestError(409, "appeal_in_progress", "This appeal is already being reviewed");
+    }
+    transaction.update(ref, { status: APPEAL_STATUS.reviewing, claimedAt: nowMs });
+  });
+};
+
+// Reopen an appeal whose review failed before a decision, so it can be retried
+const releaseAppeal = (appealId) => appealRef(appealId).update({ status: APPEAL_STATUS.open, claimedAt: null });
+
+// Judge a claimed appeal and record the outcome. Returns the deciding
+// sample's verify envelope plus appeal: { id, outcome, passVotes, samples }.
+// When failed samples leave no majority either way, the first sample error is
+// thrown and the appeal stays undecided.
+const reviewAppeal = async (appealId, appeal, verification, uid, nowMs = Date.now()) => {
+  const review = {
+    ...verification,
+    promptVersion: getPromptVersionById(appeal.promptVersion),
+    model: getModelForHabit(APPEAL_MODEL_KEY),
+    source: "appeal",
+    uid
+  };
+  const settled = await Promise.allSettled(
+    Array.from({ length: APPEAL_SAMPLES }, () => runVerification(review))
+  );
+
+  const verdicts = settled.filter(({ status }) => status === "fulfilled").map(({ value }) => value);
+  const passes = verdicts.filter((verdict) => verdict.passed);
+  const failures = verdicts.filter((verdict) => !verdict.passed);
+  const majority = Math.floor(APPEAL_SAMPLES / 2) + 1;
+
+  if (passes.length < majority && failures.length < majority) {
+    throw settled.find(({ status }) => status === "rejected").reason;
+  }
+
+  const outcome = passes.length >= majority ? APPEAL_STATUS.overturned : APPEAL_STATUS.upheld;
+  await appealRef(appealId).update({
+    status: outcome,
+    decidedAt: nowMs,
+    passVotes: passes.length,
+    samples: APPEAL_SAMPLES
+  });
+
+  console.log(JSON.stringify({
+    event: "appeal",
+    habitType: appeal.habitType,
+    promptVersion: appeal.promptVersion,
+    outcome,
+    passVotes: passes.length,
+    uid
+  }));
+
+  return {
+    ...(outcome === APPEAL_STATUS.overturned ? passes[0] : failures[0]),
+    appeal: { id: appealId, outcome, passVotes: passes.length, samples: APPEAL_SAMPLES }
+  };
+};
+
+module.exports = {
+  APPEAL_SAMPLES,
+  APPEAL_STATUS,
+  claimAppeal,
+  loadAppeal,
+  openAppeal,
+  releaseAppeal,
+  reviewAppeal,
+};
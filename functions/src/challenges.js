@@ -0,0 +1,382 @@
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const { RequestError } = require("./errors");
+const { HABITS } = require("./habits");
+const { addDays, daysBetween, getLocalParts, isDateString, isValidTimezone } = require("./timezone");
+
+// Group challenges ("30 days of made beds"): members earn points for each
+// challenge day on which their verify calls passed the challenge's habit types.
+// Days are calendar days in the challenge's timezone.
+// - challenges/{id}: { name, rules: { habitTypes, requireAll }, startDate, endDate, timezone,
+//   joinCode, createdBy, memberCount, lastScoredDate, scoringComplete, createdAt }
+// - challenges/{id}/members/{uid}: { uid, displayName, joinedAt, points, daysCompleted,
+//   currentStreak, longestStreak }
+// - challenges/{id}/results/{date}_{uid}: { uid, date, passedHabits, attempts, updatedAt }
+//   (recorded from verify calls, scored by the daily job)
+// - challengeMemberships/{uid}: { challenges: { <id>: { habitTypes, startDate, endDate, timezone } } }
+//   so a verify call finds the user's challenges with one read
+const CHALLENGES_COLLECTION = "challenges";
+const MEMBERSHIPS_COLLECTION = "challengeMemberships";
+
+const MAX_NAME_LENGTH = 60;
+const MAX_DISPLAY_NAME_LENGTH = 40;
+const MAX_DURATION_DAYS = 90;
+const MAX_MEMBERS = 50;
+const MAX_CHALLENGES_PER_USER = 10;
+// How far ahead a challenge may be scheduled to start
+const MAX_START_DELAY_DAYS = 30;
+
+// A completed day is worth BASE_POINTS plus one per consecutive day before it, up to MAX_STREAK_BONUS
+const BASE_POINTS = 10;
+const MAX_STREAK_BONUS = 5;
+
+const JOIN_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const JOIN_CODE_LENGTH = 8;
+
+const db = () => admin.firestore();
+const challengeRef = (challengeId) => db().collection(CHALLENGES_COLLECTION).doc(challengeId);
+const memberRef = (challengeId, uid) => challengeRef(challengeId).collection("members").doc(uid);
+const resultRef = (challengeId, date, uid) => challengeRef(challengeId).collection("results").doc(`${date}_${uid}`);
+const membershipRef = (uid) => db().collection(MEMBERSHIPS_COLLECTION).doc(uid);
+
+// Habit types a challenge can count: predefined photo habits (user-defined
+// habits all share one habit type, so they can't be compared across users)
+const isChallengeHabit = (habitType) => Object.prototype.hasOwnProperty.call(HABITS, habitType) && !HABITS[habitType].custom;
+
+const generateJoinCode = () => Array.from(
+  { length: JOIN_CODE_LENGTH },
+  () => JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)]
+).join("");
+
+const readDisplayName = (displayName) => {
+  if (displayName === undefined || displayName === null) return null;
+  const name = typeof displayName === "string" ? displayName.trim() : "";
+  if (!name || name.length > MAX_DISPLAY_NAME_LENGTH) {
+    throw new RequestError(400, "invalid_request", `displayName must be 1-${MAX_DISPLAY_NAME_LENGTH} characters`);
+  }
+  return name;
+};
+
+// Validate a create request into the stored challenge fields (without ids/counters)
+const parseChallenge = ({ name, habitTypes, requireAll = false, durationDays, startDate, timezone }, nowMs) => {
+  const trimmedName = typeof name === "string" ? name.trim() : "";
+  if (!trimmedName || trimmedName.length > MAX_NAME_LENGTH) {
+    throw new RequestError(400, "invalid_request", `name must be 1-${MAX_NAME_LENGTH} characters`);
+  }
+  if (!Array.isArray(habitTypes) || habitTypes.length === 0 || !habitTypes.every(isChallengeHabit)) {
+    throw new RequestError(400, "invalid_request", "habitTypes must list predefined habit types");
+  }
+  if (typeof requireAll !== "boolean") {
+    throw new RequestError(400, "invalid_request", "requireAll must be a boolean");
+  }
+  if (!Number.isInteger(durationDays) || durationDays < 1 || durationDays > MAX_DURATION_DAYS) {
+    throw new RequestError(400, "invalid_request", `durationDays must be 1-${MAX_DURATION_DAYS}`);
+  }
+  if (!isValidTimezone(timezone)) {
+    throw new RequestError(400, "invalid_request", `Unknown timezone: ${timezone}`);
+  }
+
+  const today = getLocalParts(timezone, nowMs).date;
+  const start = startDate === undefined ? today : startDate;
+  if (!isDateString(start) || start < today || daysBetween(today, start) > MAX_START_DELAY_DAYS) {
+    throw new RequestError(400, "invalid_request", `startDate must be within the next ${MAX_START_DELAY_DAYS} days`);
+  }
+
+  return {
+    name: trimmedName,
+    rules: { habitTypes: [...new Set(habitTypes)], requireAll },
+    startDate: start,
+    endDate: addDays(start, durationDays - 1),
+    timezone
+  };
+};
+
+const newMember = (uid, displayName, nowMs) => ({
+  uid,
+  displayName,
+  joinedAt: nowMs,
+  points: 0,
+  daysCompleted: 0,
+  currentStreak: 0,
+  longestStreak: 0
+});
+
+const membershipEntry = (challenge) => ({
+  habitTypes: challenge.rules.habitTypes,
+  startDate: challenge.startDate,
+  endDate: challenge.endDate,
+  timezone: challenge.timezone
+});
+
+// Public view of a challenge
+const describeChallenge = (id, challenge) => ({
+  id,
+  name: challenge.name,
+  rules: challenge.rules,
+  startDate: challenge.startDate,
+  endDate: challenge.endDate,
+  timezone: challenge.timezone,
+  joinCode: challenge.joinCode,
+  memberCount: challenge.memberCount
+});
+
+// Add uid to a challenge inside a transaction, after all reads
+const addMember = (transaction, challengeId, challenge, uid, memberships, displayName, nowMs) => {
+  transaction.set(memberRef(challengeId, uid), newMember(uid, displayName, nowMs));
+  transaction.set(membershipRef(uid), { challenges: { ...memberships, [challengeId]: membershipEntry(challenge) } });
+};
+
+const readMemberships = async (transaction, uid) => {
+  const snapshot = await transaction.get(membershipRef(uid));
+  const memberships = snapshot.exists ? snapshot.data().challenges || {} : {};
+  if (Object.keys(memberships).length >= MAX_CHALLENGES_PER_USER) {
+    throw new RequestError(409, "too_many_challenges", `You can be in at most ${MAX_CHALLENGES_PER_USER} challenges`);
+  }
+  return memberships;
+};
+
+// Create a challenge with uid as its first member. Returns the challenge view.
+const createChallenge = async (uid, request, nowMs = Date.now()) => {
+  const fields = parseChallenge(request, nowMs);
+  const displayName = readDisplayName(request.displayName);
+  const ref = db().collection(CHALLENGES_COLLECTION).doc();
+  const challenge = {
+    ...fields,
+    joinCode: generateJoinCode(),
+    createdBy: uid,
+    memberCount: 1,
+    lastScoredDate: null,
+    scoringComplete: false,
+    createdAt: nowMs
+  };
+
+  await db().runTransaction(async (transaction) => {
+    const memberships = await readMemberships(transaction, uid);
+    transaction.set(ref, challenge);
+    addMember(transaction, ref.id, challenge, uid, memberships, displayName, nowMs);
+  });
+
+  return describeChallenge(ref.id, challenge);
+};
+
+// Join by code while the challenge hasn't ended. Returns the challenge view.
+const joinChallenge = async (uid, { joinCode, displayName }, nowMs = Date.now()) => {
+  const code = typeof joinCode === "string" ? joinCode.trim().toUpperCase() : "";
+  if (!code) {
+    throw new RequestError(400, "invalid_request", "Missing joinCode");
+  }
+  const name = readDisplayName(displayName);
+
+  const matches = await db().collection(CHALLENGES_COLLECTION).where("joinCode", "==", code).limit(1).get();
+  if (matches.empty) {
+    throw new RequestError(404, "invalid_join_code", "No challenge has that join code");
+  }
+  const challengeId = matches.docs[0].id;
+
+  return db().runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(challengeRef(challengeId));
+    const challenge = snapshot.data();
+    const member = await transaction.get(memberRef(challengeId, uid));
+    const memberships = await readMemberships(transaction, uid);
+
+    if (member.exists) {
+      throw new RequestError(409, "already_joined", "You're already in this challenge");
+    }
+    if (getLocalParts(challenge.timezone, nowMs).date > challenge.endDate) {
+      throw new RequestError(410, "challenge_ended", "This challenge has already ended");
+    }
+    if (challenge.memberCount >= MAX_MEMBERS) {
+      throw new RequestError(409, "challenge_full", `Challenges are limited to ${MAX_MEMBERS} members`);
+    }
+
+    const updated = { ...challenge, memberCount: challenge.memberCount + 1 };
+    transaction.update(challengeRef(challengeId), { memberCount: updated.memberCount });
+    addMember(transaction, challengeId, challenge, uid, memberships, name, nowMs);
+    return describeChallenge(challengeId, updated);
+  });
+};
+
+// Leave a challenge; the member's score is removed from the leaderboard
+const leaveChallenge = async (uid, challengeId) => {
+  if (typeof challengeId !== "string" || !challengeId) {
+    throw new RequestError(400, "invalid_request", "Missing challengeId");
+  }
+
+  await db().runTransaction(async (transaction) => {
+    const challenge = await transaction.get(challengeRef(challengeId));
+    const member = await transaction.get(memberRef(challengeId, uid));
+    const membership = await transaction.get(membershipRef(uid));
+    if (!challenge.exists || !member.exists) {
+      throw new RequestError(404, "not_a_member", "You're not in this challenge");
+    }
+
+    const { [challengeId]: removed, ...remaining } = membership.exists ? membership.data().challenges || {} : {};
+    transaction.delete(memberRef(challengeId, uid));
+    transaction.set(membershipRef(uid), { challenges: remaining });
+    transaction.update(challengeRef(challengeId), { memberCount: Math.max(0, challenge.data().memberCount - 1) });
+  });
+};
+
+// The caller's challenges
+const listChallenges = async (uid) => {
+  const membership = await membershipRef(uid).get();
+  const ids = Object.keys(membership.exists ? membership.data().challenges || {} : {});
+  const snapshots = await Promise.all(ids.map((id) => challengeRef(id).get()));
+  return snapshots.filter((snapshot) => snapshot.exists).map((snapshot) => describeChallenge(snapshot.id, snapshot.data()));
+};
+
+// Record a verify call's outcome for every running challenge of uid that counts its habit type.
+// overturnedAttemptAt is set when an appeal turned an earlier failed attempt
+// (made at that time) into a pass: the pass is recorded against that attempt,
+// on its day, instead of adding another.
+const recordChallengeResult = async (uid, { habitType, passed, overturnedAttemptAt = null }, nowMs = Date.now()) => {
+  const membership = await membershipRef(uid).get();
+  const challenges = membership.exists ? membership.data().challenges || {} : {};
+  const attemptMs = overturnedAttemptAt ?? nowMs;
+
+  const relevant = Object.entries(challenges).filter(([, entry]) => {
+    const date = getLocalParts(entry.timezone, attemptMs).date;
+    return entry.habitTypes.includes(habitType) && date >= entry.startDate && date <= entry.endDate;
+  });
+
+  await Promise.all(relevant.map(([challengeId, entry]) => {
+    const date = getLocalParts(entry.timezone, attemptMs).date;
+    const ref = resultRef(challengeId, date, uid);
+
+    return db().runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(ref);
+      const result = snapshot.exists ? snapshot.data() : { uid, date, passedHabits: [], attempts: 0 };
+      const passedHabits = passed && !result.passedHabits.includes(habitType)
+        ? [...result.passedHabits, habitType]
+        : result.passedHabits;
+      const attempts = overturnedAttemptAt === null ? result.attempts + 1 : Math.max(result.attempts, 1);
+      transaction.set(ref, { ...result, passedHabits, attempts, updatedAt: nowMs });
+    });
+  }));
+
+  return relevant.length;
+};
+
+// Did a member's recorded passes complete the day? Pure.
+const isDayComplete = (rules, passedHabits) => (rules.requireAll
+  ? rules.habitTypes.every((habitType) => passedHabits.includes(habitType))
+  : rules.habitTypes.some((habitType) => passedHabits.includes(habitType)));
+
+// Member standing after one scored day. Pure.
+const scoreMemberDay = (member, completed) => {
+  if (!completed) {
+    return { ...member, currentStreak: 0 };
+  }
+  const currentStreak = member.currentStreak + 1;
+  return {
+    ...member,
+    points: member.points + BASE_POINTS + Math.min(currentStreak - 1, MAX_STREAK_BONUS),
+    daysCompleted: member.daysCompleted + 1,
+    currentStreak,
+    longestStreak: Math.max(member.longestStreak, currentStreak)
+  };
+};
+
+// Score one challenge for every finished day since it was last scored
+const scoreChallenge = async (challengeId, challenge, nowMs) => {
+  const yesterday = addDays(getLocalParts(challenge.timezone, nowMs).date, -1);
+  const lastDay = yesterday < challenge.endDate ? yesterday : challenge.endDate;
+  let date = challenge.lastScoredDate ? addDays(challenge.lastScoredDate, 1) : challenge.startDate;
+  if (date > lastDay) {
+    return 0;
+  }
+
+  const membersSnapshot = await challengeRef(challengeId).collection("members").get();
+  const members = new Map(membersSnapshot.docs.map((doc) => [doc.id, doc.data()]));
+  let scoredDays = 0;
+
+  for (; date <= lastDay; date = addDays(date, 1)) {
+    const results = await challengeRef(challengeId).collection("results").where("date", "==", date).get();
+    const passedByUid = new Map(results.docs.map((doc) => [doc.data().uid, doc.data().passedHabits]));
+
+    members.forEach((member, uid) => {
+      members.set(uid, scoreMemberDay(member, isDayComplete(challenge.rules, passedByUid.get(uid) || [])));
+    });
+    scoredDays++;
+  }
+
+  // Membership is re-read in the transaction so a member who left while the
+  // days were being scored isn't written back; only the score fields change
+  const uids = [...members.keys()];
+  await db().runTransaction(async (transaction) => {
+    const current = await Promise.all(uids.map((uid) => transaction.get(memberRef(challengeId, uid))));
+    current.forEach((snapshot, index) => {
+      if (!snapshot.exists) return;
+      const { points, daysCompleted, currentStreak, longestStreak } = members.get(uids[index]);
+      transaction.update(memberRef(challengeId, uids[index]), { points, daysCompleted, currentStreak, longestStreak });
+    });
+    transaction.update(challengeRef(challengeId), {
+      lastScoredDate: lastDay,
+      scoringComplete: lastDay === challenge.endDate
+    });
+  });
+
+  return scoredDays;
+};
+
+// Daily job: score every challenge that still has unscored days.
+// A failing challenge is logged and retried on the next run.
+const scoreChallenges = async (nowMs = Date.now()) => {
+  const snapshot = await db().collection(CHALLENGES_COLLECTION).where("scoringComplete", "==", false).get();
+  let scored = 0;
+
+  for (const doc of snapshot.docs) {
+    try {
+      if (await scoreChallenge(doc.id, doc.data(), nowMs)) {
+        scored++;
+      }
+    } catch (error) {
+      console.error(`Failed to score challenge ${doc.id}:`, error);
+    }
+  }
+
+  console.log(JSON.stringify({ event: "challenges_scored", challenges: snapshot.size, scored }));
+  return scored;
+};
+
+// Ranked members (ties share a rank). Only members can see a challenge's leaderboard.
+const getLeaderboard = async (uid, challengeId) => {
+  if (typeof challengeId !== "string" || !challengeId) {
+    throw new RequestError(400, "invalid_request", "Missing challengeId");
+  }
+
+  const [challenge, member] = await Promise.all([challengeRef(challengeId).get(), memberRef(challengeId, uid).get()]);
+  if (!challenge.exists || !member.exists) {
+    throw new RequestError(404, "not_a_member", "You're not in this challenge");
+  }
+
+  const snapshot = await challengeRef(challengeId).collection("members").orderBy("points", "desc").get();
+  let rank = 0;
+  let previousPoints = null;
+  const entries = snapshot.docs.map((doc, index) => {
+    const { displayName, points, daysCompleted, currentStreak, longestStreak } = doc.data();
+    if (points !== previousPoints) {
+      rank = index + 1;
+      previousPoints = points;
+    }
+    return { rank, uid: doc.id, displayName, points, daysCompleted, currentStreak, longestStreak, isMe: doc.id === uid };
+  });
+
+  return {
+    challenge: describeChallenge(challenge.id, challenge.data()),
+    lastScoredDate: challenge.data().lastScoredDate,
+    entries
+  };
+};
+
+module.exports = {
+  createChallenge,
+  getLeaderboard,
+  isDayComplete,
+  joinChallenge,
+  leaveChallenge,
+  listChallenges,
+  recordChallengeResult,
+  scoreChallenges,
+  scoreMemberDay,
+};
@@ -0,0 +1,210 @@
+const functions = require("firebase-functions");
+
+const CLAUDE_API_URL = "https://api.anthropic.com/v1/messages";
+// Default model; per-habit overrides live in src/config.js
+const CLAUDE_MODEL = "claude-haiku-4-5";
+
+// Get Claude API key from Firebase config
+const getApiKey = () => {
+  return process.env.CLAUDE_API_KEY || functions.config().claude?.api_key;
+};
+
+// Retry policy for transient upstream failures
+const MAX_ATTEMPTS = 3;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 4000;
+// Cap on a single HTTP attempt; the caller's deadline can shorten it further
+const ATTEMPT_TIMEOUT_MS = 30000;
+
+// Upstream statuses worth retrying (529 = Anthropic "overloaded")
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504, 529];
+
+// Error codes surfaced to the app, with the HTTP status and message we respond with
+const CLIENT_ERRORS = {
+  rate_limited: { status: 429, message: "Verification service is busy, please try again shortly" },
+  image_rejected: { status: 422, message: "This image couldn't be processed, please take another photo" },
+  upstream_unavailable: { status: 503, message: "Verification service unavailable, please try again later" },
+  timeout: { status: 504, message: "Verification timed out, please try again" }
+};
+
+// Failure calling Claude, classified into one of the CLIENT_ERRORS codes
+class ClaudeAPIError extends Error {
+  constructor(code, message, { status = null, retryable = false, retryAfter = null } = {}) {
+    super(message);
+    this.name = "ClaudeAPIError";
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Map an upstream HTTP error to a ClaudeAPIError
+const classifyResponseError = (status, errorText, retryAfterHeader) => {
+  const retryAfter = Number(retryAfterHeader) || null;
+
+  if (status === 429) {
+    return new ClaudeAPIError("rate_limited", "Claude API rate limited", { status, retryable: true, retryAfter });
+  }
+  if (RETRYABLE_STATUSES.includes(status)) {
+    return new ClaudeAPIError("upstream_unavailable", `Claude API error: ${status}`, { status, retryable: true, retryAfter });
+  }
+  // Bad or oversized images come back as 400/413 invalid_request_error mentioning the image
+  if ((status === 400 || status === 413) && /image/i.test(errorText)) {
+    return new ClaudeAPIError("image_rejected", `Claude API rejected image: ${status}`, { status });
+  }
+  // Anything else (bad key, malformed request) is our problem, not the user's
+  return new ClaudeAPIError("upstream_unavailable", `Claude API error: ${status}`, { status });
+};
+
+// Exponential backoff with full jitter, honoring Retry-After when the server sends one
+const getBackoffMs = (attempt, retryAfter) => {
+  if (retryAfter) {
+    return retryAfter * 1000;
+  }
+  const ceiling = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Single HTTP attempt, aborted after timeoutMs
+const sendRequest = async (apiKey, requestBody, timeoutMs) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  let response;
+  try {
+    response = await fetch(CLAUDE_API_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "anthropic-version": "2023-06-01",
+        "x-api-key": apiKey
+      },
+      body: JSON.stringify(requestBody),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`Claude API error: ${response.status} - ${errorText}`);
+      throw classifyResponseError(response.status, errorText, response.headers.get("retry-after"));
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error instanceof ClaudeAPIError) {
+      throw error;
+    }
+    if (error.name === "AbortError") {
+      throw new ClaudeAPIError("timeout", `Claude API request timed out after ${timeoutMs}ms`, { retryable: true });
+    }
+    // fetch rejects with TypeError on network failures (reset, DNS, TLS)
+    throw new ClaudeAPIError("upstream_unavailable", `Claude API network error: ${error.message}`, { retryable: true });
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Helper to call Claude API with a conversation (messages array), returns the reply's content blocks.
+// When a tool is given, the model is forced to answer through it (structured output).
+// Retries transient failures with backoff until MAX_ATTEMPTS or the deadline (epoch ms) is reached.
+// Throws ClaudeAPIError.
+async function callClaudeAPI(apiKey, {
+  messages,
+  model = CLAUDE_MODEL,
+  maxTokens = 512,
+  tool = null,
+  deadline = Date.now() + ATTEMPT_TIMEOUT_MS
+}) {
+  const requestBody = {
+    model: model,
+    max_tokens: maxTokens,
+    messages: messages
+  };
+
+  if (tool) {
+    requestBody.tools = [tool];
+    requestBody.tool_choice = { type: "tool", name: tool.name };
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) {
+      throw new ClaudeAPIError("timeout", "Verification deadline exceeded");
+    }
+
+    try {
+      const data = await sendRequest(apiKey, requestBody, Math.min(ATTEMPT_TIMEOUT_MS, remainingMs));
+
+      if (!Array.isArray(data.content) || data.content.length === 0) {
+        throw new ClaudeAPIError("upstream_unavailable", "Empty response from Claude");
+      }
+
+      return data.content;
+    } catch (error) {
+      const backoffMs = getBackoffMs(attempt, error.retryAfter);
+      const canRetry = error.retryable &&
+        attempt + 1 < MAX_ATTEMPTS &&
+        Date.now() + backoffMs < deadline;
+
+      if (!canRetry) {
+        throw error;
+      }
+
+      console.warn(`Claude API ${error.code} (attempt ${attempt + 1}/${MAX_ATTEMPTS}), retrying in ${backoffMs}ms`);
+      await sleep(backoffMs);
+    }
+  }
+}
+
+// The tool_use block for a tool in a reply, if the model called it
+const findToolUse = (content, toolName) => {
+  return content.find(c => c.type === "tool_use" && c.name === toolName) || null;
+};
+
+// All text in a reply, joined
+const getReplyText = (content) => {
+  return content
+    .filter(c => c.type === "text" && c.text)
+    .map(c => c.text)
+    .join("\n");
+};
+
+// Fallback only: parse the JSON object out of a text reply
+// (tolerates code fences and surrounding prose) for when no tool_use block came back
+const extractJSON = (text) => {
+  let responseText = text.trim();
+
+  // Remove markdown code blocks if present
+  if (responseText.startsWith("```json")) {
+    responseText = responseText.slice(7);
+  } else if (responseText.startsWith("```")) {
+    responseText = responseText.slice(3);
+  }
+  if (responseText.endsWith("```")) {
+    responseText = responseText.slice(0, -3);
+  }
+  responseText = responseText.trim();
+
+  // Find JSON object
+  const jsonStart = responseText.indexOf("{");
+  const jsonEnd = responseText.lastIndexOf("}");
+  if (jsonStart !== -1 && jsonEnd !== -1) {
+    responseText = responseText.slice(jsonStart, jsonEnd + 1);
+  }
+
+  return JSON.parse(responseText);
+};
+
+module.exports = {
+  CLAUDE_MODEL,
+  CLIENT_ERRORS,
+  ClaudeAPIError,
+  getApiKey,
+  callClaudeAPI,
+  findToolUse,
+  getReplyText,
+  extractJSON,
+};
@@ -0,0 +1,63 @@
+const { DUPLICATE_DIFFERENCE, frameDifference, imageGrid } = require("./motion");
+
+// Labeled photo sets: { kind: "images", images: [{ label, data }] } in order,
+// e.g. a "before" and an "after" shot. Any photo habit accepts them; the
+// model compares the set (see COMPARISON_TEMPLATE) and the last photo is the proof.
+
+const MIN_SET_IMAGES = 2;
+const MAX_SET_IMAGES = 4;
+
+// Labels go into the prompt, so keep them to short plain words
+const LABEL_PATTERN = /^[A-Za-z0-9](?:[A-Za-z0-9 _-]{0,18}[A-Za-z0-9])?$/;
+
+const IDENTICAL_IMAGES_FEEDBACK = "These photos are the same shot. Take one before and one after you finish!";
+
+// Structural check of an image set; returns an error message or null.
+// Image data sizes are checked by the caller.
+const validateImageSet = (media) => {
+  const { images } = media;
+  if (!Array.isArray(images) || images.length < MIN_SET_IMAGES || images.length > MAX_SET_IMAGES) {
+    return `images must be a list of ${MIN_SET_IMAGES}-${MAX_SET_IMAGES} labeled photos`;
+  }
+
+  const labels = images.map((image) => (image && typeof image.label === "string" ? image.label : ""));
+  if (!labels.every((label) => LABEL_PATTERN.test(label))) {
+    return "Each image needs a label of up to 20 letters, numbers, spaces, - or _";
+  }
+  if (new Set(labels.map((label) => label.toLowerCase())).size !== labels.length) {
+    return "Image labels must be unique";
+  }
+
+  return null;
+};
+
+// Rejection when two photos in the set are the same shot, or null.
+// Photos that can't be decoded are left to the model.
+// Same shape as checkFreshness: { reason, feedback, details }.
+const checkIdenticalImages = (media) => {
+  if (media.kind !== "images") {
+    return null;
+  }
+
+  const grids = media.images.map((image) => imageGrid(image.data));
+  for (let i = 0; i < grids.length; i++) {
+    for (let j = i + 1; j < grids.length; j++) {
+      if (grids[i] && grids[j] && frameDifference(grids[i], grids[j]) < DUPLICATE_DIFFERENCE) {
+        return {
+          reason: "identical_images",
+          feedback: IDENTICAL_IMAGES_FEEDBACK,
+          details: { labels: [media.images[i].label, media.images[j].label] }
+        };
+      }
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  MAX_SET_IMAGES,
+  MIN_SET_IMAGES,
+  checkIdenticalImages,
+  validateImageSet,
+};
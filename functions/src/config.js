@@ -0,0 +1,33 @@
+const { CLAUDE_MODEL } = require("./claude");
+
+// Vision provider used for verification: "anthropic" (default) or "mock".
+// Set VISION_PROVIDER=mock to run the whole flow offline (emulator, tests).
+const getProviderName = () => process.env.VISION_PROVIDER || "anthropic";
+
+// Per-habit model overrides, keyed by habit type ("appeal" for appeal reviews).
+// HABIT_MODELS (JSON, e.g. {"customVideo":"claude-sonnet-4-5"}) is merged on top
+// so a model can be switched for one habit without a code change.
+const HABIT_MODELS = {
+  // A second opinion should come from a stronger model than the one that failed the proof
+  appeal: "claude-sonnet-4-5"
+};
+
+const parseModelOverrides = () => {
+  if (!process.env.HABIT_MODELS) return {};
+  try {
+    return JSON.parse(process.env.HABIT_MODELS);
+  } catch (error) {
+    console.error("Ignoring invalid HABIT_MODELS config:", error.message);
+    return {};
+  }
+};
+
+const getModelForHabit = (habitType) => {
+  const overrides = { ...HABIT_MODELS, ...parseModelOverrides() };
+  return overrides[habitType] || CLAUDE_MODEL;
+};
+
+module.exports = {
+  getProviderName,
+  getModelForHabit,
+};
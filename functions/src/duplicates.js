@@ -0,0 +1,163 @@
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const { readExif } = require("./exif");
+const { hashImage, hammingDistance } = require("./imageHash");
+const { getProofImage } = require("./media");
+const { fingerprintEntry } = require("./textEntries");
+const { hashes: STOCK_PHOTO_HASHES } = require("./data/stockPhotoHashes.json");
+
+// Max differing hash bits for two photos to count as the same shot.
+// Separate photos of the same scene from the same spot can hash 0 bits apart
+// (a dHash barely moves with noise or lighting), so the hash alone only counts
+// near-exact matches. Re-saved/resized copies land at 0-3; those are caught at
+// SAME_CAPTURE_DISTANCE_THRESHOLD when they keep the original's EXIF capture time.
+const DUPLICATE_DISTANCE_THRESHOLD = 1;
+const SAME_CAPTURE_DISTANCE_THRESHOLD = 4;
+
+// Most recent accepted proofs kept per user (one Firestore doc per user:
+// photo fingerprints in entries, written entry fingerprints in textEntries)
+// - entries: [{ hash (dHash), contentHash, capturedAt (EXIF DateTimeOriginal) | null, habitType, createdAt }]
+// - textEntries: [{ hash, habitType, createdAt }]
+const MAX_STORED_PROOFS = 365;
+
+const PROOF_HASHES_COLLECTION = "proofHashes";
+
+// "reject" (default) fails duplicates without calling the model,
+// "flag" verifies them normally and tags the response
+const getDuplicatePolicy = () => (process.env.DUPLICATE_PROOF_POLICY === "flag" ? "flag" : "reject");
+
+const proofHashesRef = (uid) => admin.firestore().collection(PROOF_HASHES_COLLECTION).doc(uid);
+
+// Fingerprint of a photo proof: { hash, contentHash, capturedAt }, or null if
+// it can't be decoded
+const fingerprintPhoto = (imageBase64) => {
+  const hash = hashImage(imageBase64);
+  if (!hash) {
+    return null;
+  }
+  const exif = readExif(imageBase64) || {};
+  return {
+    hash,
+    contentHash: crypto.createHash("sha256").update(imageBase64).digest("hex").slice(0, 32),
+    capturedAt: exif.dateTimeOriginal || null
+  };
+};
+
+// Hash distance at which entry counts as the same shot as proof, or null.
+// The same file always does. Two photos with different capture times are
+// different shots however alike; a re-saved copy keeping the original's capture
+// time may drift further than a bare hash match is allowed to.
+const matchDistance = (proof, entry) => {
+  if (proof.contentHash && entry.contentHash === proof.contentHash) {
+    return 0;
+  }
+  if (proof.capturedAt && entry.capturedAt && proof.capturedAt !== entry.capturedAt) {
+    return null;
+  }
+
+  const distance = hammingDistance(proof.hash, entry.hash);
+  const threshold = proof.capturedAt && entry.capturedAt === proof.capturedAt
+    ? SAME_CAPTURE_DISTANCE_THRESHOLD
+    : DUPLICATE_DISTANCE_THRESHOLD;
+  return distance <= threshold ? distance : null;
+};
+
+// Closest matching entry, or null
+const findNearest = (proof, entries) => {
+  let nearest = null;
+  entries.forEach((entry) => {
+    const distance = matchDistance(proof, entry);
+    if (distance !== null && (!nearest || distance < nearest.distance)) {
+      nearest = { ...entry, distance };
+    }
+  });
+  return nearest;
+};
+
+// Look for a match among known stock photos and all of the user's stored proofs.
+// Returns { source: "stock_photo" | "previous_proof", distance, ... } or null.
+const findDuplicate = async (uid, proof) => {
+  const stockMatch = findNearest({ hash: proof.hash }, STOCK_PHOTO_HASHES.map((stockHash) => ({ hash: stockHash })));
+  if (stockMatch) {
+    return { source: "stock_photo", distance: stockMatch.distance };
+  }
+
+  if (!uid) {
+    return null;
+  }
+
+  const snapshot = await proofHashesRef(uid).get();
+  const previousMatch = findNearest(proof, snapshot.exists ? snapshot.data().entries || [] : []);
+  if (previousMatch) {
+    return {
+      source: "previous_proof",
+      distance: previousMatch.distance,
+      habitType: previousMatch.habitType,
+      createdAt: previousMatch.createdAt
+    };
+  }
+
+  return null;
+};
+
+// A written entry the user already submitted, matched exactly on its fingerprint.
+// Returns { source: "previous_entry", habitType, createdAt } or null.
+const findRepeatedEntry = async (uid, fingerprint) => {
+  if (!uid) {
+    return null;
+  }
+
+  const snapshot = await proofHashesRef(uid).get();
+  const entries = snapshot.exists ? snapshot.data().textEntries || [] : [];
+  const match = entries.find((entry) => entry.hash === fingerprint);
+  return match ? { source: "previous_entry", habitType: match.habitType, createdAt: match.createdAt } : null;
+};
+
+// Fingerprint a photo proof (the last photo of a labeled set) or a written
+// entry, and check it for reuse.
+// Returns { proof, duplicate }; proof is the fingerprint to record ({ hash } for
+// a written entry), null for video or undecodable images.
+// Lookup failures are logged and treated as "no duplicate".
+const checkForDuplicate = async (uid, media) => {
+  if (media.kind === "video") {
+    return { proof: null, duplicate: null };
+  }
+
+  const text = media.kind === "text";
+  const proof = text ? { hash: fingerprintEntry(media.text) } : fingerprintPhoto(getProofImage(media));
+  if (!proof) {
+    console.warn("Could not decode proof image, skipping duplicate check");
+    return { proof: null, duplicate: null };
+  }
+
+  try {
+    return { proof, duplicate: text ? await findRepeatedEntry(uid, proof.hash) : await findDuplicate(uid, proof) };
+  } catch (error) {
+    console.error("Duplicate proof lookup failed:", error);
+    return { proof, duplicate: null };
+  }
+};
+
+// Remember an accepted proof's fingerprint (from checkForDuplicate) for the user,
+// keeping the newest MAX_STORED_PROOFS of its kind. mediaKind is the proof's media
+// kind; written entries are kept apart so they never crowd out photos.
+const recordProof = async (uid, habitType, proof, mediaKind = "image") => {
+  const db = admin.firestore();
+  const ref = proofHashesRef(uid);
+  const field = mediaKind === "text" ? "textEntries" : "entries";
+
+  await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    const entries = snapshot.exists ? snapshot.data()[field] || [] : [];
+    entries.push({ ...proof, habitType, createdAt: Date.now() });
+    transaction.set(ref, { [field]: entries.slice(-MAX_STORED_PROOFS) }, { merge: true });
+  });
+};
+
+module.exports = {
+  DUPLICATE_DISTANCE_THRESHOLD,
+  SAME_CAPTURE_DISTANCE_THRESHOLD,
+  checkForDuplicate,
+  getDuplicatePolicy,
+  recordProof,
+};
@@ -0,0 +1,15 @@
+// Client error (bad request, missing resource, conflict) raised anywhere a
+// request is handled, including verification: endpoints respond with status
+// and { error: message, code } (see createJsonEndpoint and createVerifyEndpoint in index.js)
+class RequestError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = "RequestError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+module.exports = {
+  RequestError,
+};
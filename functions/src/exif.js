@@ -0,0 +1,123 @@
+// Minimal EXIF reader for JPEG proofs: just the tags the freshness checks use.
+// Walks the JPEG segments to the APP1 "Exif" block and reads IFD0 and the Exif sub-IFD.
+
+const IFD0_TAGS = {
+  0x010f: "make",
+  0x0110: "model",
+  0x0131: "software",
+  0x0132: "dateTime"
+};
+
+const EXIF_IFD_TAGS = {
+  0x9003: "dateTimeOriginal",
+  0x9004: "dateTimeDigitized",
+  0x9011: "offsetTimeOriginal"
+};
+
+const EXIF_IFD_POINTER = 0x8769;
+const TYPE_ASCII = 2;
+const TYPE_LONG = 4;
+
+const EXIF_HEADER = "Exif\0\0";
+
+// Locate the TIFF block inside the APP1 Exif segment, or null
+const findTiffBlock = (buffer) => {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) {
+    return null;
+  }
+
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+    const marker = buffer[offset + 1];
+    // Start of scan: metadata segments all come before the image data
+    if (marker === 0xda || marker === 0xd9) {
+      return null;
+    }
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const segmentStart = offset + 4;
+    const segmentEnd = offset + 2 + length;
+    if (length < 2 || segmentEnd > buffer.length) {
+      return null;
+    }
+
+    if (marker === 0xe1 && buffer.toString("latin1", segmentStart, segmentStart + 6) === EXIF_HEADER) {
+      return buffer.subarray(segmentStart + 6, segmentEnd);
+    }
+    offset = segmentEnd;
+  }
+
+  return null;
+};
+
+// Read the wanted tags of one IFD into result; returns the Exif sub-IFD offset if present
+const readIfd = (tiff, ifdOffset, littleEndian, wantedTags, result) => {
+  const readUInt16 = (at) => (littleEndian ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+  const readUInt32 = (at) => (littleEndian ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+
+  const entryCount = readUInt16(ifdOffset);
+  let exifIfdOffset = null;
+
+  for (let i = 0; i < entryCount; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    const tag = readUInt16(entry);
+    const type = readUInt16(entry + 2);
+    const count = readUInt32(entry + 4);
+
+    if (tag === EXIF_IFD_POINTER && type === TYPE_LONG) {
+      exifIfdOffset = readUInt32(entry + 8);
+      continue;
+    }
+
+    const name = wantedTags[tag];
+    if (!name || type !== TYPE_ASCII || count === 0) {
+      continue;
+    }
+
+    // ASCII values up to 4 bytes are stored inline, longer ones at an offset
+    const valueOffset = count <= 4 ? entry + 8 : readUInt32(entry + 8);
+    const value = tiff.toString("latin1", valueOffset, valueOffset + count).replace(/\0+$/, "").trim();
+    if (value) {
+      result[name] = value;
+    }
+  }
+
+  return exifIfdOffset;
+};
+
+// Parse the EXIF tags from a base64 JPEG.
+// Returns { make, model, software, dateTime, dateTimeOriginal, dateTimeDigitized,
+// offsetTimeOriginal } with only the tags present, or null when there is no
+// (readable) EXIF block.
+const readExif = (imageBase64) => {
+  try {
+    const tiff = findTiffBlock(Buffer.from(imageBase64, "base64"));
+    if (!tiff) {
+      return null;
+    }
+
+    const byteOrder = tiff.toString("latin1", 0, 2);
+    if (byteOrder !== "II" && byteOrder !== "MM") {
+      return null;
+    }
+    const littleEndian = byteOrder === "II";
+    const ifd0Offset = littleEndian ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4);
+
+    const result = {};
+    const exifIfdOffset = readIfd(tiff, ifd0Offset, littleEndian, IFD0_TAGS, result);
+    if (exifIfdOffset) {
+      readIfd(tiff, exifIfdOffset, littleEndian, EXIF_IFD_TAGS, result);
+    }
+    return result;
+  } catch (error) {
+    // Truncated or corrupt EXIF reads past the buffer; treat as no metadata
+    return null;
+  }
+};
+
+module.exports = {
+  readExif,
+};
@@ -0,0 +1,107 @@
+const { addDays, daysBetween } = require("./timezone");
+
+// Freeze tokens: each covers one missed day so a streak survives it.
+// Rules live here (pure); storage and the audit trail are in streaks.js.
+
+// Longest-streak milestones that earn a token, once each per user
+const STREAK_MILESTONES = [7, 30, 100, 365];
+
+// Premium users get this many tokens each calendar month
+// (matches premiumStreakRecoveriesPerMonth in the app's SubscriptionManager)
+const PREMIUM_MONTHLY_TOKENS = 1;
+
+const MAX_FREEZE_TOKENS = 5;
+
+// Missed days older than this can't be recovered
+const RECOVERY_WINDOW_DAYS = 7;
+
+// Why a recovery was refused: code -> message for the app
+const RECOVERY_ERRORS = {
+  no_streak: "There's no streak to recover yet",
+  not_missed: "That day is already covered",
+  not_consecutive: "Recover missed days in order, starting with the first one",
+  not_past: "Only past days can be recovered",
+  too_old: `Only days in the last ${RECOVERY_WINDOW_DAYS} days can be recovered`,
+  no_tokens: "No freeze tokens left"
+};
+
+const addTokens = (tokens, count) => Math.min(MAX_FREEZE_TOKENS, (tokens || 0) + count);
+
+// Milestones newly reached by longestStreak.
+// Returns { freezeTokens, milestonesAwarded, earned: [milestone] }.
+const awardMilestoneTokens = (state, longestStreak) => {
+  const awarded = state.milestonesAwarded || [];
+  const earned = STREAK_MILESTONES.filter((milestone) => longestStreak >= milestone && !awarded.includes(milestone));
+  return {
+    freezeTokens: addTokens(state.freezeTokens, earned.length),
+    milestonesAwarded: [...awarded, ...earned],
+    earned
+  };
+};
+
+// Monthly premium grant for month ("YYYY-MM"), or null if not due
+const grantTierTokens = (state, isPremium, month) => {
+  if (!isPremium || state.tierGrantMonth === month) {
+    return null;
+  }
+  return {
+    freezeTokens: addTokens(state.freezeTokens, PREMIUM_MONTHLY_TOKENS),
+    tierGrantMonth: month
+  };
+};
+
+// The single missed day between the streak that last broke and the current
+// run (state.brokenStreak, see applyCompletion), or null. Users usually verify
+// again before noticing the break, so this day is already behind
+// lastCompletionDate by the time they come to recover it.
+const getBridgeableDate = (state) => {
+  const broken = state.brokenStreak;
+  if (!broken) return null;
+  const missed = addDays(broken.lastCompletionDate, 1);
+  return addDays(missed, 1) === broken.resumedOn ? missed : null;
+};
+
+// Streak fields once a token covers the bridgeable day: the broken streak and
+// the current run join up. Frozen days don't add to the count.
+const bridgeStreak = (state) => {
+  const currentStreak = state.brokenStreak.currentStreak + state.currentStreak;
+  return {
+    currentStreak,
+    longestStreak: Math.max(state.longestStreak, currentStreak),
+    brokenStreak: null
+  };
+};
+
+// The next missed day a token could cover, or null
+const getRecoverableDate = (state, today) => {
+  if (!state.lastCompletionDate) return null;
+  const candidates = [addDays(state.lastCompletionDate, 1), getBridgeableDate(state)];
+  return candidates.find((date) => date && date < today && daysBetween(date, today) <= RECOVERY_WINDOW_DAYS) || null;
+};
+
+// Can a token cover date? The day right after the streak's last covered day
+// qualifies, so missed days are filled in order and only bridge a live gap,
+// as does the single day that broke the previous streak (getBridgeableDate).
+// Returns null when allowed, else a RECOVERY_ERRORS code.
+const checkRecoveryDate = (state, date, today) => {
+  if (!state.lastCompletionDate) return "no_streak";
+  const bridging = date === getBridgeableDate(state);
+  if (date <= state.lastCompletionDate && !bridging) return "not_missed";
+  if (date >= today) return "not_past";
+  if (daysBetween(date, today) > RECOVERY_WINDOW_DAYS) return "too_old";
+  if (!bridging && date !== addDays(state.lastCompletionDate, 1)) return "not_consecutive";
+  if (!state.freezeTokens) return "no_tokens";
+  return null;
+};
+
+module.exports = {
+  MAX_FREEZE_TOKENS,
+  RECOVERY_ERRORS,
+  STREAK_MILESTONES,
+  awardMilestoneTokens,
+  bridgeStreak,
+  checkRecoveryDate,
+  getBridgeableDate,
+  getRecoverableDate,
+  grantTierTokens,
+};
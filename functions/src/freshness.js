@@ -0,0 +1,169 @@
+const { readExif } = require("./exif");
+const { getProofImage } = require("./media");
+const { getLocalParts, isValidTimezone, wallClockToEpochMs } = require("./timezone");
+
+// Capture-time policy, per habit type on top of DEFAULT_FRESHNESS_POLICY:
+// - enabled: run the checks for this habit at all
+// - maxAgeMinutes: reject photos captured longer ago than this (null = no limit)
+// - morningWindow: require capture today, inside the caller's morning window
+// - rejectEdited: reject photos whose EXIF Software tag names an editing app
+// - requireCaptureTime: reject photos with no EXIF capture time. Off by default
+//   because shipped app versions re-encode photos and drop their EXIF.
+const DEFAULT_FRESHNESS_POLICY = {
+  enabled: true,
+  maxAgeMinutes: 180,
+  morningWindow: true,
+  rejectEdited: true,
+  requireCaptureTime: false
+};
+
+// FRESHNESS_POLICIES (JSON, e.g. {"bed":{"requireCaptureTime":true}}) is merged
+// on top so a policy can be tightened for one habit without a code change.
+const FRESHNESS_POLICIES = {
+  // Meals are often prepped the evening before
+  mealPrep: { morningWindow: false, maxAgeMinutes: 720 },
+  // Frames are extracted on device and carry no EXIF
+  customVideo: { enabled: false }
+};
+
+// Used when the app doesn't send its own window (minutes after local midnight)
+const DEFAULT_MORNING_WINDOW = { startMinutes: 3 * 60, endMinutes: 12 * 60 };
+
+// Camera clocks drift; captures this far "in the future" are still accepted
+const CLOCK_SKEW_MS = 10 * 60 * 1000;
+
+const EDITING_SOFTWARE = /photoshop|lightroom|snapseed|gimp|picsart|facetune|vsco|canva|pixelmator|affinity|afterlight|airbrush|remini|meitu/i;
+
+const FAILURE_FEEDBACK = {
+  edited_photo: "This photo looks edited. Snap an unedited photo straight from the camera!",
+  missing_capture_time: "We couldn't tell when this photo was taken. Use the in-app camera to take a fresh one!",
+  future_capture_time: "This photo's timestamp doesn't add up. Take a fresh one and try again!",
+  stale_capture: "This photo was taken a while ago. Take a fresh one to prove you did it this morning!",
+  outside_morning_window: "This photo wasn't taken during your morning window. Take a fresh one tomorrow morning!"
+};
+
+const parsePolicyOverrides = () => {
+  if (!process.env.FRESHNESS_POLICIES) return {};
+  try {
+    return JSON.parse(process.env.FRESHNESS_POLICIES);
+  } catch (error) {
+    console.error("Ignoring invalid FRESHNESS_POLICIES config:", error.message);
+    return {};
+  }
+};
+
+const getFreshnessPolicy = (habitType) => ({
+  ...DEFAULT_FRESHNESS_POLICY,
+  ...FRESHNESS_POLICIES[habitType],
+  ...parsePolicyOverrides()[habitType]
+});
+
+const isMinuteOfDay = (value) => Number.isInteger(value) && value >= 0 && value <= 24 * 60;
+
+// Validate the capture context the app sends alongside a proof:
+// { timezone: IANA name, morningWindow: { startMinutes, endMinutes } }, both optional.
+// Returns { timezone, morningWindow } or { error }.
+const parseCaptureContext = ({ timezone, morningWindow }) => {
+  if (timezone !== undefined && timezone !== null && !isValidTimezone(timezone)) {
+    return { error: `Unknown timezone: ${timezone}` };
+  }
+
+  if (morningWindow !== undefined && morningWindow !== null) {
+    const { startMinutes, endMinutes } = morningWindow;
+    if (!isMinuteOfDay(startMinutes) || !isMinuteOfDay(endMinutes) || startMinutes >= endMinutes) {
+      return { error: "morningWindow must have startMinutes < endMinutes, in minutes after midnight" };
+    }
+  }
+
+  return {
+    timezone: timezone || null,
+    morningWindow: morningWindow ? { startMinutes: morningWindow.startMinutes, endMinutes: morningWindow.endMinutes } : DEFAULT_MORNING_WINDOW
+  };
+};
+
+// EXIF "YYYY:MM:DD HH:MM:SS" -> wall-clock time encoded as UTC epoch ms, or null
+const parseExifDateTime = (value) => {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || "");
+  if (!match) return null;
+  const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+  const wallClockMs = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Number.isNaN(wallClockMs) || year < 1990 ? null : wallClockMs;
+};
+
+// EXIF OffsetTime "+HH:MM" / "-HH:MM" -> minutes east of UTC, or null
+const parseExifOffset = (value) => {
+  const match = /^([+-])(\d{2}):(\d{2})$/.exec(value || "");
+  if (!match) return null;
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === "-" ? -minutes : minutes;
+};
+
+// Capture instant in epoch ms: the camera's recorded offset when there is one,
+// otherwise the wall clock read in the caller's timezone. Null if neither is known.
+const resolveCaptureTime = (wallClockMs, offsetTime, timezone) => {
+  const offsetMinutes = parseExifOffset(offsetTime);
+  if (offsetMinutes !== null) {
+    return wallClockMs - offsetMinutes * 60 * 1000;
+  }
+  return timezone ? wallClockToEpochMs(timezone, wallClockMs) : null;
+};
+
+// Check a prepared verification's photo against its habit's freshness policy.
+// For a labeled set that's the last photo; earlier "before" shots may be older.
+// capture is the parseCaptureContext result.
+// Returns null when the photo is acceptable, else { reason, feedback, details }.
+const checkFreshness = ({ habitType, media, capture }, nowMs = Date.now()) => {
+  const policy = getFreshnessPolicy(habitType);
+  if (!policy.enabled || media.kind === "video" || media.kind === "text") {
+    return null;
+  }
+
+  const exif = readExif(getProofImage(media)) || {};
+  const details = {
+    capturedAt: null,
+    camera: [exif.make, exif.model].filter(Boolean).join(" ") || null,
+    software: exif.software || null
+  };
+  const fail = (reason, extra = {}) => ({ reason, feedback: FAILURE_FEEDBACK[reason], details: { ...details, ...extra } });
+
+  if (policy.rejectEdited && exif.software && EDITING_SOFTWARE.test(exif.software)) {
+    return fail("edited_photo");
+  }
+
+  const wallClockMs = parseExifDateTime(exif.dateTimeOriginal || exif.dateTimeDigitized);
+  if (wallClockMs === null) {
+    return policy.requireCaptureTime ? fail("missing_capture_time") : null;
+  }
+
+  const capturedAtMs = resolveCaptureTime(wallClockMs, exif.offsetTimeOriginal, capture.timezone);
+  if (capturedAtMs === null) {
+    // No way to place the capture in time without an offset or the caller's timezone
+    return null;
+  }
+  details.capturedAt = new Date(capturedAtMs).toISOString();
+
+  if (capturedAtMs - nowMs > CLOCK_SKEW_MS) {
+    return fail("future_capture_time");
+  }
+  if (policy.maxAgeMinutes && nowMs - capturedAtMs > policy.maxAgeMinutes * 60 * 1000) {
+    return fail("stale_capture", { maxAgeMinutes: policy.maxAgeMinutes });
+  }
+
+  if (policy.morningWindow && capture.timezone) {
+    const captured = getLocalParts(capture.timezone, capturedAtMs);
+    const today = getLocalParts(capture.timezone, nowMs);
+    const { startMinutes, endMinutes } = capture.morningWindow;
+    if (captured.date !== today.date || captured.minutes < startMinutes || captured.minutes >= endMinutes) {
+      return fail("outside_morning_window", { morningWindow: capture.morningWindow });
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  DEFAULT_MORNING_WINDOW,
+  checkFreshness,
+  getFreshnessPolicy,
+  parseCaptureContext,
+};
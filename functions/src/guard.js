@@ -0,0 +1,132 @@
+const admin = require("firebase-admin");
+
+// Header the app sends its App Check token in (Firebase SDK default name)
+const APP_CHECK_HEADER = "X-Firebase-AppCheck";
+
+// AUTH_MODE controls what happens to requests that fail the guard:
+// - "enforce" (default): reject with 401/403
+// - "monitor": log the failure and let the request through as anonymous. Only
+//   for rollouts, while app builds that send no tokens are still in use; it must be set explicitly.
+const getAuthMode = () => process.env.AUTH_MODE === "monitor" ? "monitor" : "enforce";
+
+// Require a valid App Check token on every request, even with a signed-in user
+const isAppCheckRequired = () => process.env.REQUIRE_APP_CHECK === "true";
+
+// The Admin SDK can't verify App Check tokens against the emulator suite,
+// so when running locally we accept any non-empty App Check token
+const isEmulator = () => process.env.FUNCTIONS_EMULATOR === "true";
+
+// Error thrown by the guard, carrying the HTTP status and a machine-readable code
+class GuardError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = "GuardError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const getHeader = (req, name) => {
+  if (typeof req.get === "function") {
+    return req.get(name);
+  }
+  return req.headers?.[name.toLowerCase()];
+};
+
+// Extract the Firebase ID token from "Authorization: Bearer <token>"
+const getBearerToken = (req) => {
+  const header = getHeader(req, "Authorization");
+  if (!header || typeof header !== "string") return null;
+
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+const verifyIdToken = async (idToken) => {
+  try {
+    // checkRevoked so disabled/signed-out users can't keep using old tokens
+    return await admin.auth().verifyIdToken(idToken, true);
+  } catch (error) {
+    console.warn(`ID token rejected: ${error.code || error.message}`);
+    throw new GuardError(401, "invalid_id_token", "Invalid or expired ID token");
+  }
+};
+
+const verifyAppCheckToken = async (appCheckToken) => {
+  if (isEmulator()) {
+    return { appId: "emulator" };
+  }
+
+  try {
+    return await admin.appCheck().verifyToken(appCheckToken);
+  } catch (error) {
+    console.warn(`App Check token rejected: ${error.code || error.message}`);
+    throw new GuardError(403, "app_check_failed", "App Check verification failed");
+  }
+};
+
+// Verify the credentials on a request and resolve the caller.
+// Accepts a Firebase ID token, an App Check token, or both.
+// Returns { uid, appId, isPremium } (uid is null for App Check-only callers) or throws GuardError.
+// isPremium comes from the "premium" custom claim set when a subscription is active.
+const authenticateRequest = async (req) => {
+  const idToken = getBearerToken(req);
+  const appCheckToken = getHeader(req, APP_CHECK_HEADER);
+
+  if (!idToken && !appCheckToken) {
+    throw new GuardError(401, "unauthenticated", "Missing ID token or App Check token");
+  }
+
+  if (!appCheckToken && isAppCheckRequired()) {
+    throw new GuardError(403, "app_check_required", "App Check token is required");
+  }
+
+  const caller = { uid: null, appId: null, isPremium: false };
+
+  if (appCheckToken) {
+    const appCheckClaims = await verifyAppCheckToken(appCheckToken);
+    caller.appId = appCheckClaims.appId || null;
+  }
+
+  if (idToken) {
+    const decoded = await verifyIdToken(idToken);
+    caller.uid = decoded.uid;
+    caller.isPremium = decoded.premium === true;
+  }
+
+  return caller;
+};
+
+// Run the guard for an HTTP handler.
+// Returns the caller ({ uid, appId, isPremium }) or null after sending an error response.
+const guardRequest = async (req, res) => {
+  try {
+    const caller = await authenticateRequest(req);
+    req.caller = caller;
+    return caller;
+  } catch (error) {
+    if (!(error instanceof GuardError)) {
+      console.error("Request guard error:", error);
+      res.status(500).json({ error: "Authentication check failed", code: "internal" });
+      return null;
+    }
+
+    if (getAuthMode() === "monitor") {
+      // Structured so unverified traffic can be counted apart from real callers
+      console.warn(JSON.stringify({ event: "auth_guard_monitor", code: error.code, path: req.path || null }));
+      const caller = { uid: null, appId: null, isPremium: false };
+      req.caller = caller;
+      return caller;
+    }
+
+    res.status(error.status).json({ error: error.message, code: error.code });
+    return null;
+  }
+};
+
+module.exports = {
+  APP_CHECK_HEADER,
+  GuardError,
+  authenticateRequest,
+  guardRequest,
+};
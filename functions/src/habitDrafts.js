@@ -0,0 +1,122 @@
+const { RequestError } = require("./errors");
+const { HABIT_DRAFT_PROMPT_KEY, getLatestPromptVersion } = require("./promptRegistry");
+const { renderTemplate } = require("./prompts");
+const { getProviderName, getModelForHabit } = require("./config");
+const { getProvider } = require("./providers");
+const { getVerifyDeadline } = require("./verify");
+const {
+  sanitizeForPrompt,
+  validateAIPrompt,
+  validateHabitName,
+} = require("./validation");
+
+// Suggested setup for a new user-defined habit: verification criteria (the
+// aiPrompt verifyCustomHabit uses), proof type, examples and an icon, so users
+// start from criteria the verifier can apply consistently.
+
+// Proof types a custom habit can be verified from (verifyCustomHabit takes photos
+// and photo sets, verifyVideo takes video), so drafts never suggest one it can't
+const PROOF_TYPES = ["photo", "video"];
+
+// Icon categories, each with the app's default SF Symbol for it (from
+// CustomHabit.availableIcons)
+const ICON_CATEGORIES = {
+  fitness: "dumbbell.fill",
+  movement: "figure.run",
+  mindfulness: "figure.yoga",
+  learning: "book.fill",
+  writing: "pencil",
+  nutrition: "fork.knife",
+  hydration: "drop.fill",
+  health: "pill.fill",
+  sleep: "moon.fill",
+  outdoors: "sun.max.fill",
+  creativity: "paintbrush.fill",
+  music: "music.note",
+  digitalWellbeing: "phone.down.fill",
+  pets: "dog.fill",
+  chores: "checkmark.seal.fill",
+  other: "star.fill"
+};
+
+const MAX_EXAMPLES = 3;
+
+const draftResultSchema = {
+  type: "object",
+  required: ["criteria", "proof_type", "allows_screenshots", "good_examples", "bad_examples", "icon_category"],
+  properties: {
+    criteria: { type: "string" },
+    proof_type: { type: "string", enum: PROOF_TYPES },
+    allows_screenshots: { type: "boolean" },
+    good_examples: { type: "array", items: { type: "string" } },
+    bad_examples: { type: "array", items: { type: "string" } },
+    icon_category: { type: "string", enum: Object.keys(ICON_CATEGORIES) }
+  }
+};
+
+// Validate a { habitName, description? } request body.
+// Throws RequestError for anything the client should fix.
+const parseDraftRequest = ({ habitName, description } = {}) => {
+  const nameValidation = validateHabitName(habitName);
+  if (!nameValidation.valid) {
+    throw new RequestError(400, "invalid_request", nameValidation.error);
+  }
+
+  if (description !== undefined && description !== null && typeof description !== "string") {
+    throw new RequestError(400, "invalid_request", "description must be a string");
+  }
+  const descriptionValidation = validateAIPrompt(description);
+  if (!descriptionValidation.valid) {
+    throw new RequestError(400, "invalid_request", descriptionValidation.error);
+  }
+
+  return { habitName: habitName.trim(), description: description ? description.trim() : "" };
+};
+
+// Ask the model for a draft. Resolves to
+// { criteria, proofType, allowsScreenshots, examples: { good, bad }, iconCategory, icon, promptVersion }.
+// deadline is the request's (see getVerifyDeadline).
+// Provider failures propagate (ClaudeAPIError for classified upstream errors).
+const draftHabitCriteria = async ({ habitName, description }, promptVersion = null, deadline = getVerifyDeadline(Date.now())) => {
+  const prompt = promptVersion || getLatestPromptVersion(HABIT_DRAFT_PROMPT_KEY);
+
+  const draft = await getProvider(getProviderName()).verify({
+    habitType: HABIT_DRAFT_PROMPT_KEY,
+    images: [],
+    prompt: renderTemplate(prompt.template, {
+      habitName: sanitizeForPrompt(habitName),
+      description: description ? sanitizeForPrompt(description) : "(none given)",
+      iconCategories: Object.keys(ICON_CATEGORIES).map((category) => `"${category}"`).join(", ")
+    }),
+    schema: draftResultSchema,
+    model: getModelForHabit(HABIT_DRAFT_PROMPT_KEY),
+    maxTokens: prompt.maxTokens,
+    deadline
+  });
+
+  // The criteria are saved as the habit's aiPrompt, so they must pass the same check
+  const criteriaValidation = validateAIPrompt(draft.criteria);
+  if (!criteriaValidation.valid) {
+    throw new Error(`Unusable habit draft criteria: ${criteriaValidation.error}`);
+  }
+
+  const cleanExamples = (examples) => examples.filter(Boolean).slice(0, MAX_EXAMPLES);
+
+  return {
+    criteria: draft.criteria,
+    proofType: draft.proof_type,
+    // Only photos can be screenshots
+    allowsScreenshots: draft.proof_type === "photo" && draft.allows_screenshots,
+    examples: { good: cleanExamples(draft.good_examples), bad: cleanExamples(draft.bad_examples) },
+    iconCategory: draft.icon_category,
+    icon: ICON_CATEGORIES[draft.icon_category],
+    promptVersion: prompt.id
+  };
+};
+
+module.exports = {
+  ICON_CATEGORIES,
+  PROOF_TYPES,
+  draftHabitCriteria,
+  parseDraftRequest,
+};
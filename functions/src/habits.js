@@ -0,0 +1,168 @@
+const { REFLECTION_POLICY, SCREENSHOT_POLICY } = require("./prompts");
+const {
+  sanitizeForPrompt,
+  validateHabitName,
+  validateAIPrompt,
+} = require("./validation");
+
+// JSON schema for a single-photo verdict. passField is the legacy boolean
+// the app decodes for that habit (is_made, is_outside, is_water, is_verified).
+const photoResultSchema = (passField) => ({
+  type: "object",
+  required: [passField, "detected_subject", "feedback"],
+  properties: {
+    [passField]: { type: "boolean" },
+    detected_subject: { type: "string" },
+    feedback: { type: "string" },
+    confidence: { type: "string", enum: ["high", "medium", "low"] }
+  }
+});
+
+// Verdict for a labeled photo set (see comparison.js): the habit's pass field
+// plus the scene checks and one observation per photo
+const comparisonResultSchema = (passField) => ({
+  type: "object",
+  required: [passField, "same_scene", "changed", "images", "feedback"],
+  properties: {
+    [passField]: { type: "boolean" },
+    same_scene: { type: "boolean" },
+    changed: { type: "boolean" },
+    images: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["label", "observation"],
+        properties: {
+          label: { type: "string" },
+          observation: { type: "string" }
+        }
+      }
+    },
+    detected_subject: { type: "string" },
+    feedback: { type: "string" },
+    confidence: { type: "string", enum: ["high", "medium", "low"] }
+  }
+});
+
+// Verdict for a written entry; reflection only when the caller asked for one
+const textResultSchema = {
+  type: "object",
+  required: ["is_verified", "on_topic", "genuine", "feedback"],
+  properties: {
+    is_verified: { type: "boolean" },
+    on_topic: { type: "boolean" },
+    genuine: { type: "boolean" },
+    feedback: { type: "string" },
+    reflection: { type: "string" },
+    confidence: { type: "string", enum: ["high", "medium", "low"] }
+  }
+};
+
+const videoResultSchema = {
+  type: "object",
+  required: ["is_verified", "feedback"],
+  properties: {
+    is_verified: { type: "boolean" },
+    feedback: { type: "string" },
+    detected_action: { type: "string" },
+    confidence: { type: "string", enum: ["high", "medium", "low"] }
+  }
+};
+
+// Shared option checks for user-defined habits (habit name + criteria)
+const validateCustomOptions = (options) => {
+  const habitNameValidation = validateHabitName(options.habitName);
+  if (!habitNameValidation.valid) {
+    return habitNameValidation;
+  }
+  return validateAIPrompt(options.aiPrompt);
+};
+
+const validateTextOptions = (options) => {
+  if (options.reflection !== undefined && typeof options.reflection !== "boolean") {
+    return { valid: false, error: "reflection must be true or false" };
+  }
+  return { valid: true };
+};
+
+// Predefined habit whose rubric needs no template variables
+const predefinedHabit = (passField) => ({
+  passField,
+  mediaKinds: ["image", "images"],
+  resultSchema: photoResultSchema(passField)
+});
+
+// Journaling habit verified from a written entry (see textEntries.js).
+// options.reflection asks the model for a short reflection on a passing entry.
+const textEntryHabit = () => ({
+  buildVariables: (options, media) => ({
+    entry: sanitizeForPrompt(media.text),
+    reflectionPolicy: options.reflection === true ? REFLECTION_POLICY.requested : REFLECTION_POLICY.skipped
+  }),
+  validateOptions: validateTextOptions,
+  passField: "is_verified",
+  mediaKinds: ["text"],
+  resultSchema: textResultSchema
+});
+
+// Registry of verifiable habit types
+// Prompt text and token budgets are versioned separately in promptRegistry.js.
+// - passField + resultSchema: shape of the model's JSON verdict
+// - mediaKinds: accepted media ("image" = one photo, "images" = labeled photo set
+//   such as before/after, "video" = extracted frames, "text" = written entry)
+// - buildVariables(options, media): template values for user-defined and written entry habits
+// - validateOptions(options): { valid, error } check of the request options
+// - custom: user-defined habit, requires validateOptions to pass
+const HABITS = {
+  bed: predefinedHabit("is_made"),
+  sunlight: predefinedHabit("is_outside"),
+  hydration: predefinedHabit("is_water"),
+  healthyBreakfast: predefinedHabit("is_verified"),
+  morningJournal: predefinedHabit("is_verified"),
+  vitamins: predefinedHabit("is_verified"),
+  skincare: predefinedHabit("is_verified"),
+  mealPrep: predefinedHabit("is_verified"),
+  touchGrass: predefinedHabit("is_verified"),
+  gratitude: textEntryHabit(),
+  dailyPlanning: textEntryHabit(),
+
+  custom: {
+    custom: true,
+    buildVariables: (options) => ({
+      habitName: sanitizeForPrompt(options.habitName),
+      criteria: options.aiPrompt ? sanitizeForPrompt(options.aiPrompt) : "Verify that this habit has been completed.",
+      screenshotPolicy: options.allowsScreenshots === true ? SCREENSHOT_POLICY.accepted : SCREENSHOT_POLICY.rejected
+    }),
+    validateOptions: validateCustomOptions,
+    passField: "is_verified",
+    mediaKinds: ["image", "images"],
+    resultSchema: photoResultSchema("is_verified")
+  },
+
+  customVideo: {
+    custom: true,
+    buildVariables: (options, media) => ({
+      habitName: sanitizeForPrompt(options.habitName),
+      criteria: options.aiPrompt ? sanitizeForPrompt(options.aiPrompt) : "Verify that this action was performed.",
+      frameCount: media.frames.length,
+      duration: Math.round(Number(media.duration) || 0)
+    }),
+    validateOptions: validateCustomOptions,
+    passField: "is_verified",
+    mediaKinds: ["video"],
+    resultSchema: videoResultSchema
+  }
+};
+
+const getHabitDefinition = (habitType) => {
+  if (typeof habitType !== "string" || !Object.prototype.hasOwnProperty.call(HABITS, habitType)) {
+    return null;
+  }
+  return HABITS[habitType];
+};
+
+module.exports = {
+  HABITS,
+  comparisonResultSchema,
+  getHabitDefinition,
+};
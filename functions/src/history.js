@@ -0,0 +1,189 @@
+const admin = require("firebase-admin");
+const { RequestError } = require("./errors");
+const { getProofImage } = require("./media");
+const { createThumbnail } = require("./thumbnails");
+const { getToday } = require("./streaks");
+
+// Opt-in verification history for the app's proof gallery: every verification
+// of a user who turned it on, passed or not, with a thumbnail of photo proofs.
+// - verificationHistory/{uid}: { enabled, updatedAt }
+// - verificationHistory/{uid}/records/{recordId}: { habitType, passed, feedback,
+//   detected_subject, promptVersion, reason, mediaKind, date, createdAt, thumbnailPath,
+//   appealOutcome? }
+// Thumbnails are JPEGs in Cloud Storage at verificationHistory/{uid}/{recordId}.jpg;
+// thumbnailPath is null for videos, written entries and undecodable photos.
+// A failure that can be appealed is stored under its appeal id, so an
+// overturned appeal updates the record instead of adding another.
+const HISTORY_COLLECTION = "verificationHistory";
+const RECORDS_SUBCOLLECTION = "records";
+
+// Gallery tiles are bigger than partner feed thumbnails
+const HISTORY_THUMBNAIL_SIZE = 320;
+
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 50;
+
+// Firestore batches take at most 500 writes
+const DELETE_BATCH_SIZE = 500;
+
+const db = () => admin.firestore();
+const bucket = () => admin.storage().bucket();
+const settingsRef = (uid) => db().collection(HISTORY_COLLECTION).doc(uid);
+const recordsRef = (uid) => settingsRef(uid).collection(RECORDS_SUBCOLLECTION);
+const thumbnailPath = (uid, recordId) => `${HISTORY_COLLECTION}/${uid}/${recordId}.jpg`;
+
+const getHistorySettings = async (uid) => {
+  const snapshot = await settingsRef(uid).get();
+  return { enabled: snapshot.exists && snapshot.data().enabled === true };
+};
+
+// Turn history on or off. Turning it off keeps existing records (see clearHistory).
+const updateHistorySettings = async (uid, { enabled } = {}, nowMs = Date.now()) => {
+  if (enabled === undefined) {
+    return getHistorySettings(uid);
+  }
+  if (typeof enabled !== "boolean") {
+    throw new RequestError(400, "invalid_request", "enabled must be true or false");
+  }
+
+  await settingsRef(uid).set({ enabled, updatedAt: nowMs }, { merge: true });
+  return { enabled };
+};
+
+// Store a finished verification for uid if they opted in. Returns the record
+// id, or null when history is off. A thumbnail that fails to upload is logged
+// and the record is kept without it.
+const recordHistory = async (uid, { habitType, media, timezone }, result, nowMs = Date.now()) => {
+  if (!(await getHistorySettings(uid)).enabled) {
+    return null;
+  }
+
+  const ref = result.appeal_id ? recordsRef(uid).doc(result.appeal_id) : recordsRef(uid).doc();
+  const proofImage = getProofImage(media);
+  const thumbnail = proofImage ? createThumbnail(proofImage, HISTORY_THUMBNAIL_SIZE) : null;
+
+  let storedPath = null;
+  if (thumbnail) {
+    try {
+      await bucket().file(thumbnailPath(uid, ref.id))
+        .save(Buffer.from(thumbnail, "base64"), { contentType: "image/jpeg", resumable: false });
+      storedPath = thumbnailPath(uid, ref.id);
+    } catch (error) {
+      console.error(`Failed to store history thumbnail (uid: ${uid}):`, error);
+    }
+  }
+
+  await ref.set({
+    habitType,
+    passed: result.passed,
+    feedback: result.feedback,
+    detected_subject: result.detected_subject ?? null,
+    promptVersion: result.prompt_version ?? null,
+    reason: result.reason ?? null,
+    mediaKind: media.kind,
+    date: result.streak?.today || getToday(timezone, nowMs),
+    createdAt: nowMs,
+    thumbnailPath: storedPath
+  });
+  return ref.id;
+};
+
+// Turn the record of an appealed failure into the appeal's verdict. Returns
+// false when there is no record (history was off, or the user deleted it).
+const recordAppealOutcome = async (uid, appealId, result) => {
+  const ref = recordsRef(uid).doc(appealId);
+  if (!(await ref.get()).exists) {
+    return false;
+  }
+
+  await ref.update({
+    passed: result.passed,
+    feedback: result.feedback,
+    detected_subject: result.detected_subject ?? null,
+    promptVersion: result.prompt_version ?? null,
+    reason: result.reason ?? null,
+    appealOutcome: result.appeal.outcome
+  });
+  return true;
+};
+
+// App-facing record: the thumbnail inlined as base64 (null when there is none
+// or it has gone missing) in place of its storage path
+const toResponse = async (doc) => {
+  const { thumbnailPath: path, ...record } = doc.data();
+  let thumbnail = null;
+  if (path) {
+    try {
+      const [contents] = await bucket().file(path).download();
+      thumbnail = contents.toString("base64");
+    } catch (error) {
+      if (error.code !== 404) throw error;
+    }
+  }
+  return { id: doc.id, ...record, thumbnail };
+};
+
+// Newest records first. before (createdAt ms) pages back through older ones.
+const listHistory = async (uid, { limit = DEFAULT_HISTORY_LIMIT, before = null } = {}) => {
+  const pageSize = Math.min(Math.max(1, Number(limit) || DEFAULT_HISTORY_LIMIT), MAX_HISTORY_LIMIT);
+
+  let query = recordsRef(uid).orderBy("createdAt", "desc");
+  if (before) {
+    query = query.where("createdAt", "<", Number(before));
+  }
+  const snapshot = await query.limit(pageSize).get();
+
+  return Promise.all(snapshot.docs.map(toResponse));
+};
+
+// Records live under the caller's own uid, so another user's id is simply not found
+const getRecordSnapshot = async (uid, recordId) => {
+  if (typeof recordId !== "string" || !recordId || recordId.includes("/")) {
+    throw new RequestError(400, "invalid_request", "Missing recordId");
+  }
+  const snapshot = await recordsRef(uid).doc(recordId).get();
+  if (!snapshot.exists) {
+    throw new RequestError(404, "record_not_found", "History record not found");
+  }
+  return snapshot;
+};
+
+const getHistoryRecord = async (uid, recordId) => toResponse(await getRecordSnapshot(uid, recordId));
+
+const deleteHistoryRecord = async (uid, recordId) => {
+  const snapshot = await getRecordSnapshot(uid, recordId);
+  const { thumbnailPath: path } = snapshot.data();
+  if (path) {
+    await bucket().file(path).delete({ ignoreNotFound: true });
+  }
+  await snapshot.ref.delete();
+};
+
+// Delete every record and thumbnail of uid's history. Returns the number of records deleted.
+const clearHistory = async (uid) => {
+  await bucket().deleteFiles({ prefix: `${HISTORY_COLLECTION}/${uid}/` });
+
+  let deleted = 0;
+  for (;;) {
+    const snapshot = await recordsRef(uid).limit(DELETE_BATCH_SIZE).get();
+    if (snapshot.empty) {
+      return deleted;
+    }
+    const batch = db().batch();
+    snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snapshot.size;
+  }
+};
+
+module.exports = {
+  HISTORY_THUMBNAIL_SIZE,
+  clearHistory,
+  deleteHistoryRecord,
+  getHistoryRecord,
+  getHistorySettings,
+  listHistory,
+  recordAppealOutcome,
+  recordHistory,
+  updateHistorySettings,
+};
@@ -0,0 +1,93 @@
+const jpeg = require("jpeg-js");
+
+// Refuse to decode absurdly large images (the app caps uploads at 2048px)
+const MAX_DECODE_MEGAPIXELS = 25;
+const MAX_DECODE_MEMORY_MB = 256;
+
+// Decode a base64 JPEG to { width, height, data } (RGBA bytes).
+// Returns null if the data isn't a decodable JPEG.
+const decodeJpeg = (imageBase64) => {
+  try {
+    return jpeg.decode(Buffer.from(imageBase64, "base64"), {
+      useTArray: true,
+      maxResolutionInMP: MAX_DECODE_MEGAPIXELS,
+      maxMemoryUsageInMB: MAX_DECODE_MEMORY_MB
+    });
+  } catch (error) {
+    return null;
+  }
+};
+
+// Box-average an RGBA image down to a width x height grayscale grid (0-255 floats)
+const toGrayscaleGrid = (image, width, height) => {
+  const grid = new Float64Array(width * height);
+
+  for (let gy = 0; gy < height; gy++) {
+    const y0 = Math.floor((gy * image.height) / height);
+    const y1 = Math.max(y0 + 1, Math.floor(((gy + 1) * image.height) / height));
+
+    for (let gx = 0; gx < width; gx++) {
+      const x0 = Math.floor((gx * image.width) / width);
+      const x1 = Math.max(x0 + 1, Math.floor(((gx + 1) * image.width) / width));
+
+      let sum = 0;
+      let count = 0;
+      // Sample every other pixel; plenty for a small grid and halves the work
+      for (let y = y0; y < y1; y += 2) {
+        for (let x = x0; x < x1; x += 2) {
+          const i = (y * image.width + x) * 4;
+          sum += 0.299 * image.data[i] + 0.587 * image.data[i + 1] + 0.114 * image.data[i + 2];
+          count++;
+        }
+      }
+      grid[gy * width + gx] = sum / count;
+    }
+  }
+
+  return grid;
+};
+
+// 64-bit difference hash (dHash) as 16 hex chars: each bit says whether a
+// cell is brighter than its right neighbour on a 9x8 grayscale thumbnail.
+// Robust to re-compression, resizing and small brightness changes.
+const computeDHash = (image) => {
+  const grid = toGrayscaleGrid(image, 9, 8);
+  let hash = "";
+
+  for (let row = 0; row < 8; row++) {
+    let byte = 0;
+    for (let col = 0; col < 8; col++) {
+      byte = (byte << 1) | (grid[row * 9 + col] > grid[row * 9 + col + 1] ? 1 : 0);
+    }
+    hash += byte.toString(16).padStart(2, "0");
+  }
+
+  return hash;
+};
+
+// Number of differing bits between two hex hashes of equal length
+const hammingDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 2) {
+    let diff = parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+};
+
+// dHash of a base64 JPEG, or null if it can't be decoded
+const hashImage = (imageBase64) => {
+  const image = decodeJpeg(imageBase64);
+  return image ? computeDHash(image) : null;
+};
+
+module.exports = {
+  computeDHash,
+  decodeJpeg,
+  hammingDistance,
+  hashImage,
+  toGrayscaleGrid,
+};
@@ -0,0 +1,17 @@
+// Helpers over the media shapes a verification accepts:
+// { kind: "image", data }, { kind: "images", images: [{ label, data }] } and
+// { kind: "video", frames, duration } and { kind: "text", text }.
+
+// The photo that stands for the proof (freshness, duplicate checks, thumbnails):
+// the photo itself, the last of a labeled set (the "after" shot), or a video's
+// first frame. null for a written entry.
+const getProofImage = (media) => {
+  if (media.kind === "text") return null;
+  if (media.kind === "image") return media.data;
+  if (media.kind === "images") return media.images[media.images.length - 1].data;
+  return media.frames[0];
+};
+
+module.exports = {
+  getProofImage,
+};
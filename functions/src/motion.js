@@ -0,0 +1,126 @@
+const { decodeJpeg, toGrayscaleGrid } = require("./imageHash");
+
+// Server-side look at video frames before paying for a model call: how much
+// actually changes between frames, which frames are repeats, and which subset
+// is worth sending. A looped still image scores 0 and fails without the model.
+
+// Frames are compared as 32x32 grayscale thumbnails; a pair's difference is
+// the mean absolute change per cell, as a fraction of full brightness
+const GRID_SIZE = 32;
+
+// Below this a pair counts as static (JPEG re-encoding noise stays well under it)
+const STATIC_DIFFERENCE = 0.01;
+// Below this a frame counts as a duplicate of the previous one sent
+const DUPLICATE_DIFFERENCE = 0.002;
+
+// Share of consecutive pairs that must show movement
+const MIN_MOTION_SCORE = 0.2;
+
+// Most frames sent to the model; the first and last are always among them
+const MAX_MODEL_FRAMES = 8;
+
+// The app sends 1024px frames; leave headroom for older builds
+const MAX_FRAME_DIMENSION = 2048;
+
+const NO_MOTION_FEEDBACK = "We couldn't see any movement in this video. Record yourself doing the habit!";
+
+const frameDifference = (a, b) => {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) {
+    total += Math.abs(a[i] - b[i]);
+  }
+  return total / a.length / 255;
+};
+
+// Grayscale grid of a base64 JPEG for frameDifference, or null if it can't be
+// decoded. Decode each image once and compare the grids.
+const imageGrid = (imageBase64) => {
+  const image = decodeJpeg(imageBase64);
+  return image ? toGrayscaleGrid(image, GRID_SIZE, GRID_SIZE) : null;
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Indexes of the frames to send: duplicates dropped, then the frames that
+// changed most, in their original order
+const selectFrames = (grids, differences) => {
+  const kept = [0];
+  const duplicateFrames = [];
+
+  for (let i = 1; i < grids.length; i++) {
+    if (frameDifference(grids[kept[kept.length - 1]], grids[i]) < DUPLICATE_DIFFERENCE) {
+      duplicateFrames.push(i);
+    } else {
+      kept.push(i);
+    }
+  }
+
+  if (kept.length <= MAX_MODEL_FRAMES) {
+    return { selectedFrames: kept, duplicateFrames };
+  }
+
+  const first = kept[0];
+  const last = kept[kept.length - 1];
+  const middle = kept.slice(1, -1)
+    .sort((a, b) => differences[b - 1] - differences[a - 1])
+    .slice(0, MAX_MODEL_FRAMES - 2);
+
+  return { selectedFrames: [first, ...middle, last].sort((a, b) => a - b), duplicateFrames };
+};
+
+// Analyze base64 JPEG frames (at least two).
+// Returns { motionScore, differences, staticPairs, duplicateFrames, selectedFrames }
+// with 0-based frame indexes, or { error } when a frame can't be used.
+const analyzeFrames = (frames) => {
+  const grids = [];
+
+  for (let i = 0; i < frames.length; i++) {
+    const image = decodeJpeg(frames[i]);
+    if (!image) {
+      return { error: `frame ${i + 1} is not a readable JPEG` };
+    }
+    if (image.width > MAX_FRAME_DIMENSION || image.height > MAX_FRAME_DIMENSION) {
+      return { error: `frame ${i + 1} is larger than ${MAX_FRAME_DIMENSION}px` };
+    }
+    grids.push(toGrayscaleGrid(image, GRID_SIZE, GRID_SIZE));
+  }
+
+  const differences = grids.slice(1).map((grid, i) => frameDifference(grids[i], grid));
+  const staticPairs = differences.filter((difference) => difference < STATIC_DIFFERENCE).length;
+
+  return {
+    motionScore: round(1 - staticPairs / differences.length),
+    differences: differences.map(round),
+    staticPairs,
+    ...selectFrames(grids, differences)
+  };
+};
+
+// Rejection for a video without enough movement, or null.
+// Same shape as checkFreshness: { reason, feedback, details }.
+const checkMotion = (motion) => {
+  if (!motion || motion.motionScore >= MIN_MOTION_SCORE) {
+    return null;
+  }
+
+  return {
+    reason: "no_motion",
+    feedback: NO_MOTION_FEEDBACK,
+    details: {
+      motionScore: motion.motionScore,
+      minMotionScore: MIN_MOTION_SCORE,
+      staticPairs: motion.staticPairs,
+      duplicateFrames: motion.duplicateFrames.length
+    }
+  };
+};
+
+module.exports = {
+  DUPLICATE_DIFFERENCE,
+  MAX_MODEL_FRAMES,
+  MIN_MOTION_SCORE,
+  analyzeFrames,
+  checkMotion,
+  frameDifference,
+  imageGrid,
+};
@@ -0,0 +1,429 @@
+const admin = require("firebase-admin");
+const { RequestError } = require("./errors");
+const { renderTemplate } = require("./prompts");
+const { getStreak, getTodaysCompletions } = require("./streaks");
+const { getPartnerStatus } = require("./partners");
+const { addDays, getLocalParts, isValidTimezone, wallClockToEpochMs } = require("./timezone");
+
+// Server-side morning pushes, sent by a scheduled job that knows whether
+// today's habits were actually verified (local notifications can't).
+// - notificationSettings/{uid}: { fcmTokens, active, timezone, deadlineMinutes, reminderMinutes,
+//   quietHours: { startMinutes, endMinutes } | null, enabled: { <type>: bool }, lastSent: { <type>: date },
+//   nextCheckAt }
+//   nextCheckAt is the epoch ms from which the scheduled job next looks at the user (0: on the
+//   next run, null: never, e.g. no device), so each run only reads users with a push coming up
+// - config/notificationTemplates: { templates: { <type>: { title, body } } } overrides DEFAULT_TEMPLATES
+const SETTINGS_COLLECTION = "notificationSettings";
+const TEMPLATES_DOC_PATH = "config/notificationTemplates";
+
+// Minutes before the deadline each push goes out
+const STREAK_AT_RISK_LEAD_MINUTES = 15;
+const PARTNER_NUDGE_LEAD_MINUTES = 30;
+
+const MAX_FCM_TOKENS = 5;
+
+// Users notified at once by a scheduled run
+const NOTIFY_CONCURRENCY = 10;
+
+const MS_PER_MINUTE = 60 * 1000;
+
+// Templates use {{minutesLeft}}, {{deadline}}, {{streak}} and {{partnerName}}
+const DEFAULT_TEMPLATES = {
+  reminder: {
+    title: "Good Morning!",
+    body: "{{minutesLeft}} minutes until your {{deadline}} cutoff. Time to prove your morning!"
+  },
+  streakAtRisk: {
+    title: "Your {{streak}}-day streak is at risk",
+    body: "Only {{minutesLeft}} minutes left. Verify a habit to keep it alive!"
+  },
+  partnerNudge: {
+    title: "{{partnerName}} finished their morning",
+    body: "Your accountability partner is done. Your turn!"
+  }
+};
+
+const NOTIFICATION_TYPES = Object.keys(DEFAULT_TEMPLATES);
+
+const DEFAULT_SETTINGS = {
+  fcmTokens: [],
+  active: false,
+  timezone: null,
+  // Matches the app's default morning cutoff (9:00)
+  deadlineMinutes: 9 * 60,
+  reminderMinutes: 8 * 60,
+  quietHours: { startMinutes: 22 * 60, endMinutes: 6 * 60 },
+  enabled: { reminder: true, streakAtRisk: true, partnerNudge: true },
+  lastSent: {},
+  nextCheckAt: null
+};
+
+// FCM errors meaning the token will never work again
+const STALE_TOKEN_ERRORS = ["messaging/registration-token-not-registered", "messaging/invalid-registration-token"];
+
+const settingsRef = (uid) => admin.firestore().collection(SETTINGS_COLLECTION).doc(uid);
+
+const withDefaults = (stored = {}) => ({
+  ...DEFAULT_SETTINGS,
+  ...stored,
+  enabled: { ...DEFAULT_SETTINGS.enabled, ...stored.enabled },
+  lastSent: { ...stored.lastSent }
+});
+
+// Settings the app may see (tokens and bookkeeping stay server-side)
+const describeSettings = (settings) => ({
+  timezone: settings.timezone,
+  deadlineMinutes: settings.deadlineMinutes,
+  reminderMinutes: settings.reminderMinutes,
+  quietHours: settings.quietHours,
+  enabled: settings.enabled,
+  registeredDevices: settings.fcmTokens.length
+});
+
+const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const suffix = hours < 12 ? "AM" : "PM";
+  return `${hours % 12 || 12}:${String(minutes % 60).padStart(2, "0")} ${suffix}`;
+};
+
+const isMinuteOfDay = (value) => Number.isInteger(value) && value >= 0 && value < 24 * 60;
+
+// Quiet hours may wrap midnight (22:00-06:00)
+const isInQuietHours = (quietHours, minutes) => {
+  if (!quietHours) return false;
+  const { startMinutes, endMinutes } = quietHours;
+  return startMinutes <= endMinutes
+    ? minutes >= startMinutes && minutes < endMinutes
+    : minutes >= startMinutes || minutes < endMinutes;
+};
+
+// Validate a settings update from the app into stored fields
+const parseSettingsUpdate = (update) => {
+  const changes = {};
+
+  if (update.timezone !== undefined) {
+    if (!isValidTimezone(update.timezone)) {
+      throw new RequestError(400, "invalid_request", `Unknown timezone: ${update.timezone}`);
+    }
+    changes.timezone = update.timezone;
+  }
+
+  ["deadlineMinutes", "reminderMinutes"].forEach((field) => {
+    if (update[field] !== undefined) {
+      if (!isMinuteOfDay(update[field])) {
+        throw new RequestError(400, "invalid_request", `${field} must be minutes after midnight (0-1439)`);
+      }
+      changes[field] = update[field];
+    }
+  });
+
+  if (update.quietHours !== undefined) {
+    const quietHours = update.quietHours;
+    if (quietHours !== null && (!isMinuteOfDay(quietHours.startMinutes) || !isMinuteOfDay(quietHours.endMinutes))) {
+      throw new RequestError(400, "invalid_request", "quietHours must be null or { startMinutes, endMinutes }");
+    }
+    changes.quietHours = quietHours && { startMinutes: quietHours.startMinutes, endMinutes: quietHours.endMinutes };
+  }
+
+  if (update.enabled !== undefined) {
+    const enabled = update.enabled || {};
+    const valid = typeof enabled === "object" &&
+      Object.entries(enabled).every(([type, value]) => NOTIFICATION_TYPES.includes(type) && typeof value === "boolean");
+    if (!valid) {
+      throw new RequestError(400, "invalid_request", `enabled must map ${NOTIFICATION_TYPES.join(", ")} to booleans`);
+    }
+    changes.enabled = enabled;
+  }
+
+  return changes;
+};
+
+const getNotificationSettings = async (uid) => {
+  const snapshot = await settingsRef(uid).get();
+  return describeSettings(withDefaults(snapshot.exists ? snapshot.data() : {}));
+};
+
+// Apply a settings update; returns the resulting settings
+const updateNotificationSettings = async (uid, update) => {
+  const changes = parseSettingsUpdate(update);
+
+  return admin.firestore().runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(settingsRef(uid));
+    const current = withDefaults(snapshot.exists ? snapshot.data() : {});
+    // Timing may have changed, so the next run works it out again
+    const next = {
+      ...current,
+      ...changes,
+      enabled: { ...current.enabled, ...changes.enabled },
+      nextCheckAt: current.active ? 0 : null
+    };
+    transaction.set(settingsRef(uid), next);
+    return describeSettings(next);
+  });
+};
+
+// Add (register) or remove (unregister) a device's FCM token
+const setToken = async (uid, token, register) => {
+  if (typeof token !== "string" || !token) {
+    throw new RequestError(400, "invalid_request", "Missing fcmToken");
+  }
+
+  return admin.firestore().runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(settingsRef(uid));
+    const current = withDefaults(snapshot.exists ? snapshot.data() : {});
+    const others = current.fcmTokens.filter((existing) => existing !== token);
+    // Newest last; the oldest device drops off past the cap
+    const fcmTokens = register ? [...others, token].slice(-MAX_FCM_TOKENS) : others;
+    const active = fcmTokens.length > 0;
+    const next = { ...current, fcmTokens, active, nextCheckAt: active ? 0 : null };
+    transaction.set(settingsRef(uid), next);
+    return describeSettings(next);
+  });
+};
+
+const registerToken = (uid, token) => setToken(uid, token, true);
+const unregisterToken = (uid, token) => setToken(uid, token, false);
+
+// Local minute of the day each push may go out from
+const getSendTimes = (settings) => ({
+  reminder: settings.reminderMinutes,
+  streakAtRisk: settings.deadlineMinutes - STREAK_AT_RISK_LEAD_MINUTES,
+  partnerNudge: settings.deadlineMinutes - PARTNER_NUDGE_LEAD_MINUTES
+});
+
+// Which pushes are due for a user right now. Pure.
+// context: { minutes (local), today, completedToday, streak, partner: { finished, displayName } | null }
+// Each push goes out at most once per local day, between its send time and the
+// deadline, outside quiet hours, and only while nothing has been verified today.
+const getDueNotifications = (settings, context) => {
+  const { minutes, today, completedToday, streak, partner } = context;
+
+  if (completedToday || minutes >= settings.deadlineMinutes || isInQuietHours(settings.quietHours, minutes)) {
+    return [];
+  }
+
+  const sendTimes = getSendTimes(settings);
+  const conditions = {
+    reminder: true,
+    streakAtRisk: streak > 0,
+    partnerNudge: Boolean(partner?.finished)
+  };
+
+  return NOTIFICATION_TYPES.filter((type) => settings.enabled[type] &&
+    conditions[type] &&
+    minutes >= sendTimes[type] &&
+    settings.lastSent[type] !== today);
+};
+
+// Whether a push could still go out today: a streak-at-risk push needs a live
+// streak and a partner nudge needs a partner. Context the caller didn't read
+// (undefined) rules nothing out. Pure.
+const canSendToday = (type, { streak, partner }) => {
+  if (type === "streakAtRisk") return streak === undefined || streak > 0;
+  if (type === "partnerNudge") return partner !== null;
+  return true;
+};
+
+// When the scheduled job should next look at a user, as stored in nextCheckAt. Pure.
+// context: { minutes (local), today, completedToday, streak?, partner? } (see getDueNotifications)
+// While today still has an enabled push that can be sent that's the earliest of their
+// send times (or now, once one has passed); after the deadline, a verification or the
+// last push it's the first send time tomorrow. Never before the current quiet hours end.
+// null when no push is enabled.
+const getNextCheckAt = (settings, context, nowMs) => {
+  const { minutes, today, completedToday } = context;
+  const sendTimes = getSendTimes(settings);
+  const enabled = NOTIFICATION_TYPES.filter((type) => settings.enabled[type]);
+  const localTime = (date, minutesOfDay) => wallClockToEpochMs(
+    settings.timezone,
+    Date.parse(`${date}T00:00:00Z`) + minutesOfDay * MS_PER_MINUTE
+  );
+  if (enabled.length === 0) {
+    return null;
+  }
+
+  const pendingToday = completedToday || minutes >= settings.deadlineMinutes
+    ? []
+    : enabled.filter((type) => settings.lastSent[type] !== today && canSendToday(type, context));
+  const next = pendingToday.length > 0
+    ? Math.max(nowMs, localTime(today, Math.min(...pendingToday.map((type) => sendTimes[type]))))
+    : localTime(addDays(today, 1), Math.min(...enabled.map((type) => sendTimes[type])));
+
+  if (!isInQuietHours(settings.quietHours, minutes)) {
+    return next;
+  }
+  const { endMinutes } = settings.quietHours;
+  const quietEnd = localTime(minutes < endMinutes ? today : addDays(today, 1), endMinutes);
+  return Math.max(next, quietEnd);
+};
+
+const loadTemplates = async () => {
+  try {
+    const snapshot = await admin.firestore().doc(TEMPLATES_DOC_PATH).get();
+    const overrides = snapshot.exists ? snapshot.data().templates || {} : {};
+    return Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, { ...DEFAULT_TEMPLATES[type], ...overrides[type] }]));
+  } catch (error) {
+    console.error("Failed to load notification templates, using defaults:", error);
+    return DEFAULT_TEMPLATES;
+  }
+};
+
+const renderNotification = (template, variables) => ({
+  title: renderTemplate(template.title, variables),
+  body: renderTemplate(template.body, variables)
+});
+
+// Send one push to all of a user's devices; returns tokens FCM reported as stale.
+// data values must be strings.
+const sendPush = async (tokens, type, notification, data = {}) => {
+  const response = await admin.messaging().sendEachForMulticast({
+    tokens,
+    notification,
+    data: { ...data, type },
+    apns: { payload: { aps: { sound: "default" } } }
+  });
+
+  return response.responses
+    .map((result, index) => (!result.success && STALE_TOKEN_ERRORS.includes(result.error?.code) ? tokens[index] : null))
+    .filter(Boolean);
+};
+
+const removeTokens = (uid, staleTokens) => admin.firestore().runTransaction(async (transaction) => {
+  const snapshot = await transaction.get(settingsRef(uid));
+  const fcmTokens = (snapshot.data()?.fcmTokens || []).filter((token) => !staleTokens.includes(token));
+  const active = fcmTokens.length > 0;
+  transaction.set(settingsRef(uid), { fcmTokens, active, ...(!active && { nextCheckAt: null }) }, { merge: true });
+});
+
+// One-off push to all of uid's devices, outside the morning schedule (e.g. a
+// finished verification job the user is waiting on, so quiet hours don't apply).
+// Returns false when uid has no registered device.
+const sendToUser = async (uid, type, notification, data = {}) => {
+  const snapshot = await settingsRef(uid).get();
+  const tokens = snapshot.exists ? snapshot.data().fcmTokens || [] : [];
+  if (tokens.length === 0) {
+    return false;
+  }
+
+  const staleTokens = await sendPush(tokens, type, notification, data);
+  if (staleTokens.length > 0) {
+    await removeTokens(uid, staleTokens);
+  }
+  return true;
+};
+
+// Partner status for nudges, or null without a partner
+const getPartnerForNudge = async (uid, nowMs) => {
+  try {
+    return await getPartnerStatus(uid, nowMs);
+  } catch (error) {
+    if (error instanceof RequestError) return null;
+    throw error;
+  }
+};
+
+// Mark the due pushes sent before sending them, so a failure after the send
+// can't repeat a push on the next run, and move nextCheckAt on. Re-reads the
+// settings so an overlapping run doesn't send the same push twice.
+// Returns the types this run should send.
+const claimNotifications = (uid, due, context, nowMs) => admin.firestore().runTransaction(async (transaction) => {
+  const snapshot = await transaction.get(settingsRef(uid));
+  const current = withDefaults(snapshot.exists ? snapshot.data() : {});
+  const claimed = due.filter((type) => current.lastSent[type] !== context.today);
+
+  const lastSent = { ...current.lastSent, ...Object.fromEntries(claimed.map((type) => [type, context.today])) };
+  const nextCheckAt = getNextCheckAt({ ...current, lastSent }, context, nowMs);
+  transaction.set(settingsRef(uid), { lastSent, nextCheckAt }, { merge: true });
+  return claimed;
+});
+
+// Work out and send the due pushes for one user; returns the types sent
+const notifyUser = async (uid, stored, templates, nowMs) => {
+  const settings = withDefaults(stored);
+  if (!settings.timezone || settings.fcmTokens.length === 0) {
+    // Nothing to time or send until the settings change
+    await settingsRef(uid).set({ nextCheckAt: null }, { merge: true });
+    return [];
+  }
+
+  const { date: today, minutes } = getLocalParts(settings.timezone, nowMs);
+  // Cheap checks first so most runs don't read streaks at all
+  if (isInQuietHours(settings.quietHours, minutes) || minutes >= settings.deadlineMinutes) {
+    return claimNotifications(uid, [], { minutes, today, completedToday: false }, nowMs);
+  }
+
+  const [completions, streak, partner] = await Promise.all([
+    getTodaysCompletions(uid, nowMs, settings.timezone),
+    getStreak(uid, settings.timezone, nowMs),
+    settings.enabled.partnerNudge ? getPartnerForNudge(uid, nowMs) : null
+  ]);
+
+  const context = {
+    minutes,
+    today,
+    completedToday: completions.habitTypes.length > 0,
+    streak: streak.currentStreak,
+    partner
+  };
+  const due = await claimNotifications(uid, getDueNotifications(settings, context), context, nowMs);
+  if (due.length === 0) {
+    return [];
+  }
+
+  const variables = {
+    minutesLeft: settings.deadlineMinutes - minutes,
+    deadline: formatMinutes(settings.deadlineMinutes),
+    streak: streak.currentStreak,
+    partnerName: partner?.displayName || "Your partner"
+  };
+
+  const staleTokens = new Set();
+  for (const type of due) {
+    const stale = await sendPush(settings.fcmTokens, type, renderNotification(templates[type], variables));
+    stale.forEach((token) => staleTokens.add(token));
+  }
+
+  if (staleTokens.size > 0) {
+    await removeTokens(uid, [...staleTokens]);
+  }
+  return due;
+};
+
+// Scheduled job: send due pushes to the users whose nextCheckAt has come,
+// NOTIFY_CONCURRENCY at a time. One user's failure is logged and doesn't stop the run.
+const sendScheduledNotifications = async (nowMs = Date.now()) => {
+  const [templates, snapshot] = await Promise.all([
+    loadTemplates(),
+    admin.firestore().collection(SETTINGS_COLLECTION).where("nextCheckAt", "<=", nowMs).get()
+  ]);
+  const sent = Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, 0]));
+
+  const docs = [...snapshot.docs];
+  const worker = async () => {
+    while (docs.length > 0) {
+      const doc = docs.shift();
+      try {
+        const types = await notifyUser(doc.id, doc.data(), templates, nowMs);
+        types.forEach((type) => sent[type]++);
+      } catch (error) {
+        console.error(`Failed to send notifications (uid: ${doc.id}):`, error);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(NOTIFY_CONCURRENCY, docs.length) }, worker));
+
+  console.log(JSON.stringify({ event: "notifications_sent", users: snapshot.size, ...sent }));
+  return sent;
+};
+
+module.exports = {
+  getDueNotifications,
+  getNextCheckAt,
+  getNotificationSettings,
+  isInQuietHours,
+  registerToken,
+  sendScheduledNotifications,
+  sendToUser,
+  unregisterToken,
+  updateNotificationSettings,
+};
@@ -0,0 +1,266 @@
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const { RequestError } = require("./errors");
+const { getProofImage } = require("./media");
+const { createThumbnail } = require("./thumbnails");
+const { getToday, getTodaysCompletions } = require("./streaks");
+
+// Accountability partners: two users pair with an invite code and see each
+// other's verified habits. One partner per user.
+// - partnerInvites/{code}: { code, uid, createdAt, expiresAt }
+// - partnerLinks/{uid}: { partnerUid, pairId, since, shareThumbnails, routineHabits, displayName }
+// - partnerships/{pairId}: { members: [uid, uid], createdAt, endedAt }
+// - partnerships/{pairId}/feed/{id}: { uid, habitType, feedback, detected_subject, date, createdAt, thumbnail? }
+// Every partnership gets a new pairId, so pairing again never reopens an ended feed.
+const INVITES_COLLECTION = "partnerInvites";
+const LINKS_COLLECTION = "partnerLinks";
+const PARTNERSHIPS_COLLECTION = "partnerships";
+const FEED_SUBCOLLECTION = "feed";
+
+// No 0/O or 1/I so codes survive being read out loud
+const INVITE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const INVITE_CODE_LENGTH = 6;
+const INVITE_TTL_MS = 48 * 60 * 60 * 1000;
+
+// acceptInvite error codes for a code that doesn't lead to a live invite;
+// the endpoint rate-limits these so codes can't be guessed
+const INVITE_LOOKUP_FAILURES = ["invalid_invite", "invite_expired"];
+
+const DEFAULT_FEED_LIMIT = 20;
+const MAX_FEED_LIMIT = 50;
+const MAX_DISPLAY_NAME_LENGTH = 40;
+const MAX_ROUTINE_HABITS = 20;
+
+const db = () => admin.firestore();
+const inviteRef = (code) => db().collection(INVITES_COLLECTION).doc(code);
+const linkRef = (uid) => db().collection(LINKS_COLLECTION).doc(uid);
+const partnershipRef = (pairId) => db().collection(PARTNERSHIPS_COLLECTION).doc(pairId);
+const feedRef = (pairId) => partnershipRef(pairId).collection(FEED_SUBCOLLECTION);
+
+const generateInviteCode = () => Array.from(
+  { length: INVITE_CODE_LENGTH },
+  () => INVITE_ALPHABET[crypto.randomInt(INVITE_ALPHABET.length)]
+).join("");
+
+const normalizeInviteCode = (code) => (typeof code === "string" ? code.trim().toUpperCase() : "");
+
+const getLink = async (uid) => {
+  const snapshot = await linkRef(uid).get();
+  return snapshot.exists ? snapshot.data() : null;
+};
+
+const noPartnerError = () => new RequestError(404, "no_partner", "You don't have an accountability partner yet");
+
+const requireLink = async (uid) => {
+  const link = await getLink(uid);
+  if (!link) {
+    throw noPartnerError();
+  }
+  return link;
+};
+
+// New invite code for uid. Throws RequestError if uid already has a partner.
+const createInvite = async (uid, nowMs = Date.now()) => {
+  if (await getLink(uid)) {
+    throw new RequestError(409, "already_partnered", "You already have an accountability partner");
+  }
+
+  // Retry on the rare code collision
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = generateInviteCode();
+    const created = await db().runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(inviteRef(code));
+      if (snapshot.exists && snapshot.data().expiresAt > nowMs) {
+        return false;
+      }
+      transaction.set(inviteRef(code), { code, uid, createdAt: nowMs, expiresAt: nowMs + INVITE_TTL_MS });
+      return true;
+    });
+    if (created) {
+      return { code, expiresAt: nowMs + INVITE_TTL_MS };
+    }
+  }
+
+  throw new Error("Could not allocate a partner invite code");
+};
+
+// Pair uid with the invite's owner. Returns { partnerUid, pairId }.
+const acceptInvite = async (uid, rawCode, nowMs = Date.now()) => {
+  const code = normalizeInviteCode(rawCode);
+  if (!code) {
+    throw new RequestError(400, "invalid_request", "Missing invite code");
+  }
+
+  return db().runTransaction(async (transaction) => {
+    const invite = await transaction.get(inviteRef(code));
+    if (!invite.exists) {
+      throw new RequestError(404, "invalid_invite", "That invite code doesn't exist");
+    }
+
+    const { uid: inviterUid, expiresAt } = invite.data();
+    if (expiresAt <= nowMs) {
+      throw new RequestError(410, "invite_expired", "That invite code has expired");
+    }
+    if (inviterUid === uid) {
+      throw new RequestError(400, "own_invite", "You can't accept your own invite");
+    }
+
+    const [ownLink, inviterLink] = await Promise.all([
+      transaction.get(linkRef(uid)),
+      transaction.get(linkRef(inviterUid))
+    ]);
+    if (ownLink.exists || inviterLink.exists) {
+      throw new RequestError(409, "already_partnered", "One of you already has an accountability partner");
+    }
+
+    const pairId = db().collection(PARTNERSHIPS_COLLECTION).doc().id;
+    const link = (partnerUid) => ({
+      partnerUid,
+      pairId,
+      since: nowMs,
+      shareThumbnails: false,
+      routineHabits: [],
+      displayName: null
+    });
+
+    transaction.set(partnershipRef(pairId), { members: [inviterUid, uid].sort(), createdAt: nowMs, endedAt: null });
+    transaction.set(linkRef(uid), link(inviterUid));
+    transaction.set(linkRef(inviterUid), link(uid));
+    transaction.delete(inviteRef(code));
+
+    return { partnerUid: inviterUid, pairId };
+  });
+};
+
+// End uid's partnership for both members. The feed is kept but no longer readable.
+// The links are read in the transaction, so a concurrent leave or accept can't
+// delete a link that belongs to a newer partnership.
+const leavePartnership = async (uid, nowMs = Date.now()) => db().runTransaction(async (transaction) => {
+  const snapshot = await transaction.get(linkRef(uid));
+  if (!snapshot.exists) {
+    throw noPartnerError();
+  }
+
+  const link = snapshot.data();
+  const partnerLink = await transaction.get(linkRef(link.partnerUid));
+  transaction.delete(linkRef(uid));
+  if (partnerLink.exists && partnerLink.data().pairId === link.pairId) {
+    transaction.delete(linkRef(link.partnerUid));
+  }
+  transaction.set(partnershipRef(link.pairId), { endedAt: nowMs }, { merge: true });
+});
+
+// Validate and save what uid shares with their partner:
+// { shareThumbnails?, routineHabits?, displayName? }. Returns the saved settings.
+const updateSettings = async (uid, settings) => {
+  await requireLink(uid);
+  const changes = {};
+
+  if (settings.shareThumbnails !== undefined) {
+    if (typeof settings.shareThumbnails !== "boolean") {
+      throw new RequestError(400, "invalid_request", "shareThumbnails must be a boolean");
+    }
+    changes.shareThumbnails = settings.shareThumbnails;
+  }
+
+  if (settings.routineHabits !== undefined) {
+    const habits = settings.routineHabits;
+    if (!Array.isArray(habits) || habits.length > MAX_ROUTINE_HABITS || !habits.every((habit) => typeof habit === "string" && habit)) {
+      throw new RequestError(400, "invalid_request", `routineHabits must be a list of up to ${MAX_ROUTINE_HABITS} habit types`);
+    }
+    changes.routineHabits = [...new Set(habits)];
+  }
+
+  if (settings.displayName !== undefined) {
+    const name = typeof settings.displayName === "string" ? settings.displayName.trim() : "";
+    if (!name || name.length > MAX_DISPLAY_NAME_LENGTH) {
+      throw new RequestError(400, "invalid_request", `displayName must be 1-${MAX_DISPLAY_NAME_LENGTH} characters`);
+    }
+    changes.displayName = name;
+  }
+
+  await linkRef(uid).set(changes, { merge: true });
+  const { shareThumbnails, routineHabits, displayName } = await getLink(uid);
+  return { shareThumbnails, routineHabits, displayName };
+};
+
+// Post a passed verification to uid's partner feed, if uid has a partner.
+// The thumbnail is only included when uid opted in.
+const postToPartnerFeed = async (uid, { habitType, result, media, timezone }, nowMs = Date.now()) => {
+  const link = await getLink(uid);
+  if (!link) {
+    return false;
+  }
+
+  const entry = {
+    uid,
+    habitType,
+    feedback: result.feedback,
+    detected_subject: result.detected_subject,
+    date: result.streak?.today || getToday(timezone, nowMs),
+    createdAt: nowMs
+  };
+
+  const proofImage = getProofImage(media);
+  if (link.shareThumbnails && proofImage) {
+    const thumbnail = createThumbnail(proofImage);
+    if (thumbnail) {
+      entry.thumbnail = thumbnail;
+    }
+  }
+
+  await feedRef(link.pairId).add(entry);
+  return true;
+};
+
+// Newest feed entries for uid's partnership, both partners' posts.
+// before (createdAt ms) pages back through older entries.
+const listFeed = async (uid, { limit = DEFAULT_FEED_LIMIT, before = null } = {}) => {
+  const link = await requireLink(uid);
+  const pageSize = Math.min(Math.max(1, Number(limit) || DEFAULT_FEED_LIMIT), MAX_FEED_LIMIT);
+
+  let query = feedRef(link.pairId).orderBy("createdAt", "desc");
+  if (before) {
+    query = query.where("createdAt", "<", Number(before));
+  }
+  const snapshot = await query.limit(pageSize).get();
+
+  return snapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+    fromPartner: doc.data().uid !== uid
+  }));
+};
+
+// Whether uid's partner has finished their morning, in the partner's own timezone.
+// Finished = every habit in their routineHabits verified today, or any
+// verification today when they haven't shared a routine.
+const getPartnerStatus = async (uid, nowMs = Date.now()) => {
+  const link = await requireLink(uid);
+  const partnerLink = await getLink(link.partnerUid);
+
+  const { today, habitTypes: completedHabits } = await getTodaysCompletions(link.partnerUid, nowMs);
+  const routineHabits = partnerLink?.routineHabits || [];
+
+  return {
+    partnerUid: link.partnerUid,
+    displayName: partnerLink?.displayName || null,
+    today,
+    completedHabits,
+    routineHabits,
+    finished: routineHabits.length > 0
+      ? routineHabits.every((habit) => completedHabits.includes(habit))
+      : completedHabits.length > 0
+  };
+};
+
+module.exports = {
+  INVITE_LOOKUP_FAILURES,
+  acceptInvite,
+  createInvite,
+  getPartnerStatus,
+  leavePartnership,
+  listFeed,
+  postToPartnerFeed,
+  updateSettings,
+};
@@ -0,0 +1,179 @@
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const {
+  PROMPTS,
+  COMPARISON_TEMPLATE,
+  CUSTOM_HABIT_TEMPLATE,
+  HABIT_DRAFT_TEMPLATE,
+  HABIT_DRAFT_TEMPLATE_V2,
+  TEXT_PROMPTS,
+  VIDEO_TEMPLATE,
+  renderTemplate,
+} = require("./prompts");
+
+// Labeled photo sets of any habit share one comparison prompt, versioned and
+// rolled out under this key as if it were a habit type
+const COMPARISON_PROMPT_KEY = "comparison";
+
+// Criteria drafts for new custom habits (draftHabitCriteria), same idea
+const HABIT_DRAFT_PROMPT_KEY = "habitDraft";
+
+// Comparison prompts embed the habit's single-photo rubric. Each comparison
+// version pins the rubric version it embeds per habit type, so a new habit
+// prompt only reaches photo sets through a new comparison version.
+const COMPARISON_V1_RUBRICS = Object.fromEntries(
+  ["bed", "sunlight", "hydration", "healthyBreakfast", "morningJournal", "vitamins", "skincare", "mealPrep", "touchGrass", "custom"]
+    .map((habitType) => [habitType, `${habitType}-v1`])
+);
+
+// Versioned prompts. Never edit a template in place once it has shipped:
+// add a new version and roll it out, so pass rates stay comparable per version.
+// { id, habitType, version, template, maxTokens, rubrics? }
+// (rubrics: habit type -> pinned rubric prompt id, for comparison prompts)
+const PROMPT_VERSIONS = [
+  { id: "bed-v1", habitType: "bed", version: 1, template: PROMPTS.bed, maxTokens: 512 },
+  { id: "sunlight-v1", habitType: "sunlight", version: 1, template: PROMPTS.sunlight, maxTokens: 256 },
+  { id: "hydration-v1", habitType: "hydration", version: 1, template: PROMPTS.hydration, maxTokens: 256 },
+  { id: "healthyBreakfast-v1", habitType: "healthyBreakfast", version: 1, template: PROMPTS.healthyBreakfast, maxTokens: 256 },
+  { id: "morningJournal-v1", habitType: "morningJournal", version: 1, template: PROMPTS.morningJournal, maxTokens: 256 },
+  { id: "vitamins-v1", habitType: "vitamins", version: 1, template: PROMPTS.vitamins, maxTokens: 256 },
+  { id: "skincare-v1", habitType: "skincare", version: 1, template: PROMPTS.skincare, maxTokens: 256 },
+  { id: "mealPrep-v1", habitType: "mealPrep", version: 1, template: PROMPTS.mealPrep, maxTokens: 256 },
+  { id: "touchGrass-v1", habitType: "touchGrass", version: 1, template: PROMPTS.touchGrass, maxTokens: 256 },
+  { id: "gratitude-v1", habitType: "gratitude", version: 1, template: TEXT_PROMPTS.gratitude, maxTokens: 384 },
+  { id: "dailyPlanning-v1", habitType: "dailyPlanning", version: 1, template: TEXT_PROMPTS.dailyPlanning, maxTokens: 384 },
+  { id: "custom-v1", habitType: "custom", version: 1, template: CUSTOM_HABIT_TEMPLATE, maxTokens: 512 },
+  { id: "customVideo-v1", habitType: "customVideo", version: 1, template: VIDEO_TEMPLATE, maxTokens: 512 },
+  { id: "comparison-v1", habitType: COMPARISON_PROMPT_KEY, version: 1, template: COMPARISON_TEMPLATE, maxTokens: 768, rubrics: COMPARISON_V1_RUBRICS },
+  { id: "habitDraft-v1", habitType: HABIT_DRAFT_PROMPT_KEY, version: 1, template: HABIT_DRAFT_TEMPLATE, maxTokens: 768 },
+  { id: "habitDraft-v2", habitType: HABIT_DRAFT_PROMPT_KEY, version: 2, template: HABIT_DRAFT_TEMPLATE_V2, maxTokens: 768 }
+];
+
+// Default rollout per habit type: [{ promptId, percent }] summing to 100.
+// Habit types not listed use their latest version for everyone.
+// The Firestore doc config/promptRollout ({ rollouts: { <habitType>: [...] } })
+// overrides this per habit type without a deploy.
+const DEFAULT_ROLLOUT = {};
+
+const ROLLOUT_DOC_PATH = "config/promptRollout";
+const ROLLOUT_CACHE_MS = 60 * 1000;
+
+let rolloutCache = { loadedAt: 0, rollouts: null };
+
+const getPromptVersionById = (promptId) => PROMPT_VERSIONS.find((entry) => entry.id === promptId) || null;
+
+const getLatestPromptVersion = (habitType) => {
+  return PROMPT_VERSIONS
+    .filter((entry) => entry.habitType === habitType)
+    .reduce((latest, entry) => (!latest || entry.version > latest.version ? entry : latest), null);
+};
+
+// A rollout is usable if every variant exists for the habit and percents sum to 100
+const isValidRollout = (habitType, variants) => {
+  if (!Array.isArray(variants) || variants.length === 0) return false;
+
+  const total = variants.reduce((sum, variant) => sum + Number(variant.percent), 0);
+  const known = variants.every((variant) => getPromptVersionById(variant.promptId)?.habitType === habitType);
+  return known && total === 100;
+};
+
+// Rollout overrides from Firestore, cached per instance. Falls back to the
+// code defaults when the doc is missing, invalid or unreadable.
+const loadRolloutOverrides = async () => {
+  if (rolloutCache.rollouts && Date.now() - rolloutCache.loadedAt < ROLLOUT_CACHE_MS) {
+    return rolloutCache.rollouts;
+  }
+
+  let rollouts = {};
+  try {
+    const snapshot = await admin.firestore().doc(ROLLOUT_DOC_PATH).get();
+    rollouts = snapshot.exists ? snapshot.data().rollouts || {} : {};
+  } catch (error) {
+    console.error("Failed to load prompt rollout config, using defaults:", error);
+  }
+
+  rolloutCache = { loadedAt: Date.now(), rollouts };
+  return rollouts;
+};
+
+const resetRolloutCache = () => {
+  rolloutCache = { loadedAt: 0, rollouts: null };
+};
+
+// Stable 0-99 bucket for a caller and habit; the habit type is mixed in so
+// assignments in different habit experiments are independent
+const getBucket = (habitType, assignmentKey) => {
+  const hash = crypto.createHash("sha256").update(`${habitType}:${assignmentKey}`).digest("hex");
+  return parseInt(hash.slice(0, 8), 16) % 100;
+};
+
+// Pick a variant by walking the cumulative percentages
+const pickVariant = (variants, bucket) => {
+  let cumulative = 0;
+  for (const variant of variants) {
+    cumulative += Number(variant.percent);
+    if (bucket < cumulative) {
+      return variant.promptId;
+    }
+  }
+  return variants[variants.length - 1].promptId;
+};
+
+// Resolve the prompt version a caller gets for a habit type.
+// assignmentKey should be stable per user (uid, or hashed IP for anonymous callers).
+const assignPromptVersion = async (habitType, assignmentKey) => {
+  const overrides = await loadRolloutOverrides();
+
+  let variants = overrides[habitType];
+  if (variants && !isValidRollout(habitType, variants)) {
+    console.error(`Ignoring invalid prompt rollout for ${habitType}`);
+    variants = null;
+  }
+  variants = variants || DEFAULT_ROLLOUT[habitType];
+
+  if (!variants) {
+    return getLatestPromptVersion(habitType);
+  }
+  return getPromptVersionById(pickVariant(variants, getBucket(habitType, assignmentKey)));
+};
+
+// Final prompt text for a verification
+const renderPrompt = (promptVersion, definition, options, media) => {
+  const variables = definition.buildVariables ? definition.buildVariables(options, media) : {};
+  return renderTemplate(promptVersion.template, variables);
+};
+
+// The rubric prompt version a comparison prompt version pins for habitType
+const getComparisonRubric = (promptVersion, habitType) => {
+  const rubric = getPromptVersionById(promptVersion.rubrics?.[habitType]);
+  if (!rubric) {
+    throw new Error(`${promptVersion.id} pins no rubric for ${habitType}`);
+  }
+  return rubric;
+};
+
+// Comparison prompt for a labeled photo set, with the habit's single-photo
+// rubric (see getComparisonRubric) embedded
+const renderComparisonPrompt = (promptVersion, rubric, definition, options, media) => renderTemplate(
+  promptVersion.template,
+  {
+    imageCount: media.images.length,
+    imageLabels: media.images.map((image) => `"${image.label}"`).join(", "),
+    passField: definition.passField,
+    habitRubric: renderPrompt(rubric, definition, options, media)
+  }
+);
+
+module.exports = {
+  COMPARISON_PROMPT_KEY,
+  HABIT_DRAFT_PROMPT_KEY,
+  PROMPT_VERSIONS,
+  assignPromptVersion,
+  getComparisonRubric,
+  getLatestPromptVersion,
+  getPromptVersionById,
+  isValidRollout,
+  renderComparisonPrompt,
+  renderPrompt,
+  resetRolloutCache,
+};
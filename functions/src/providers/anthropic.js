@@ -0,0 +1,124 @@
+const { validateAgainstSchema } = require("../schema");
+const {
+  getApiKey,
+  callClaudeAPI,
+  findToolUse,
+  getReplyText,
+  extractJSON,
+} = require("../claude");
+
+// Name of the tool the model is forced to answer through
+const VERDICT_TOOL_NAME = "record_verdict";
+
+// Content block for a base64 JPEG
+const imageBlock = (imageBase64) => ({
+  type: "image",
+  source: {
+    type: "base64",
+    media_type: "image/jpeg",
+    data: imageBase64
+  }
+});
+
+const textBlock = (text) => ({ type: "text", text });
+
+// Images (each optionally followed by its caption), then the prompt
+const buildContent = (images, prompt) => {
+  const content = [];
+  images.forEach(({ data, caption }) => {
+    content.push(imageBlock(data));
+    if (caption) {
+      content.push(textBlock(caption));
+    }
+  });
+  content.push(textBlock(prompt));
+  return content;
+};
+
+// Tool whose input schema is the habit's result schema
+const buildVerdictTool = (habitType, schema) => ({
+  name: VERDICT_TOOL_NAME,
+  description: `Record the verification verdict for the "${habitType}" habit proof.`,
+  input_schema: schema
+});
+
+// Read the verdict from a reply: the tool_use input when present,
+// otherwise fall back to scraping JSON out of the text.
+// Returns { valid, value, errors, toolUse }.
+const parseVerdict = (content, schema) => {
+  const toolUse = findToolUse(content, VERDICT_TOOL_NAME);
+  if (toolUse) {
+    return { ...validateAgainstSchema(toolUse.input, schema), toolUse };
+  }
+
+  let data;
+  try {
+    data = extractJSON(getReplyText(content));
+  } catch (error) {
+    return { valid: false, value: null, errors: ["response is not valid JSON"], toolUse: null };
+  }
+  return { ...validateAgainstSchema(data, schema), toolUse: null };
+};
+
+// Follow-up message asking the model to fix a malformed verdict
+const buildRepairPrompt = (errors, schema) => `Your previous reply could not be used: ${errors.join("; ")}.
+
+Call the ${VERDICT_TOOL_NAME} tool again with input matching this schema:
+${JSON.stringify(schema)}`;
+
+// Conversation turns that send a malformed reply back for repair.
+// Tool replies get an error tool_result; text replies get a plain follow-up.
+const buildRepairTurns = (reply, check, schema) => {
+  const repairPrompt = buildRepairPrompt(check.errors, schema);
+
+  if (check.toolUse) {
+    return [
+      { role: "assistant", content: reply },
+      {
+        role: "user",
+        content: [{ type: "tool_result", tool_use_id: check.toolUse.id, is_error: true, content: repairPrompt }]
+      }
+    ];
+  }
+
+  return [
+    { role: "assistant", content: getReplyText(reply).trim() || "(empty reply)" },
+    { role: "user", content: repairPrompt }
+  ];
+};
+
+// Anthropic Messages API provider.
+// A malformed reply gets one repair attempt before failing.
+const anthropicProvider = {
+  name: "anthropic",
+
+  async verify({ habitType, images, prompt, schema, model, maxTokens, deadline }) {
+    const apiKey = getApiKey();
+    const tool = buildVerdictTool(habitType, schema);
+    const messages = [{ role: "user", content: buildContent(images, prompt) }];
+    const request = { messages, model, maxTokens, tool, deadline };
+
+    let reply = await callClaudeAPI(apiKey, request);
+    let check = parseVerdict(reply, schema);
+
+    if (!check.toolUse) {
+      console.warn(`${habitType} reply had no ${VERDICT_TOOL_NAME} tool call, used text fallback`);
+    }
+
+    if (!check.valid) {
+      console.warn(`${habitType} malformed model response (${check.errors.join("; ")}), retrying with repair prompt`);
+      messages.push(...buildRepairTurns(reply, check, schema));
+
+      reply = await callClaudeAPI(apiKey, request);
+      check = parseVerdict(reply, schema);
+
+      if (!check.valid) {
+        throw new Error(`Malformed ${habitType} response after repair: ${check.errors.join("; ")}`);
+      }
+    }
+
+    return check.value;
+  }
+};
+
+module.exports = anthropicProvider;
@@ -0,0 +1,22 @@
+const anthropicProvider = require("./anthropic");
+const mockProvider = require("./mock");
+
+// Vision providers: verify({ habitType, images, prompt, schema, model, maxTokens, deadline })
+// resolves to a verdict object already validated against schema.
+// images is [{ data: base64 JPEG, caption?: string }] in prompt order.
+const PROVIDERS = {
+  anthropic: anthropicProvider,
+  mock: mockProvider
+};
+
+const getProvider = (name) => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown vision provider: ${name}`);
+  }
+  return provider;
+};
+
+module.exports = {
+  getProvider,
+};
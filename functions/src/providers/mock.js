@@ -0,0 +1,127 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { validateAgainstSchema } = require("../schema");
+const { CLIENT_ERRORS, ClaudeAPIError } = require("../claude");
+
+// Canned verdicts keyed by request content: the image hash, or for requests
+// without images (written entries, habit drafts) the hash of the prompt, which
+// carries the user's text.
+// Entries are either a verdict object or { "error": "<client error code>" } to
+// simulate an upstream failure; unknown codes are rejected when registered.
+// MOCK_VERDICTS_PATH may point at a JSON file of { "<hash>": entry } that is
+// loaded on first use.
+const cannedVerdicts = new Map();
+let fileLoaded = false;
+
+// sha256 over the images' base64 data, in order
+const hashImages = (images) => {
+  const hash = crypto.createHash("sha256");
+  images.forEach(({ data }, index) => {
+    if (index > 0) hash.update("|");
+    hash.update(data);
+  });
+  return hash.digest("hex");
+};
+
+// Key for a provider request (see hashImages and hashPrompt)
+const hashPrompt = (prompt) => crypto.createHash("sha256").update(prompt).digest("hex");
+
+const hashRequest = ({ images, prompt }) => (images.length > 0 ? hashImages(images) : hashPrompt(prompt));
+
+const checkEntry = (entry, hash) => {
+  if (entry.error !== undefined && !CLIENT_ERRORS[entry.error]) {
+    throw new Error(`Mock verdict ${hash} has unknown error code: ${entry.error}`);
+  }
+  return entry;
+};
+
+const loadVerdictsFile = () => {
+  if (fileLoaded) return;
+  fileLoaded = true;
+
+  const path = process.env.MOCK_VERDICTS_PATH;
+  if (!path) return;
+
+  const entries = JSON.parse(fs.readFileSync(path, "utf8"));
+  Object.entries(entries).forEach(([hash, entry]) => {
+    if (!cannedVerdicts.has(hash)) {
+      cannedVerdicts.set(hash, checkEntry(entry, hash));
+    }
+  });
+};
+
+// Register a canned entry for a set of images (array of base64 strings or a single one)
+const registerMockVerdict = (imagesBase64, entry) => {
+  const list = Array.isArray(imagesBase64) ? imagesBase64 : [imagesBase64];
+  const hash = hashImages(list.map((data) => ({ data })));
+  cannedVerdicts.set(hash, checkEntry(entry, hash));
+  return hash;
+};
+
+// Register a canned entry for an image-less request by its rendered prompt
+const registerMockPromptVerdict = (prompt, entry) => {
+  const hash = hashPrompt(prompt);
+  cannedVerdicts.set(hash, checkEntry(entry, hash));
+  return hash;
+};
+
+const clearMockVerdicts = () => {
+  cannedVerdicts.clear();
+  fileLoaded = false;
+};
+
+// Verdict for a request with no canned entry: pass/fail decided by the hash
+// so the same images or text always get the same answer
+const defaultVerdict = (hash, schema) => {
+  const passed = parseInt(hash[0], 16) % 2 === 0;
+  const verdict = {};
+
+  Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+    if (propertySchema.type === "boolean") {
+      verdict[key] = passed;
+    } else if (propertySchema.enum) {
+      verdict[key] = propertySchema.enum[0];
+    } else if (key === "feedback") {
+      verdict[key] = passed ? "Mock verification passed." : "Mock verification failed.";
+    } else if (propertySchema.type === "number") {
+      verdict[key] = 0;
+    } else if (propertySchema.type === "array") {
+      verdict[key] = [];
+    } else {
+      verdict[key] = "mock";
+    }
+  });
+
+  return verdict;
+};
+
+// Offline provider returning canned verdicts, for the emulator and tests
+const mockProvider = {
+  name: "mock",
+
+  async verify({ habitType, images, prompt, schema }) {
+    loadVerdictsFile();
+
+    const hash = hashRequest({ images, prompt });
+    const entry = cannedVerdicts.has(hash) ? cannedVerdicts.get(hash) : defaultVerdict(hash, schema);
+
+    if (entry.error) {
+      throw new ClaudeAPIError(entry.error, `Mock provider simulated ${entry.error}`);
+    }
+
+    const check = validateAgainstSchema(entry, schema);
+    if (!check.valid) {
+      throw new Error(`Malformed ${habitType} mock verdict: ${check.errors.join("; ")}`);
+    }
+    return check.value;
+  }
+};
+
+module.exports = {
+  ...mockProvider,
+  hashImages,
+  hashPrompt,
+  registerMockPromptVerdict,
+  registerMockVerdict,
+  clearMockVerdicts,
+};
@@ -0,0 +1,192 @@
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+
+const RATE_LIMIT_COLLECTION = "rateLimits";
+
+// Limits per verification bucket (habit type, or the endpoint for non-verify model calls)
+// - burst: max requests within a rolling fixed window (seconds)
+// - daily: max requests per UTC day, split by tier so server cost tracks the paywall
+// Unauthenticated (per-IP) callers always get the free tier.
+const RATE_LIMITS = {
+  default: {
+    burst: { limit: 5, windowSeconds: 60 },
+    daily: { free: 20, premium: 100 }
+  },
+  customVideo: {
+    // Each video call sends many frames, so keep it tighter
+    burst: { limit: 2, windowSeconds: 60 },
+    daily: { free: 5, premium: 30 }
+  },
+  // Criteria drafts for new custom habits (draftHabitCriteria); a few per habit created
+  habitDraft: {
+    burst: { limit: 3, windowSeconds: 60 },
+    daily: { free: 10, premium: 30 }
+  },
+  // Appeals of failed verdicts (appealVerification); each runs several model calls
+  appeal: {
+    burst: { limit: 2, windowSeconds: 60 },
+    daily: { free: 3, premium: 10 }
+  },
+  // Partner invite codes created and accept attempts (partnerPairing)
+  partnerInvite: {
+    burst: { limit: 3, windowSeconds: 60 },
+    daily: { free: 10, premium: 10 },
+    message: "Too many partner invites today"
+  },
+  partnerAccept: {
+    burst: { limit: 5, windowSeconds: 60 },
+    daily: { free: 20, premium: 20 },
+    message: "Too many partner invite attempts today"
+  },
+  // Invite codes that didn't exist or had expired, per account and per IP, so
+  // live codes can't be guessed
+  partnerInviteMiss: {
+    burst: { limit: 5, windowSeconds: 60 * 60 },
+    daily: { free: 10, premium: 10 },
+    message: "Too many invalid invite codes today"
+  },
+  // Explicit changes to the timezone streak days are counted in (setStreakTimezone)
+  streakTimezone: {
+    burst: { limit: 1, windowSeconds: 60 * 60 },
+    daily: { free: 2, premium: 2 },
+    message: "Too many timezone changes today"
+  }
+};
+
+const getLimits = (bucket) => RATE_LIMITS[bucket] || RATE_LIMITS.default;
+
+// Best-effort client IP (Cloud Functions sits behind Google's front end).
+// Clients can send their own X-Forwarded-For, so only the last entry, the one
+// the front end appends, is trusted.
+const getClientIp = (req) => {
+  const forwarded = req.headers?.["x-forwarded-for"];
+  if (forwarded && typeof forwarded === "string") {
+    return forwarded.split(",").pop().trim() || req.ip || "unknown";
+  }
+  return req.ip || "unknown";
+};
+
+// Document key for the caller: uid when signed in, hashed IP otherwise
+// IPs are hashed so raw addresses never land in Firestore
+const getSubjectKey = (req, caller) => {
+  if (caller?.uid) {
+    return `uid_${caller.uid}`;
+  }
+  const ipHash = crypto.createHash("sha256").update(getClientIp(req)).digest("hex").slice(0, 32);
+  return `ip_${ipHash}`;
+};
+
+const getUtcDay = (nowMs) => new Date(nowMs).toISOString().slice(0, 10);
+
+const secondsUntilNextUtcDay = (nowMs) => {
+  const next = new Date(nowMs);
+  next.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((next.getTime() - nowMs) / 1000);
+};
+
+// Pure check against a stored counter document.
+// Returns { allowed, code, retryAfter, next } where next is the updated document to store.
+const evaluateLimit = (state, limits, tier, nowMs) => {
+  const windowMs = limits.burst.windowSeconds * 1000;
+  const today = getUtcDay(nowMs);
+
+  let burstStart = state?.burstStart ?? nowMs;
+  let burstCount = state?.burstCount ?? 0;
+  if (nowMs - burstStart >= windowMs) {
+    burstStart = nowMs;
+    burstCount = 0;
+  }
+
+  const dailyCount = state?.day === today ? (state.dailyCount ?? 0) : 0;
+  const dailyLimit = limits.daily[tier];
+
+  if (dailyCount >= dailyLimit) {
+    return { allowed: false, code: "daily_quota_exceeded", retryAfter: secondsUntilNextUtcDay(nowMs) };
+  }
+
+  if (burstCount >= limits.burst.limit) {
+    const retryAfter = Math.max(1, Math.ceil((burstStart + windowMs - nowMs) / 1000));
+    return { allowed: false, code: "rate_limited", retryAfter };
+  }
+
+  return {
+    allowed: true,
+    next: {
+      burstStart,
+      burstCount: burstCount + 1,
+      day: today,
+      dailyCount: dailyCount + 1
+    },
+    remainingToday: dailyLimit - dailyCount - 1
+  };
+};
+
+// Count one request against the caller's limits for a bucket.
+// Returns the evaluateLimit result; counters are updated in a transaction.
+const consumeRateLimit = async (bucket, subjectKey, tier, nowMs = Date.now()) => {
+  const db = admin.firestore();
+  const ref = db.collection(RATE_LIMIT_COLLECTION).doc(`${bucket}_${subjectKey}`);
+  const limits = getLimits(bucket);
+
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    const result = evaluateLimit(snapshot.exists ? snapshot.data() : null, limits, tier, nowMs);
+    if (result.allowed) {
+      transaction.set(ref, { ...result.next, bucket, updatedAt: nowMs });
+    }
+    return result;
+  });
+};
+
+// The caller's standing against a bucket's limits, without counting a request
+const peekRateLimit = async (bucket, subjectKey, tier, nowMs = Date.now()) => {
+  const snapshot = await admin.firestore().collection(RATE_LIMIT_COLLECTION).doc(`${bucket}_${subjectKey}`).get();
+  return evaluateLimit(snapshot.exists ? snapshot.data() : null, getLimits(bucket), tier, nowMs);
+};
+
+const getTier = (caller) => (caller?.uid && caller.isPremium ? "premium" : "free");
+
+// Enforce rate limits for an HTTP handler.
+// Returns true if the request may proceed, false after sending a 429.
+// consume: false only checks the caller isn't over the limits already (see
+// countRateLimit for counting afterwards, e.g. only failed attempts).
+// Fails open on Firestore errors so a quota outage doesn't take verification down.
+const enforceRateLimit = async (req, res, bucket, caller, { consume = true } = {}) => {
+  const tier = getTier(caller);
+
+  let result;
+  try {
+    result = await (consume ? consumeRateLimit : peekRateLimit)(bucket, getSubjectKey(req, caller), tier);
+  } catch (error) {
+    console.error(`Rate limit check failed for ${bucket}, allowing request:`, error);
+    return true;
+  }
+
+  if (result.allowed) {
+    return true;
+  }
+
+  console.warn(`${bucket} ${result.code} for ${caller?.uid || "anonymous"} (${tier})`);
+  res.set("Retry-After", String(result.retryAfter));
+  res.status(429).json({
+    error: result.code === "daily_quota_exceeded"
+      ? getLimits(bucket).message || "Daily verification limit reached"
+      : "Too many requests, please slow down",
+    code: result.code,
+    retryAfter: result.retryAfter
+  });
+  return false;
+};
+
+// Count one request against the caller's limits without enforcing them
+// (pair with enforceRateLimit's consume: false). Errors are logged.
+const countRateLimit = (req, bucket, caller) => consumeRateLimit(bucket, getSubjectKey(req, caller), getTier(caller))
+  .catch((error) => console.error(`Rate limit count failed for ${bucket}:`, error));
+
+module.exports = {
+  RATE_LIMITS,
+  countRateLimit,
+  enforceRateLimit,
+  evaluateLimit,
+  getSubjectKey,
+};
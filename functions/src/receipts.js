@@ -0,0 +1,101 @@
+const crypto = require("crypto");
+
+// Signed receipts for passed verifications, so the app (before unlocking apps)
+// and other backend code can prove a pass came from this server.
+// Format: base64url(JSON payload) + "." + base64url(HMAC-SHA256(payload part)).
+// The signing key is the RECEIPT_SIGNING_KEY secret; rotating it invalidates old receipts.
+const RECEIPT_VERSION = 1;
+
+// Receipts prove a pass for the morning it happened, so old ones can't be replayed
+const RECEIPT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+const getSigningKey = () => process.env.RECEIPT_SIGNING_KEY || null;
+
+// SHA-256 of the submitted media, so a receipt is bound to the exact proof
+const hashMedia = (media) => {
+  const hash = crypto.createHash("sha256");
+  if (media.kind === "image") {
+    hash.update(media.data);
+  } else if (media.kind === "text") {
+    hash.update(media.text);
+  } else if (media.kind === "images") {
+    media.images.forEach(({ label, data }, index) => {
+      if (index > 0) hash.update("|");
+      hash.update(`${label}:`);
+      hash.update(data);
+    });
+  } else {
+    media.frames.forEach((frame, index) => {
+      if (index > 0) hash.update("|");
+      hash.update(frame);
+    });
+  }
+  return hash.digest("hex");
+};
+
+const sign = (payloadPart, key) => crypto.createHmac("sha256", key).update(payloadPart).digest("base64url");
+
+// Receipt token for a passed verification, or null when no signing key is configured
+const issueReceipt = ({ uid, habitType, promptVersion, media }, nowMs = Date.now()) => {
+  const key = getSigningKey();
+  if (!key) {
+    console.error("RECEIPT_SIGNING_KEY is not set, skipping verification receipt");
+    return null;
+  }
+
+  const payload = {
+    v: RECEIPT_VERSION,
+    uid,
+    habitType,
+    issuedAt: nowMs,
+    promptVersion,
+    imageHash: hashMedia(media)
+  };
+  const payloadPart = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${payloadPart}.${sign(payloadPart, key)}`;
+};
+
+// Check a receipt token's signature and age.
+// Returns { valid: true, receipt: payload } or { valid: false, reason }
+// with reason "malformed" | "invalid_signature" | "unsupported_version" | "expired".
+// Throws if no signing key is configured.
+const verifyReceipt = (token, nowMs = Date.now()) => {
+  const key = getSigningKey();
+  if (!key) {
+    throw new Error("RECEIPT_SIGNING_KEY is not set");
+  }
+
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    return { valid: false, reason: "malformed" };
+  }
+
+  const [payloadPart, signature] = parts;
+  const expected = Buffer.from(sign(payloadPart, key));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { valid: false, reason: "invalid_signature" };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(payloadPart, "base64url").toString("utf8"));
+  } catch (error) {
+    return { valid: false, reason: "malformed" };
+  }
+  if (payload.v !== RECEIPT_VERSION) {
+    return { valid: false, reason: "unsupported_version" };
+  }
+  if (nowMs - payload.issuedAt > RECEIPT_MAX_AGE_MS) {
+    return { valid: false, reason: "expired" };
+  }
+
+  return { valid: true, receipt: payload };
+};
+
+module.exports = {
+  RECEIPT_MAX_AGE_MS,
+  hashMedia,
+  issueReceipt,
+  verifyReceipt,
+};
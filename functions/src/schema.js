@@ -0,0 +1,130 @@
+// Minimal JSON schema validation with coercion for model output.
+// Supports the subset the habit result schemas use: object, array (items),
+// boolean, string, number, required, properties and enum. Unknown properties are dropped.
+
+const TRUE_STRINGS = ["true", "yes", "1"];
+const FALSE_STRINGS = ["false", "no", "0"];
+
+const coerceBoolean = (value) => {
+  if (typeof value === "boolean") return { ok: true, value };
+  if (value === 1 || value === 0) return { ok: true, value: value === 1 };
+  if (typeof value === "string") {
+    const normalized = value.trim().toLowerCase();
+    if (TRUE_STRINGS.includes(normalized)) return { ok: true, value: true };
+    if (FALSE_STRINGS.includes(normalized)) return { ok: true, value: false };
+  }
+  return { ok: false };
+};
+
+const coerceString = (value) => {
+  if (typeof value === "string") return { ok: true, value: value.trim() };
+  if (typeof value === "number" || typeof value === "boolean") return { ok: true, value: String(value) };
+  return { ok: false };
+};
+
+const coerceNumber = (value) => {
+  if (typeof value === "number" && Number.isFinite(value)) return { ok: true, value };
+  if (typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value))) {
+    return { ok: true, value: Number(value) };
+  }
+  return { ok: false };
+};
+
+const COERCERS = {
+  boolean: coerceBoolean,
+  string: coerceString,
+  number: coerceNumber
+};
+
+// An array fails as a whole if any item does
+const coerceArray = (value, schema, path, errors) => {
+  if (!Array.isArray(value)) {
+    errors.push(`${path} must be an array`);
+    return undefined;
+  }
+  const items = value.map((item, index) => coerceValue(item, schema.items, `${path}[${index}]`, errors));
+  return items.includes(undefined) ? undefined : items;
+};
+
+const coerceObject = (value, schema, path, errors) => {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    errors.push(`${path} must be an object`);
+    return undefined;
+  }
+  const result = validateAgainstSchema(value, schema);
+  if (!result.valid) {
+    errors.push(...result.errors.map((error) => `${path}.${error}`));
+    return undefined;
+  }
+  return result.value;
+};
+
+const coerceValue = (value, schema, path, errors) => {
+  if (schema.type === "array") {
+    return coerceArray(value, schema, path, errors);
+  }
+  if (schema.type === "object") {
+    return coerceObject(value, schema, path, errors);
+  }
+
+  const coerce = COERCERS[schema.type];
+  if (!coerce) {
+    return value;
+  }
+
+  const result = coerce(value);
+  if (!result.ok) {
+    errors.push(`${path} must be a ${schema.type}`);
+    return undefined;
+  }
+
+  if (schema.enum) {
+    const match = schema.enum.find((option) => String(option).toLowerCase() === String(result.value).toLowerCase());
+    if (match === undefined) {
+      errors.push(`${path} must be one of: ${schema.enum.join(", ")}`);
+      return undefined;
+    }
+    return match;
+  }
+
+  return result.value;
+};
+
+// Validate and coerce a parsed model response against an object schema.
+// Returns { valid, value, errors } where value holds only declared properties.
+const validateAgainstSchema = (data, schema) => {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { valid: false, value: null, errors: ["response must be a JSON object"] };
+  }
+
+  const errors = [];
+  const value = {};
+  const required = schema.required || [];
+
+  Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+    const raw = data[key];
+    const missing = raw === undefined || raw === null || (typeof raw === "string" && raw.trim() === "");
+
+    if (missing) {
+      if (required.includes(key)) {
+        errors.push(`${key} is required`);
+      }
+      return;
+    }
+
+    // Optional fields that don't coerce are dropped rather than failing the response
+    const propertyErrors = [];
+    const coerced = coerceValue(raw, propertySchema, key, propertyErrors);
+    if (coerced !== undefined) {
+      value[key] = coerced;
+    } else if (required.includes(key)) {
+      errors.push(...propertyErrors);
+    }
+  });
+
+  return { valid: errors.length === 0, value, errors };
+};
+
+module.exports = {
+  validateAgainstSchema,
+};
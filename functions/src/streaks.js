@@ -0,0 +1,279 @@
+const admin = require("firebase-admin");
+const { daysBetween, getLocalParts } = require("./timezone");
+const {
+  awardMilestoneTokens,
+  bridgeStreak,
+  checkRecoveryDate,
+  getBridgeableDate,
+  getRecoverableDate,
+  grantTierTokens,
+} = require("./freezeTokens");
+
+// Server-side streaks, so progress survives reinstalls and the backend can
+// enforce rules on it. A day counts once the user has at least one verified
+// completion on it, in their local calendar; a freeze token can cover a missed day.
+// - streaks/{uid}: { currentStreak, longestStreak, totalCompletions, lastCompletionDate, timezone,
+//   timezoneChangedAt, freezeTokens, milestonesAwarded, tierGrantMonth, brokenStreak, updatedAt }
+//   (lastCompletionDate is the last day the streak covers, completed or frozen;
+//   brokenStreak is { currentStreak, lastCompletionDate, resumedOn } for the streak the current run replaced;
+//   timezone is pinned on the first completion and only changes through setStreakTimezone)
+// - streaks/{uid}/days/{YYYY-MM-DD}: { date, completions: { <habitType>: { completedAt, promptVersion } },
+//   frozen?, updatedAt }
+// - streaks/{uid}/recoveryAudit/{id}: { action, source?, date?, reason?, tokensBefore, tokensAfter, at }
+//   for every token granted or consumed and every refused recovery
+const STREAKS_COLLECTION = "streaks";
+const DAYS_SUBCOLLECTION = "days";
+const AUDIT_SUBCOLLECTION = "recoveryAudit";
+
+const MAX_LOG_RANGE_DAYS = 62;
+
+const EMPTY_STREAK = {
+  currentStreak: 0,
+  longestStreak: 0,
+  totalCompletions: 0,
+  lastCompletionDate: null
+};
+
+const streakRef = (uid) => admin.firestore().collection(STREAKS_COLLECTION).doc(uid);
+const dayRef = (uid, date) => streakRef(uid).collection(DAYS_SUBCOLLECTION).doc(date);
+
+// Audit entries are written inside the caller's transaction
+const writeAudit = (transaction, uid, entry, nowMs) => {
+  transaction.set(streakRef(uid).collection(AUDIT_SUBCOLLECTION).doc(), { ...entry, at: nowMs });
+};
+
+// The local date in timezone, UTC when there isn't one
+const getToday = (timezone, nowMs = Date.now()) => getLocalParts(timezone || "UTC", nowMs).date;
+
+// The timezone a user's days are counted in: the stored one, so a client can't
+// move its day boundary by sending a different timezone, else the client's
+const resolveTimezone = (stored, timezone) => stored.timezone || timezone || null;
+
+// Streak state after the first completion on date. Pure.
+// Dates before the last completion (e.g. after crossing timezones) only add to the total.
+// A restart remembers the streak it replaced, so a token can still bridge the gap later.
+const applyCompletion = (state, date) => {
+  const current = { ...EMPTY_STREAK, ...state };
+  const gap = current.lastCompletionDate ? daysBetween(current.lastCompletionDate, date) : null;
+
+  if (gap !== null && gap <= 0) {
+    return { ...current, totalCompletions: current.totalCompletions + (gap < 0 ? 1 : 0) };
+  }
+
+  const currentStreak = gap === 1 ? current.currentStreak + 1 : 1;
+  const next = {
+    currentStreak,
+    longestStreak: Math.max(current.longestStreak, currentStreak),
+    totalCompletions: current.totalCompletions + 1,
+    lastCompletionDate: date
+  };
+  if (gap !== null && gap > 1) {
+    next.brokenStreak = {
+      currentStreak: current.currentStreak,
+      lastCompletionDate: current.lastCompletionDate,
+      resumedOn: date
+    };
+  }
+  return next;
+};
+
+// App-facing view of a stored streak as of today: a streak whose last
+// completion is before yesterday has lapsed and reads as 0. Pure.
+const summarizeStreak = (state, today) => {
+  const current = { ...EMPTY_STREAK, ...state };
+  const gap = current.lastCompletionDate ? daysBetween(current.lastCompletionDate, today) : null;
+  const alive = gap !== null && gap <= 1;
+
+  return {
+    currentStreak: alive ? current.currentStreak : 0,
+    longestStreak: current.longestStreak,
+    totalCompletions: current.totalCompletions,
+    lastCompletionDate: current.lastCompletionDate,
+    completedToday: gap !== null && gap <= 0,
+    freezeTokens: current.freezeTokens || 0,
+    today
+  };
+};
+
+// Grant tokens for milestones longestStreak newly reached inside a transaction; mutates and returns state
+const applyMilestones = (transaction, uid, state, nowMs) => {
+  const tokensBefore = state.freezeTokens || 0;
+  const milestones = awardMilestoneTokens(state, state.longestStreak);
+  milestones.earned.forEach((milestone) => {
+    writeAudit(transaction, uid, {
+      action: "token_granted",
+      source: `milestone:${milestone}`,
+      tokensBefore,
+      tokensAfter: milestones.freezeTokens
+    }, nowMs);
+  });
+  state.freezeTokens = milestones.freezeTokens;
+  state.milestonesAwarded = milestones.milestonesAwarded;
+  return state;
+};
+
+// Record a verified completion and return the updated streak summary.
+// Repeat completions of the same habit on a day are no-ops.
+const recordCompletion = async ({ uid, habitType, timezone, promptVersion = null }, nowMs = Date.now()) => {
+  const db = admin.firestore();
+
+  return db.runTransaction(async (transaction) => {
+    const streakSnapshot = await transaction.get(streakRef(uid));
+    const stored = streakSnapshot.exists ? streakSnapshot.data() : {};
+    const resolvedTimezone = resolveTimezone(stored, timezone);
+    const today = getToday(resolvedTimezone, nowMs);
+
+    const daySnapshot = await transaction.get(dayRef(uid, today));
+    const completions = daySnapshot.exists ? daySnapshot.data().completions || {} : {};
+    const firstToday = Object.keys(completions).length === 0;
+
+    if (!completions[habitType]) {
+      transaction.set(dayRef(uid, today), {
+        date: today,
+        completions: { ...completions, [habitType]: { completedAt: nowMs, promptVersion } },
+        updatedAt: nowMs
+      });
+    }
+
+    const next = firstToday ? { ...stored, ...applyCompletion(stored, today) } : { ...EMPTY_STREAK, ...stored };
+    applyMilestones(transaction, uid, next, nowMs);
+
+    transaction.set(streakRef(uid), { ...next, timezone: resolvedTimezone, updatedAt: nowMs });
+
+    return summarizeStreak(next, today);
+  });
+};
+
+// Current streak summary without recording anything
+const getStreak = async (uid, timezone, nowMs = Date.now()) => {
+  const snapshot = await streakRef(uid).get();
+  const stored = snapshot.exists ? snapshot.data() : {};
+  return summarizeStreak(stored, getToday(resolveTimezone(stored, timezone), nowMs));
+};
+
+// Move the user's days to a new timezone (e.g. after travelling or moving) and
+// return the streak summary as of today there. Endpoints rate-limit this.
+const setStreakTimezone = async (uid, timezone, nowMs = Date.now()) => {
+  const db = admin.firestore();
+
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(streakRef(uid));
+    const stored = snapshot.exists ? snapshot.data() : {};
+
+    transaction.set(streakRef(uid), { ...EMPTY_STREAK, ...stored, timezone, timezoneChangedAt: nowMs, updatedAt: nowMs });
+
+    return summarizeStreak(stored, getToday(timezone, nowMs));
+  });
+};
+
+// Habit types verified on uid's current local day (in their stored timezone, else timezone)
+const getTodaysCompletions = async (uid, nowMs = Date.now(), timezone = null) => {
+  const snapshot = await streakRef(uid).get();
+  const today = getToday(resolveTimezone(snapshot.exists ? snapshot.data() : {}, timezone), nowMs);
+  const day = await dayRef(uid, today).get();
+  return { today, habitTypes: day.exists ? Object.keys(day.data().completions || {}) : [] };
+};
+
+// Top up the monthly premium tokens inside a transaction; mutates and returns state
+const applyTierGrant = (transaction, uid, state, isPremium, today, nowMs) => {
+  const grant = grantTierTokens(state, isPremium, today.slice(0, 7));
+  if (grant) {
+    writeAudit(transaction, uid, {
+      action: "token_granted",
+      source: `premium:${grant.tierGrantMonth}`,
+      tokensBefore: state.freezeTokens || 0,
+      tokensAfter: grant.freezeTokens
+    }, nowMs);
+    Object.assign(state, grant);
+  }
+  return state;
+};
+
+// Freeze token balance and the next missed day a token could cover.
+// Returns { streak, recoverableDate }.
+const getRecoveryStatus = async ({ uid, isPremium, timezone }, nowMs = Date.now()) => {
+  const db = admin.firestore();
+
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(streakRef(uid));
+    const stored = snapshot.exists ? snapshot.data() : {};
+    const today = getToday(resolveTimezone(stored, timezone), nowMs);
+
+    const state = applyTierGrant(transaction, uid, { ...stored }, isPremium, today, nowMs);
+    if (state.tierGrantMonth !== stored.tierGrantMonth) {
+      transaction.set(streakRef(uid), { ...state, updatedAt: nowMs });
+    }
+
+    return { streak: summarizeStreak(state, today), recoverableDate: getRecoverableDate(state, today) };
+  });
+};
+
+// Spend a freeze token on a missed date, keeping the streak alive across it.
+// Covering the day that broke the previous streak joins it to the current run.
+// Returns { recovered: true, streak } or { recovered: false, reason } (a RECOVERY_ERRORS code).
+const recoverMissedDay = async ({ uid, isPremium, timezone, date }, nowMs = Date.now()) => {
+  const db = admin.firestore();
+
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(streakRef(uid));
+    const stored = snapshot.exists ? snapshot.data() : {};
+    const today = getToday(resolveTimezone(stored, timezone), nowMs);
+    const state = applyTierGrant(transaction, uid, { ...stored }, isPremium, today, nowMs);
+    const tokensBefore = state.freezeTokens || 0;
+
+    const reason = checkRecoveryDate(state, date, today);
+    if (reason) {
+      writeAudit(transaction, uid, { action: "recovery_refused", date, reason, tokensBefore, tokensAfter: tokensBefore }, nowMs);
+      if (state.tierGrantMonth !== stored.tierGrantMonth) {
+        transaction.set(streakRef(uid), { ...state, updatedAt: nowMs });
+      }
+      return { recovered: false, reason };
+    }
+
+    state.freezeTokens = tokensBefore - 1;
+    writeAudit(transaction, uid, { action: "token_consumed", date, tokensBefore, tokensAfter: state.freezeTokens }, nowMs);
+    if (date === getBridgeableDate(state)) {
+      applyMilestones(transaction, uid, Object.assign(state, bridgeStreak(state)), nowMs);
+    } else {
+      state.lastCompletionDate = date;
+    }
+    transaction.set(dayRef(uid, date), { date, completions: {}, frozen: true, updatedAt: nowMs });
+    transaction.set(streakRef(uid), { ...state, updatedAt: nowMs });
+
+    return { recovered: true, streak: summarizeStreak(state, today) };
+  });
+};
+
+// Daily logs between two dates (inclusive), oldest first: [{ date, habits: [...], frozen }]
+const listDailyLogs = async (uid, from, to) => {
+  const snapshot = await streakRef(uid).collection(DAYS_SUBCOLLECTION)
+    .where("date", ">=", from)
+    .where("date", "<=", to)
+    .orderBy("date")
+    .get();
+
+  return snapshot.docs.map((doc) => {
+    const { date, completions = {}, frozen = false } = doc.data();
+    return {
+      date,
+      habits: Object.entries(completions)
+        .map(([habitType, completion]) => ({ habitType, completedAt: completion.completedAt }))
+        .sort((a, b) => a.completedAt - b.completedAt),
+      frozen
+    };
+  });
+};
+
+module.exports = {
+  MAX_LOG_RANGE_DAYS,
+  applyCompletion,
+  getRecoveryStatus,
+  getStreak,
+  getToday,
+  getTodaysCompletions,
+  listDailyLogs,
+  recordCompletion,
+  recoverMissedDay,
+  setStreakTimezone,
+  summarizeStreak,
+};
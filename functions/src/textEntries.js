@@ -0,0 +1,74 @@
+const crypto = require("crypto");
+
+// Written entries for journaling habits: { kind: "text", text }.
+// Cheap local checks run before the model: length, obvious low effort, and
+// (via duplicates.js) an entry the user already submitted before.
+
+// The app requires 10 characters; the cap matches what sanitizeForPrompt keeps
+const MIN_ENTRY_LENGTH = 10;
+const MAX_ENTRY_LENGTH = 2000;
+
+const MIN_ENTRY_WORDS = 3;
+// Longer entries where most words repeat ("good good good ...") are filler
+const MIN_DISTINCT_WORD_RATIO = 0.3;
+const REPEAT_CHECK_MIN_WORDS = 6;
+// "aaaaaaaa", "!!!!!!!!"
+const REPEATED_CHARACTER = /(.)\1{7,}/u;
+
+const LOW_EFFORT_FEEDBACK = "Give it a real go - a few honest sentences is all it takes!";
+
+const entryWords = (text) => text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+
+// Structural check of a text entry; returns an error message or null
+const validateTextEntry = (text) => {
+  if (typeof text !== "string" || !text.trim()) {
+    return "Missing text";
+  }
+  const length = text.trim().length;
+  if (length < MIN_ENTRY_LENGTH || length > MAX_ENTRY_LENGTH) {
+    return `Entry must be ${MIN_ENTRY_LENGTH}-${MAX_ENTRY_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Rejection for an entry that is obviously not a real attempt, or null.
+// Same shape as checkFreshness: { reason, feedback, details }.
+const checkEntryEffort = (media) => {
+  if (media.kind !== "text") {
+    return null;
+  }
+
+  const words = entryWords(media.text);
+  const distinctWords = new Set(words).size;
+  const fail = (check) => ({
+    reason: "low_effort",
+    feedback: LOW_EFFORT_FEEDBACK,
+    details: { check, words: words.length, distinctWords }
+  });
+
+  if (words.length < MIN_ENTRY_WORDS) {
+    return fail("too_few_words");
+  }
+  if (words.length >= REPEAT_CHECK_MIN_WORDS && distinctWords / words.length < MIN_DISTINCT_WORD_RATIO) {
+    return fail("repeated_words");
+  }
+  if (REPEATED_CHARACTER.test(media.text)) {
+    return fail("repeated_characters");
+  }
+  return null;
+};
+
+// Fingerprint for spotting a resubmitted entry: case, punctuation and spacing
+// don't matter
+const fingerprintEntry = (text) => crypto.createHash("sha256")
+  .update(entryWords(text).join(" "))
+  .digest("hex")
+  .slice(0, 32);
+
+module.exports = {
+  MAX_ENTRY_LENGTH,
+  MIN_ENTRY_LENGTH,
+  checkEntryEffort,
+  fingerprintEntry,
+  validateTextEntry,
+};
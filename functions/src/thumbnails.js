@@ -0,0 +1,62 @@
+const jpeg = require("jpeg-js");
+const { decodeJpeg } = require("./imageHash");
+
+// Small previews of proof photos for shared feeds
+const THUMBNAIL_MAX_SIZE = 160;
+const THUMBNAIL_QUALITY = 60;
+
+// Box-average an RGBA image down to width x height
+const downscale = (image, width, height) => {
+  const data = Buffer.alloc(width * height * 4);
+
+  for (let ty = 0; ty < height; ty++) {
+    const y0 = Math.floor((ty * image.height) / height);
+    const y1 = Math.max(y0 + 1, Math.floor(((ty + 1) * image.height) / height));
+
+    for (let tx = 0; tx < width; tx++) {
+      const x0 = Math.floor((tx * image.width) / width);
+      const x1 = Math.max(x0 + 1, Math.floor(((tx + 1) * image.width) / width));
+
+      const sums = [0, 0, 0];
+      let count = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const i = (y * image.width + x) * 4;
+          sums[0] += image.data[i];
+          sums[1] += image.data[i + 1];
+          sums[2] += image.data[i + 2];
+          count++;
+        }
+      }
+
+      const o = (ty * width + tx) * 4;
+      data[o] = Math.round(sums[0] / count);
+      data[o + 1] = Math.round(sums[1] / count);
+      data[o + 2] = Math.round(sums[2] / count);
+      data[o + 3] = 255;
+    }
+  }
+
+  return { width, height, data };
+};
+
+// Base64 JPEG thumbnail no larger than maxSize on its long edge,
+// or null if the source can't be decoded
+const createThumbnail = (imageBase64, maxSize = THUMBNAIL_MAX_SIZE) => {
+  const image = decodeJpeg(imageBase64);
+  if (!image) {
+    return null;
+  }
+
+  const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  const thumbnail = scale < 1 ? downscale(image, width, height) : image;
+
+  return jpeg.encode(thumbnail, THUMBNAIL_QUALITY).data.toString("base64");
+};
+
+module.exports = {
+  THUMBNAIL_MAX_SIZE,
+  createThumbnail,
+};
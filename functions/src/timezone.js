@@ -0,0 +1,74 @@
+// Wall-clock helpers for IANA timezones sent by the app (e.g. "America/New_York")
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+const isValidTimezone = (timeZone) => {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Local calendar date ("YYYY-MM-DD"), minutes since local midnight, and the
+// local wall-clock time encoded as UTC epoch ms, for an instant in timeZone
+const getLocalParts = (timeZone, epochMs) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit"
+  }).formatToParts(new Date(epochMs));
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+
+  const year = get("year");
+  const month = get("month");
+  const day = get("day");
+  return {
+    date: `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`,
+    minutes: get("hour") * 60 + get("minute"),
+    wallClockMs: Date.UTC(year, month - 1, day, get("hour"), get("minute"), get("second"))
+  };
+};
+
+// UTC offset of timeZone at an instant, in minutes (east of UTC positive)
+const getOffsetMinutes = (timeZone, epochMs) => {
+  const wholeSecondMs = Math.floor(epochMs / 1000) * 1000;
+  return Math.round((getLocalParts(timeZone, wholeSecondMs).wallClockMs - wholeSecondMs) / MS_PER_MINUTE);
+};
+
+// Local wall-clock time (encoded as UTC epoch ms) in timeZone -> real epoch ms.
+// The second pass settles times near DST transitions.
+const wallClockToEpochMs = (timeZone, wallClockMs) => {
+  const guess = wallClockMs - getOffsetMinutes(timeZone, wallClockMs) * MS_PER_MINUTE;
+  return wallClockMs - getOffsetMinutes(timeZone, guess) * MS_PER_MINUTE;
+};
+
+// Calendar dates ("YYYY-MM-DD") as used for daily logs and streaks
+
+const isDateString = (value) => typeof value === "string" &&
+  /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+
+// "YYYY-MM-DD" -> whole days since the epoch
+const toDayNumber = (date) => Date.parse(`${date}T00:00:00Z`) / MS_PER_DAY;
+
+const daysBetween = (from, to) => toDayNumber(to) - toDayNumber(from);
+
+const addDays = (date, days) => new Date((toDayNumber(date) + days) * MS_PER_DAY).toISOString().slice(0, 10);
+
+module.exports = {
+  addDays,
+  daysBetween,
+  getLocalParts,
+  isDateString,
+  isValidTimezone,
+  wallClockToEpochMs,
+};
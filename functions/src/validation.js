@@ -0,0 +1,56 @@
+// Input validation and prompt sanitization for user-supplied habit fields
+
+// Input validation constants
+const MAX_HABIT_NAME_LENGTH = 100;
+const MAX_AI_PROMPT_LENGTH = 2000;
+const MAX_IMAGE_SIZE_BYTES = 10 * 1024 * 1024; // 10MB
+
+// Sanitize user input to prevent prompt injection
+// Escapes characters that could be used to break out of prompt context
+const sanitizeForPrompt = (input) => {
+  if (!input || typeof input !== 'string') return '';
+
+  // Limit length
+  let sanitized = input.slice(0, MAX_AI_PROMPT_LENGTH);
+
+  // Escape characters that could be used for prompt injection
+  sanitized = sanitized
+    .replace(/\\/g, '\\\\')  // Escape backslashes
+    .replace(/"/g, '\\"')    // Escape quotes
+    .replace(/\n/g, ' ')     // Replace newlines with spaces
+    .replace(/\r/g, '')      // Remove carriage returns
+    .trim();
+
+  return sanitized;
+};
+
+// Validate habit name
+const validateHabitName = (name) => {
+  if (!name || typeof name !== 'string') {
+    return { valid: false, error: 'Habit name is required' };
+  }
+  if (name.trim().length === 0) {
+    return { valid: false, error: 'Habit name cannot be empty' };
+  }
+  if (name.length > MAX_HABIT_NAME_LENGTH) {
+    return { valid: false, error: `Habit name must be ${MAX_HABIT_NAME_LENGTH} characters or less` };
+  }
+  return { valid: true };
+};
+
+// Validate AI prompt
+const validateAIPrompt = (prompt) => {
+  if (prompt && typeof prompt === 'string' && prompt.length > MAX_AI_PROMPT_LENGTH) {
+    return { valid: false, error: `AI prompt must be ${MAX_AI_PROMPT_LENGTH} characters or less` };
+  }
+  return { valid: true };
+};
+
+module.exports = {
+  MAX_HABIT_NAME_LENGTH,
+  MAX_AI_PROMPT_LENGTH,
+  MAX_IMAGE_SIZE_BYTES,
+  sanitizeForPrompt,
+  validateHabitName,
+  validateAIPrompt,
+};
@@ -0,0 +1,281 @@
+const admin = require("firebase-admin");
+const { RequestError } = require("./errors");
+const { CLIENT_ERRORS, ClaudeAPIError } = require("./claude");
+const { getHabitDefinition } = require("./habits");
+const { sendToUser } = require("./notifications");
+const {
+  MAX_VIDEO_FRAMES,
+  MIN_VIDEO_FRAMES,
+  VERIFY_TIMEOUT_SECONDS,
+  analyzeMotion,
+  getVerifyDeadline,
+  prepareVerification,
+} = require("./verify");
+
+// Video verification as a background job, so large frame sets don't ride on
+// one long HTTP request: the app creates a job, a Firestore trigger runs it,
+// and the app polls for the result (or gets a push when it's done).
+// - verificationJobs/{jobId}: { jobId, uid, status, habitType, options, capture, duration, framePaths,
+//   notify, attempts, result, error: { code, message } | null, createdAt, updatedAt, startedAt, completedAt }
+// - Cloud Storage verificationJobs/{jobId}/frame-NN.jpg: frames sent inline with the request
+// - Cloud Storage verificationUploads/{uid}/...: frames the app uploaded itself and referenced by path
+// Frames are deleted once the job finishes either way.
+const JOBS_COLLECTION = "verificationJobs";
+const UPLOADS_PREFIX = "verificationUploads";
+
+const JOB_STATUS = {
+  queued: "queued",
+  processing: "processing",
+  // A retryable failure; the trigger is retried by the platform
+  retrying: "retrying",
+  // Finished with a verdict (passed or not)
+  completed: "completed",
+  // Gave up: a bad request, or MAX_JOB_ATTEMPTS retryable failures
+  failed: "failed"
+};
+
+const MAX_JOB_ATTEMPTS = 3;
+
+// A processing claim older than the trigger timeout belongs to a run that
+// died, so a retry may take it over
+const STALE_CLAIM_MS = VERIFY_TIMEOUT_SECONDS * 1000;
+
+const JOB_FAILED_MESSAGE = "Verification failed, please try again";
+
+const db = () => admin.firestore();
+const bucket = () => admin.storage().bucket();
+const jobRef = (jobId) => db().collection(JOBS_COLLECTION).doc(jobId);
+
+const framePath = (jobId, index) => `${JOBS_COLLECTION}/${jobId}/frame-${String(index + 1).padStart(2, "0")}.jpg`;
+
+// App-facing view of a job
+const describeJob = (job) => ({
+  jobId: job.jobId,
+  status: job.status,
+  habitType: job.habitType,
+  attempts: job.attempts,
+  result: job.result,
+  error: job.error,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  completedAt: job.completedAt
+});
+
+// Uploaded frame paths must be uid's own uploads
+const validateFramePaths = (uid, framePaths) => {
+  if (!Array.isArray(framePaths) || framePaths.length === 0) {
+    throw new RequestError(400, "invalid_request", "Missing video frames");
+  }
+  if (framePaths.length < MIN_VIDEO_FRAMES || framePaths.length > MAX_VIDEO_FRAMES) {
+    throw new RequestError(400, "invalid_request", `Video must have ${MIN_VIDEO_FRAMES}-${MAX_VIDEO_FRAMES} frames`);
+  }
+  const prefix = `${UPLOADS_PREFIX}/${uid}/`;
+  const valid = framePaths.every((path) => typeof path === "string" &&
+    path.startsWith(prefix) &&
+    !path.split("/").includes(".."));
+  if (!valid) {
+    throw new RequestError(400, "invalid_request", `framePaths must be uploads under ${prefix}`);
+  }
+};
+
+// Validate a job request: { habitType, media: { kind: "video", frames | framePaths, duration }, options, capture }.
+// Inline frames get the full verification checks now, apart from decoding them,
+// which createJob does once the caller is within their rate limit; uploaded frames
+// and the options that go with them are checked when the job runs and fail the job if invalid.
+const parseJobRequest = (uid, { habitType = "customVideo", media, options = {}, capture = {}, notify = false }) => {
+  if (!media || typeof media !== "object" || media.kind !== "video") {
+    throw new RequestError(400, "unsupported_media", "Verification jobs take video media");
+  }
+  if (typeof notify !== "boolean") {
+    throw new RequestError(400, "invalid_request", "notify must be a boolean");
+  }
+
+  const definition = getHabitDefinition(habitType);
+  if (!definition || !definition.mediaKinds.includes("video")) {
+    throw new RequestError(400, "unknown_habit_type", `Habit type ${habitType} doesn't take video`);
+  }
+
+  const request = { habitType, options, capture, duration: media.duration ?? null, notify };
+
+  if (media.framePaths !== undefined) {
+    validateFramePaths(uid, media.framePaths);
+    return { ...request, framePaths: media.framePaths };
+  }
+
+  prepareVerification({ habitType, media, options, capture }, { analyze: false });
+  return { ...request, frames: media.frames };
+};
+
+// Store a parsed job request and queue it; the trigger picks it up from here.
+// Inline frames are decoded first so unreadable ones are rejected before anything is stored.
+const createJob = async (uid, request, nowMs = Date.now()) => {
+  const jobId = db().collection(JOBS_COLLECTION).doc().id;
+
+  let framePaths = request.framePaths;
+  if (!framePaths) {
+    analyzeMotion({ media: { kind: "video", frames: request.frames } });
+    framePaths = request.frames.map((_, index) => framePath(jobId, index));
+    await Promise.all(request.frames.map((frame, index) => bucket().file(framePaths[index])
+      .save(Buffer.from(frame, "base64"), { contentType: "image/jpeg", resumable: false })));
+  }
+
+  const job = {
+    jobId,
+    uid,
+    status: JOB_STATUS.queued,
+    habitType: request.habitType,
+    options: request.options,
+    capture: request.capture,
+    duration: request.duration,
+    framePaths,
+    notify: request.notify,
+    attempts: 0,
+    result: null,
+    error: null,
+    createdAt: nowMs,
+    updatedAt: nowMs,
+    startedAt: null,
+    completedAt: null
+  };
+  await jobRef(jobId).set(job);
+
+  return describeJob(job);
+};
+
+// uid's job; other users' jobs read as missing
+const getJob = async (uid, jobId) => {
+  if (typeof jobId !== "string" || !jobId) {
+    throw new RequestError(400, "invalid_request", "Missing jobId");
+  }
+
+  const snapshot = await jobRef(jobId).get();
+  if (!snapshot.exists || snapshot.data().uid !== uid) {
+    throw new RequestError(404, "job_not_found", "Verification job not found");
+  }
+  return describeJob(snapshot.data());
+};
+
+const downloadFrames = (framePaths) => Promise.all(framePaths.map(async (path) => {
+  try {
+    const [contents] = await bucket().file(path).download();
+    return contents.toString("base64");
+  } catch (error) {
+    if (error.code === 404) {
+      throw new RequestError(400, "upload_not_found", `Uploaded frame not found: ${path}`);
+    }
+    throw error;
+  }
+}));
+
+// Bad requests and rejected images won't get better on a retry; a run that
+// hit its deadline gets a fresh one
+const isRetryable = (error) => {
+  if (error instanceof RequestError) return false;
+  if (error instanceof ClaudeAPIError) return error.retryable || error.code === "timeout";
+  return true;
+};
+
+// Stored { code, message } the app can show
+const describeError = (error) => {
+  if (error instanceof RequestError) {
+    return { code: error.code, message: error.message };
+  }
+  if (error instanceof ClaudeAPIError) {
+    // Same codes the verify endpoints respond with (see sendClaudeError)
+    const code = CLIENT_ERRORS[error.code] ? error.code : "upstream_unavailable";
+    return { code, message: CLIENT_ERRORS[code].message };
+  }
+  return { code: "internal", message: JOB_FAILED_MESSAGE };
+};
+
+// Take the job for this run, or null if it's finished or another run holds it
+const claimJob = (jobId, nowMs) => db().runTransaction(async (transaction) => {
+  const snapshot = await transaction.get(jobRef(jobId));
+  if (!snapshot.exists) {
+    return null;
+  }
+
+  const job = snapshot.data();
+  const claimable = job.status === JOB_STATUS.queued ||
+    job.status === JOB_STATUS.retrying ||
+    (job.status === JOB_STATUS.processing && job.startedAt + STALE_CLAIM_MS <= nowMs);
+  if (!claimable) {
+    return null;
+  }
+
+  const claimed = { ...job, status: JOB_STATUS.processing, attempts: job.attempts + 1, startedAt: nowMs, updatedAt: nowMs };
+  transaction.set(jobRef(jobId), claimed);
+  return claimed;
+});
+
+const notifyJobFinished = (job) => {
+  const passed = Boolean(job.result?.passed);
+  const notification = job.status === JOB_STATUS.completed
+    ? { title: passed ? "Video verified!" : "Video not verified", body: job.result.feedback || "" }
+    : { title: "Video verification failed", body: job.error.message };
+
+  return sendToUser(job.uid, "verificationJob", notification, { jobId: job.jobId, status: job.status });
+};
+
+// Record the final state, then clean up frames and notify. Cleanup and the
+// push are best-effort: the stored result is what the app relies on.
+const finishJob = async (job, outcome, finishedAtMs = Date.now()) => {
+  const finished = { ...job, ...outcome, updatedAt: finishedAtMs, completedAt: finishedAtMs };
+  await jobRef(job.jobId).set(finished);
+
+  await Promise.all(job.framePaths.map((path) => bucket().file(path).delete({ ignoreNotFound: true })))
+    .catch((error) => console.error(`Failed to delete frames (job: ${job.jobId}):`, error));
+
+  if (job.notify) {
+    await notifyJobFinished(finished)
+      .catch((error) => console.error(`Failed to send job push (job: ${job.jobId}):`, error));
+  }
+
+  return finished;
+};
+
+// Run a queued job. verifyJob({ uid, habitType, media, options, capture, deadline })
+// does the verification and returns the response envelope; deadline is measured
+// from the start of this run.
+// A retryable failure marks the job retrying and rethrows so the platform
+// retries the trigger; after MAX_JOB_ATTEMPTS, or on a bad request, the job fails.
+// nowMs is when this run started (the job's startedAt); later writes take the time they happen.
+// Returns the finished job, or null when there was nothing to run.
+const processJob = async (jobId, verifyJob, nowMs = Date.now()) => {
+  const job = await claimJob(jobId, nowMs);
+  if (!job) {
+    return null;
+  }
+
+  try {
+    const frames = await downloadFrames(job.framePaths);
+    const result = await verifyJob({
+      uid: job.uid,
+      habitType: job.habitType,
+      media: { kind: "video", frames, duration: job.duration },
+      options: job.options,
+      capture: job.capture,
+      deadline: getVerifyDeadline(nowMs)
+    });
+    return await finishJob(job, { status: JOB_STATUS.completed, result, error: null });
+  } catch (error) {
+    const jobError = describeError(error);
+    console.error(`Verification job ${jobId} attempt ${job.attempts} failed (uid: ${job.uid}):`, error);
+
+    if (isRetryable(error) && job.attempts < MAX_JOB_ATTEMPTS) {
+      await jobRef(jobId).set({ status: JOB_STATUS.retrying, error: jobError, updatedAt: Date.now() }, { merge: true });
+      throw error;
+    }
+    return finishJob(job, { status: JOB_STATUS.failed, result: null, error: jobError });
+  }
+};
+
+module.exports = {
+  JOBS_COLLECTION,
+  JOB_STATUS,
+  MAX_JOB_ATTEMPTS,
+  createJob,
+  getJob,
+  parseJobRequest,
+  processJob,
+};
@@ -0,0 +1,302 @@
+const { RequestError } = require("./errors");
+const { comparisonResultSchema, getHabitDefinition } = require("./habits");
+const {
+  COMPARISON_PROMPT_KEY,
+  getComparisonRubric,
+  getLatestPromptVersion,
+  renderComparisonPrompt,
+  renderPrompt,
+} = require("./promptRegistry");
+const { MAX_IMAGE_SIZE_BYTES } = require("./validation");
+const { getProviderName, getModelForHabit } = require("./config");
+const { getProvider } = require("./providers");
+const { parseCaptureContext } = require("./freshness");
+const { analyzeFrames } = require("./motion");
+const { validateImageSet } = require("./comparison");
+const { validateTextEntry } = require("./textEntries");
+
+// Frame counts outside this range are rejected; motion needs at least a pair
+const MIN_VIDEO_FRAMES = 2;
+const MAX_VIDEO_FRAMES = 20;
+// Per video frame (the app sends 1024px JPEGs, well under this)
+const MAX_FRAME_SIZE_BYTES = 2 * 1024 * 1024;
+
+// Cloud Function timeout for verification endpoints, and the slice of it
+// reserved for the bookkeeping after the model calls (streak, history, response)
+const VERIFY_TIMEOUT_SECONDS = 60;
+const DEADLINE_MARGIN_MS = 8000;
+
+// Epoch ms by which the model calls must finish, for a request that started at
+// startedAtMs. Measured from the start of the request so the checks before the
+// model call are budgeted too.
+const getVerifyDeadline = (startedAtMs) => startedAtMs + VERIFY_TIMEOUT_SECONDS * 1000 - DEADLINE_MARGIN_MS;
+
+// Base64 string length -> decoded byte size
+const base64Size = (base64) => Math.floor(base64.length * 3 / 4);
+
+const validateImageData = (data, label, maxBytes = MAX_IMAGE_SIZE_BYTES) => {
+  if (!data || typeof data !== "string") {
+    throw new RequestError(400, "invalid_request", `Missing ${label}`);
+  }
+  if (base64Size(data) > maxBytes) {
+    throw new RequestError(413, "payload_too_large", `${label} is too large`);
+  }
+};
+
+const validateMedia = (media, definition, habitType) => {
+  if (!media || typeof media !== "object") {
+    throw new RequestError(400, "invalid_request", "Missing media");
+  }
+
+  if (!definition.mediaKinds.includes(media.kind)) {
+    throw new RequestError(
+      400,
+      "unsupported_media",
+      `Habit type ${habitType} accepts media kind: ${definition.mediaKinds.join(", ")}`
+    );
+  }
+
+  if (media.kind === "image") {
+    validateImageData(media.data, "image");
+    return;
+  }
+
+  if (media.kind === "text") {
+    const error = validateTextEntry(media.text);
+    if (error) {
+      throw new RequestError(400, "invalid_request", error);
+    }
+    return;
+  }
+
+  if (media.kind === "images") {
+    const error = validateImageSet(media);
+    if (error) {
+      throw new RequestError(400, "invalid_request", error);
+    }
+    media.images.forEach(({ label, data }) => validateImageData(data, `image "${label}"`));
+    return;
+  }
+
+  if (!Array.isArray(media.frames) || media.frames.length === 0) {
+    throw new RequestError(400, "invalid_request", "Missing video frames");
+  }
+  if (media.frames.length < MIN_VIDEO_FRAMES || media.frames.length > MAX_VIDEO_FRAMES) {
+    throw new RequestError(400, "invalid_request", `Video must have ${MIN_VIDEO_FRAMES}-${MAX_VIDEO_FRAMES} frames`);
+  }
+  media.frames.forEach((frame, index) => validateImageData(frame, `frame ${index + 1}`, MAX_FRAME_SIZE_BYTES));
+};
+
+// Provider images for the media, in the order the prompts expect.
+// A written entry has none; it is part of the prompt.
+const buildImages = (media) => {
+  if (media.kind === "text") {
+    return [];
+  }
+
+  if (media.kind === "image") {
+    return [{ data: media.data }];
+  }
+
+  if (media.kind === "images") {
+    return media.images.map(({ label, data }, index) => ({
+      data,
+      caption: `Photo ${index + 1} of ${media.images.length}: "${label}"`
+    }));
+  }
+
+  return media.frames.map((frameBase64, index) => ({
+    data: frameBase64,
+    caption: `Frame ${index + 1} of ${media.frames.length}`
+  }));
+};
+
+// Decode a prepared video's frames into its motion analysis (see motion.js);
+// motion is null for other media. The expensive part of preparing a video, so
+// endpoints run it only once the request is within its rate limit.
+// Throws RequestError for frames that can't be used.
+const analyzeMotion = (verification) => {
+  if (verification.media.kind !== "video") {
+    return { ...verification, motion: null };
+  }
+
+  const motion = analyzeFrames(verification.media.frames);
+  if (motion.error) {
+    throw new RequestError(400, "invalid_frame", `Invalid video: ${motion.error}`);
+  }
+  return { ...verification, motion };
+};
+
+// Validate a { habitType, media, options, capture } request and resolve its habit definition.
+// capture is the app's { timezone, morningWindow } used by the freshness checks.
+// Video frames are decoded into motion unless analyze is false, in which case
+// motion is null until analyzeMotion runs.
+// promptKey is the prompt registry key: the habit type, or the comparison prompt for photo sets.
+// Throws RequestError for anything the client should fix.
+const prepareVerification = ({ habitType, media, options = {}, capture = {} }, { analyze = true } = {}) => {
+  if (!habitType) {
+    throw new RequestError(400, "invalid_request", "Missing habitType");
+  }
+
+  const definition = getHabitDefinition(habitType);
+  if (!definition) {
+    throw new RequestError(400, "unknown_habit_type", `Unknown habit type: ${habitType}`);
+  }
+
+  validateMedia(media, definition, habitType);
+
+  const safeOptions = options && typeof options === "object" ? options : {};
+  if (definition.validateOptions) {
+    const validation = definition.validateOptions(safeOptions);
+    if (!validation.valid) {
+      throw new RequestError(400, "invalid_request", validation.error);
+    }
+  }
+
+  const captureContext = parseCaptureContext(capture || {});
+  if (captureContext.error) {
+    throw new RequestError(400, "invalid_request", captureContext.error);
+  }
+
+  const verification = {
+    habitType,
+    definition,
+    media,
+    options: safeOptions,
+    capture: captureContext,
+    motion: null,
+    promptKey: media.kind === "images" ? COMPARISON_PROMPT_KEY : habitType
+  };
+  return analyze ? analyzeMotion(verification) : verification;
+};
+
+// Normalized envelope returned to the app.
+// The habit's legacy pass field (is_made, is_outside, ...) is kept so
+// shipped app versions keep decoding responses.
+// A photo set only passes when its photos show the same scene and a change,
+// and adds same_scene, changed and images: [{ label, observation }].
+// A written entry adds on_topic and genuine, plus reflection for a pass
+// when the model wrote one.
+const normalizeVerdict = (definition, verdict, promptVersion, media = null) => {
+  const comparison = media?.kind === "images";
+  const passed = verdict[definition.passField] && (!comparison || (verdict.same_scene && verdict.changed));
+  const envelope = {
+    passed,
+    detected_subject: verdict.detected_subject ?? verdict.detected_action ?? null,
+    feedback: verdict.feedback,
+    confidence: verdict.confidence ?? null,
+    prompt_version: promptVersion.id,
+    [definition.passField]: passed
+  };
+
+  if (verdict.detected_action !== undefined) {
+    envelope.detected_action = verdict.detected_action;
+  }
+
+  if (comparison) {
+    envelope.same_scene = verdict.same_scene;
+    envelope.changed = verdict.changed;
+    // Our labels, in request order, whatever the model echoed back
+    envelope.images = media.images.map(({ label }, index) => ({
+      label,
+      observation: verdict.images[index]?.observation ?? null
+    }));
+  }
+
+  if (media?.kind === "text") {
+    envelope.on_topic = verdict.on_topic;
+    envelope.genuine = verdict.genuine;
+    if (passed && verdict.reflection) {
+      envelope.reflection = verdict.reflection;
+    }
+  }
+
+  return envelope;
+};
+
+// Failing envelope for a proof rejected by a server-side check before (or
+// instead of) the model. reason is a machine-readable code for the app.
+const buildRejection = (definition, reason, feedback, details = null) => ({
+  passed: false,
+  detected_subject: null,
+  feedback,
+  confidence: null,
+  prompt_version: null,
+  reason,
+  details,
+  [definition.passField]: false
+});
+
+// Send a prepared verification to the configured vision provider
+// and return the normalized verdict.
+// promptVersion comes from the rollout (assignPromptVersion); defaults to the latest version.
+// model overrides the habit's configured model (appeal reviews use their own).
+// deadline (epoch ms, see getVerifyDeadline) covers the first call and any repair
+// call; endpoints pass the one for their request.
+// source tags the log line, so second opinions (source "appeal") can be kept
+// out of per-version pass rates.
+// Videos send only the frames motion analysis selected, and report its motion_score.
+const runVerification = async ({
+  habitType,
+  definition,
+  media,
+  options,
+  motion = null,
+  promptKey = habitType,
+  promptVersion,
+  model = null,
+  deadline = getVerifyDeadline(Date.now()),
+  source = "verify",
+  uid = null
+}) => {
+  const provider = getProvider(getProviderName());
+  const resolvedModel = model || getModelForHabit(habitType);
+  const prompt = promptVersion || getLatestPromptVersion(promptKey);
+  const rubric = media.kind === "images" ? getComparisonRubric(prompt, habitType) : null;
+  const modelMedia = motion
+    ? { ...media, frames: motion.selectedFrames.map((index) => media.frames[index]) }
+    : media;
+
+  const verdict = await provider.verify({
+    habitType,
+    images: buildImages(modelMedia),
+    prompt: rubric
+      ? renderComparisonPrompt(prompt, rubric, definition, options, media)
+      : renderPrompt(prompt, definition, options, modelMedia),
+    schema: rubric ? comparisonResultSchema(definition.passField) : definition.resultSchema,
+    model: resolvedModel,
+    maxTokens: prompt.maxTokens,
+    deadline
+  });
+
+  const result = normalizeVerdict(definition, verdict, prompt, media);
+  if (motion) {
+    result.motion_score = motion.motionScore;
+  }
+
+  // Structured log line (jsonPayload in Cloud Logging) for comparing pass rates per prompt version
+  console.log(JSON.stringify({
+    event: "verification",
+    source,
+    habitType,
+    promptVersion: prompt.id,
+    rubricVersion: rubric ? rubric.id : null,
+    model: resolvedModel,
+    passed: result.passed,
+    uid
+  }));
+
+  return result;
+};
+
+module.exports = {
+  MAX_VIDEO_FRAMES,
+  MIN_VIDEO_FRAMES,
+  VERIFY_TIMEOUT_SECONDS,
+  analyzeMotion,
+  buildRejection,
+  getVerifyDeadline,
+  normalizeVerdict,
+  prepareVerification,
+  runVerification,
+};
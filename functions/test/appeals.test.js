@@ -0,0 +1,147 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  authHeaders,
+  getFirestore,
+  invoke,
+  queueClaudeResponses,
+  resetClaude,
+  resetFirestore,
+} = require("./helpers/harness");
+const { checkerboard, horizontalGradient, makeJpeg } = require("./helpers/images");
+const functions = require("../index");
+
+const PHOTO = makeJpeg(horizontalGradient);
+
+beforeEach(() => {
+  resetClaude();
+  resetFirestore();
+});
+
+const verifyBed = (imageBase64, uid = "user-1") => invoke(functions.verifyBed, {
+  body: { imageBase64 },
+  headers: authHeaders(uid)
+});
+
+const appeal = (body, uid = "user-1") => invoke(functions.appealVerification, { body, headers: authHeaders(uid) });
+
+test("a majority of passing samples overturns the verdict", async () => {
+  const requests = queueClaudeResponses("bed_fail", "bed_pass", "bed_fail", "bed_pass");
+
+  const failed = await verifyBed(PHOTO);
+  assert.ok(failed.body.appeal_id);
+
+  const res = await appeal({ appealId: failed.body.appeal_id, imageBase64: PHOTO });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.passed, true);
+  assert.equal(res.body.is_made, true);
+  assert.deepEqual(res.body.appeal, { id: failed.body.appeal_id, outcome: "overturned", passVotes: 2, samples: 3 });
+  assert.ok(res.body.receipt);
+  assert.equal(res.body.streak.currentStreak, 1);
+  assert.equal(requests[0].model, "claude-haiku-4-5");
+  assert.deepEqual(requests.slice(1).map((request) => request.model), Array(3).fill("claude-sonnet-4-5"));
+
+  const stored = getFirestore().getData(`appeals/${failed.body.appeal_id}`);
+  assert.equal(stored.status, "overturned");
+  assert.equal(stored.passVotes, 2);
+  assert.equal(getFirestore().getData("proofHashes/user-1").entries.length, 1);
+});
+
+test("an overturned appeal updates the failure's history record and challenge attempt", async (t) => {
+  queueClaudeResponses("bed_fail", "bed_pass", "bed_pass", "bed_fail");
+  const log = t.mock.method(console, "log", () => {});
+  await invoke(functions.verificationHistory, { body: { action: "settings", enabled: true }, headers: authHeaders("user-1") });
+  const created = await invoke(functions.challenges, {
+    body: { action: "create", name: "Made beds", habitTypes: ["bed"], durationDays: 7, timezone: "UTC" },
+    headers: authHeaders("user-1")
+  });
+  const challengeId = created.body.challenge.id;
+
+  const failed = await verifyBed(PHOTO);
+  await appeal({ appealId: failed.body.appeal_id, imageBase64: PHOTO });
+
+  const { records } = (await invoke(functions.verificationHistory, { body: { action: "list" }, headers: authHeaders("user-1") })).body;
+  assert.equal(records.length, 1);
+  assert.equal(records[0].id, failed.body.appeal_id);
+  assert.equal(records[0].passed, true);
+  assert.equal(records[0].appealOutcome, "overturned");
+
+  const results = await getFirestore().collection(`challenges/${challengeId}/results`).get();
+  assert.equal(results.size, 1);
+  assert.deepEqual(results.docs[0].data().passedHabits, ["bed"]);
+  assert.equal(results.docs[0].data().attempts, 1);
+
+  // Second opinions are logged apart from first verdicts
+  const events = log.mock.calls.map((call) => JSON.parse(call.arguments[0])).filter((entry) => entry.event === "verification");
+  assert.deepEqual(events.map(({ source, model }) => ({ source, model })), [
+    { source: "verify", model: "claude-haiku-4-5" },
+    ...Array(3).fill({ source: "appeal", model: "claude-sonnet-4-5" })
+  ]);
+});
+
+test("an upheld appeal keeps the failure and can't be appealed again", async () => {
+  queueClaudeResponses("bed_fail", "bed_fail", "bed_pass", "bed_fail");
+  const failed = await verifyBed(PHOTO);
+
+  const res = await appeal({ appealId: failed.body.appeal_id, imageBase64: PHOTO });
+  const again = await appeal({ appealId: failed.body.appeal_id, imageBase64: PHOTO });
+
+  assert.equal(res.body.passed, false);
+  assert.equal(res.body.appeal.outcome, "upheld");
+  assert.equal(res.body.appeal.passVotes, 1);
+  assert.equal(res.body.streak.currentStreak, 0);
+  assert.equal(res.body.receipt, undefined);
+  assert.equal(again.statusCode, 409);
+  assert.equal(again.body.code, "appeal_closed");
+});
+
+test("appeals must resend the owner's original proof on the same day", async () => {
+  queueClaudeResponses("bed_fail");
+  const failed = await verifyBed(PHOTO);
+  const { appeal_id: appealId } = failed.body;
+
+  const otherPhoto = await appeal({ appealId, imageBase64: makeJpeg(checkerboard) });
+  assert.equal(otherPhoto.statusCode, 400);
+  assert.equal(otherPhoto.body.code, "proof_mismatch");
+
+  const stranger = await appeal({ appealId, imageBase64: PHOTO }, "user-2");
+  assert.equal(stranger.statusCode, 404);
+
+  await getFirestore().doc(`appeals/${appealId}`).update({ date: "2020-01-01" });
+  const expired = await appeal({ appealId, imageBase64: PHOTO });
+  assert.equal(expired.statusCode, 409);
+  assert.equal(expired.body.code, "appeal_expired");
+});
+
+test("failed samples without a majority reopen the appeal", async () => {
+  queueClaudeResponses("bed_fail", "bed_pass", "image_rejected", "image_rejected");
+  const failed = await verifyBed(PHOTO);
+
+  const res = await appeal({ appealId: failed.body.appeal_id, imageBase64: PHOTO });
+
+  assert.equal(res.statusCode, 422);
+  assert.equal(res.body.code, "image_rejected");
+  assert.equal(getFirestore().getData(`appeals/${failed.body.appeal_id}`).status, "open");
+});
+
+test("passes and server-side rejections can't be appealed, and appeals are rate limited", async () => {
+  // Each appeal that gets past the rate limit takes APPEAL_SAMPLES responses
+  queueClaudeResponses("bed_pass", ...Array(9).fill("bed_fail"));
+
+  const passed = await verifyBed(PHOTO);
+  const duplicate = await verifyBed(PHOTO);
+  assert.equal(passed.body.appeal_id, undefined);
+  assert.equal(duplicate.body.reason, "duplicate_proof");
+  assert.equal(duplicate.body.appeal_id, undefined);
+
+  // Different enough not to count as duplicates of each other
+  const photos = [checkerboard, (x) => (Math.floor(x / 4) % 2 ? 220 : 30), (x, y) => ((x + y) % 16 < 8 ? 200 : 40)].map((shade) => makeJpeg(shade));
+  const statuses = [];
+  for (const photo of photos) {
+    const failed = await verifyBed(photo);
+    statuses.push((await appeal({ appealId: failed.body.appeal_id, imageBase64: photo })).statusCode);
+  }
+  assert.deepEqual(statuses, [200, 200, 429]);
+});
@@ -0,0 +1,141 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  TEST_IMAGE,
+  authHeaders,
+  getFirestore,
+  invoke,
+  queueClaudeResponses,
+  resetClaude,
+  resetFirestore,
+} = require("./helpers/harness");
+const {
+  createChallenge,
+  isDayComplete,
+  joinChallenge,
+  recordChallengeResult,
+  scoreChallenges,
+  scoreMemberDay,
+} = require("../src/challenges");
+const functions = require("../index");
+
+const DAY_ONE = Date.parse("2026-03-01T09:00:00Z");
+const at = (day, hour = 9) => DAY_ONE + (day - 1) * 24 * 60 * 60 * 1000 + (hour - 9) * 60 * 60 * 1000;
+
+beforeEach(() => {
+  resetClaude();
+  resetFirestore();
+});
+
+const challengeAction = (uid, body) => invoke(functions.challenges, { body, headers: authHeaders(uid) });
+
+const BEDS = { name: "30 days of made beds", habitTypes: ["bed"], durationDays: 30, timezone: "UTC" };
+
+test("completed days score points with a capped streak bonus", () => {
+  let member = { points: 0, daysCompleted: 0, currentStreak: 0, longestStreak: 0 };
+  [true, true, true, false, true].forEach((completed) => {
+    member = scoreMemberDay(member, completed);
+  });
+
+  assert.deepEqual(member, { points: 10 + 11 + 12 + 10, daysCompleted: 4, currentStreak: 1, longestStreak: 3 });
+  assert.equal(isDayComplete({ habitTypes: ["bed", "sunlight"], requireAll: true }, ["bed"]), false);
+  assert.equal(isDayComplete({ habitTypes: ["bed", "sunlight"], requireAll: false }, ["bed"]), true);
+});
+
+test("create validates the rules", async () => {
+  const cases = [
+    { ...BEDS, habitTypes: ["custom"] },
+    { ...BEDS, durationDays: 365 },
+    { ...BEDS, timezone: "Atlantis/Capital" },
+    { ...BEDS, name: "" },
+    { ...BEDS, startDate: "2020-01-01" }
+  ];
+
+  for (const body of cases) {
+    const res = await challengeAction("alice", { action: "create", ...body });
+    assert.equal(res.statusCode, 400, JSON.stringify(body));
+  }
+});
+
+test("members join by code and can leave", async () => {
+  const created = await challengeAction("alice", { action: "create", ...BEDS, displayName: "Alice" });
+  const { id, joinCode } = created.body.challenge;
+
+  const joined = await challengeAction("bob", { action: "join", joinCode: joinCode.toLowerCase() });
+  assert.equal(joined.body.challenge.memberCount, 2);
+  assert.equal((await challengeAction("bob", { action: "join", joinCode })).body.code, "already_joined");
+
+  const list = await challengeAction("bob", { action: "list" });
+  assert.deepEqual(list.body.challenges.map((challenge) => challenge.id), [id]);
+
+  await challengeAction("bob", { action: "leave", challengeId: id });
+  assert.equal(getFirestore().getData(`challenges/${id}`).memberCount, 1);
+  assert.deepEqual((await challengeAction("bob", { action: "list" })).body.challenges, []);
+});
+
+test("daily scoring ranks members from their recorded pass results", async () => {
+  const { id, joinCode } = await createChallenge("alice", { ...BEDS, durationDays: 3 }, at(1));
+  await joinChallenge("bob", { joinCode }, at(1));
+
+  await recordChallengeResult("alice", { habitType: "bed", passed: true }, at(1));
+  await recordChallengeResult("alice", { habitType: "bed", passed: true }, at(2));
+  await recordChallengeResult("bob", { habitType: "bed", passed: false }, at(1));
+  await recordChallengeResult("bob", { habitType: "sunlight", passed: true }, at(2));
+  await recordChallengeResult("bob", { habitType: "bed", passed: true }, at(2));
+
+  await scoreChallenges(at(2, 12));
+  assert.equal(getFirestore().getData(`challenges/${id}`).lastScoredDate, "2026-03-01");
+
+  await scoreChallenges(at(3, 12));
+  const leaderboard = await invoke(functions.challengeLeaderboard, { body: { challengeId: id }, headers: authHeaders("bob") });
+
+  assert.equal(leaderboard.statusCode, 200);
+  assert.deepEqual(leaderboard.body.entries.map(({ rank, uid, points, currentStreak, isMe }) => ({ rank, uid, points, currentStreak, isMe })), [
+    { rank: 1, uid: "alice", points: 21, currentStreak: 2, isMe: false },
+    { rank: 2, uid: "bob", points: 10, currentStreak: 1, isMe: true }
+  ]);
+
+  // The last day is scored once the challenge is over, then scoring stops
+  await scoreChallenges(at(10, 12));
+  const challenge = getFirestore().getData(`challenges/${id}`);
+  assert.equal(challenge.lastScoredDate, "2026-03-03");
+  assert.equal(challenge.scoringComplete, true);
+  assert.equal(getFirestore().getData(`challenges/${id}/members/alice`).currentStreak, 0);
+});
+
+test("a member who leaves during scoring isn't re-added", async () => {
+  const { id, joinCode } = await createChallenge("alice", { ...BEDS, durationDays: 3 }, at(1));
+  await joinChallenge("bob", { joinCode }, at(1));
+  await recordChallengeResult("alice", { habitType: "bed", passed: true }, at(1));
+  await recordChallengeResult("bob", { habitType: "bed", passed: true }, at(1));
+
+  // Bob leaves after scoring has read the members, just before it writes
+  const db = getFirestore();
+  const runTransaction = db.runTransaction.bind(db);
+  db.runTransaction = async (fn) => {
+    db.runTransaction = runTransaction;
+    await challengeAction("bob", { action: "leave", challengeId: id });
+    return runTransaction(fn);
+  };
+
+  await scoreChallenges(at(2, 12));
+
+  assert.equal(db.getData(`challenges/${id}/members/bob`), undefined);
+  assert.equal(db.getData(`challenges/${id}/members/alice`).points, 10);
+  assert.equal(db.getData(`challenges/${id}`).lastScoredDate, "2026-03-01");
+});
+
+test("verify calls record challenge results and only members see the leaderboard", async () => {
+  const created = await challengeAction("alice", { action: "create", ...BEDS });
+  const { id } = created.body.challenge;
+  queueClaudeResponses("bed_pass");
+
+  await invoke(functions.verifyBed, { body: { imageBase64: TEST_IMAGE }, headers: authHeaders("alice") });
+
+  const results = await getFirestore().collection(`challenges/${id}/results`).get();
+  assert.deepEqual(results.docs[0].data().passedHabits, ["bed"]);
+
+  const outsider = await invoke(functions.challengeLeaderboard, { body: { challengeId: id }, headers: authHeaders("eve") });
+  assert.equal(outsider.statusCode, 404);
+});
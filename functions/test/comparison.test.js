@@ -0,0 +1,110 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  authHeaders,
+  invoke,
+  queueClaudeResponses,
+  resetClaude,
+  resetFirestore,
+} = require("./helpers/harness");
+const { checkerboard, horizontalGradient, makeJpeg } = require("./helpers/images");
+const { comparisonResultSchema } = require("../src/habits");
+const { validateAgainstSchema } = require("../src/schema");
+const functions = require("../index");
+
+const BEFORE = makeJpeg(checkerboard);
+const AFTER = makeJpeg(horizontalGradient);
+
+beforeEach(() => {
+  resetClaude();
+  resetFirestore();
+});
+
+const verifySet = (images, habitType = "bed") => invoke(functions.verify, {
+  body: { habitType, media: { kind: "images", images } },
+  headers: authHeaders()
+});
+
+const beforeAfter = [{ label: "before", data: BEFORE }, { label: "after", data: AFTER }];
+
+test("a before/after pair is compared and returns per-image observations", async (t) => {
+  const requests = queueClaudeResponses("comparison_bed_pass");
+  const log = t.mock.method(console, "log", () => {});
+
+  const res = await verifySet(beforeAfter);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.passed, true);
+  assert.equal(res.body.is_made, true);
+  assert.equal(res.body.prompt_version, "comparison-v1");
+  assert.equal(res.body.same_scene, true);
+  assert.deepEqual(res.body.images.map((image) => image.label), ["before", "after"]);
+  assert.match(res.body.images[1].observation, /duvet pulled up/);
+
+  const content = requests[0].messages[0].content;
+  assert.deepEqual(content.filter((block) => block.type === "text").slice(0, 2).map((block) => block.text), [
+    "Photo 1 of 2: \"before\"",
+    "Photo 2 of 2: \"after\""
+  ]);
+  const prompt = content.at(-1).text;
+  assert.match(prompt, /2 photos in this order: "before", "after"/);
+  assert.match(prompt, /SCORE THE BED/);
+  assert.deepEqual(requests[0].tools[0].input_schema.required, ["is_made", "same_scene", "changed", "images", "feedback"]);
+
+  const event = log.mock.calls.map((call) => JSON.parse(call.arguments[0])).find((entry) => entry.event === "verification");
+  assert.equal(event.promptVersion, "comparison-v1");
+  assert.equal(event.rubricVersion, "bed-v1");
+});
+
+test("photos of different rooms fail even when the rubric passes", async () => {
+  queueClaudeResponses("comparison_different_rooms");
+
+  const res = await verifySet(beforeAfter);
+
+  assert.equal(res.body.passed, false);
+  assert.equal(res.body.is_made, false);
+  assert.equal(res.body.same_scene, false);
+  assert.match(res.body.feedback, /different bedrooms/);
+});
+
+test("the same shot twice fails without calling the model", async () => {
+  const requests = queueClaudeResponses("comparison_bed_pass");
+
+  const res = await verifySet([
+    { label: "before", data: makeJpeg(checkerboard, { quality: 90 }) },
+    { label: "after", data: makeJpeg(checkerboard, { quality: 75 }) }
+  ]);
+
+  assert.equal(res.body.passed, false);
+  assert.equal(res.body.reason, "identical_images");
+  assert.deepEqual(res.body.details, { labels: ["before", "after"] });
+  assert.equal(requests.length, 0);
+});
+
+test("photo sets need 2-4 uniquely labeled photos of a photo habit", async () => {
+  const cases = [
+    [[{ label: "after", data: AFTER }], "bed"],
+    [[{ label: "after", data: BEFORE }, { label: "After", data: AFTER }], "bed"],
+    [[{ label: "before {{x}}", data: BEFORE }, { label: "after", data: AFTER }], "bed"],
+    [beforeAfter, "customVideo"]
+  ];
+
+  for (const [images, habitType] of cases) {
+    const res = await verifySet(images, habitType);
+    assert.equal(res.statusCode, 400, JSON.stringify(images.map((image) => image.label)));
+  }
+});
+
+test("comparison verdicts validate nested observations", () => {
+  const schema = comparisonResultSchema("is_verified");
+  const base = { is_verified: "true", same_scene: true, changed: "yes", feedback: "Done" };
+
+  const valid = validateAgainstSchema({ ...base, images: [{ label: "before", observation: " Messy desk ", extra: 1 }] }, schema);
+  assert.equal(valid.valid, true);
+  assert.deepEqual(valid.value.images, [{ label: "before", observation: "Messy desk" }]);
+  assert.equal(valid.value.changed, true);
+
+  const invalid = validateAgainstSchema({ ...base, images: [{ label: "before" }] }, schema);
+  assert.deepEqual(invalid.errors, ["images[0].observation is required"]);
+});
@@ -0,0 +1,139 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  authHeaders,
+  getFirestore,
+  invoke,
+  queueClaudeResponses,
+  resetClaude,
+  resetFirestore,
+} = require("./helpers/harness");
+const { checkerboard, exifDateTime, horizontalGradient, makeJpeg, withExif } = require("./helpers/images");
+const { hammingDistance, hashImage } = require("../src/imageHash");
+const { readExif } = require("../src/exif");
+const functions = require("../index");
+
+const GRADIENT = makeJpeg(horizontalGradient);
+const CHECKERBOARD = makeJpeg(checkerboard);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stored entry fields for a photo, as the duplicate check records them
+const fingerprint = (imageBase64) => ({
+  hash: hashImage(imageBase64),
+  contentHash: null,
+  capturedAt: readExif(imageBase64)?.dateTimeOriginal || null
+});
+
+beforeEach(() => {
+  resetClaude();
+  resetFirestore();
+});
+
+afterEach(() => {
+  delete process.env.DUPLICATE_PROOF_POLICY;
+});
+
+const postBed = (imageBase64, uid = "user-1") => invoke(functions.verifyBed, {
+  body: { imageBase64 },
+  headers: authHeaders(uid)
+});
+
+test("re-encoded and resized copies hash within the duplicate threshold", () => {
+  const recompressed = makeJpeg(horizontalGradient, { quality: 40 });
+  const resized = makeJpeg((x) => x * 2, { width: 128, height: 96 });
+
+  assert.ok(hammingDistance(hashImage(GRADIENT), hashImage(recompressed)) <= 4);
+  assert.ok(hammingDistance(hashImage(GRADIENT), hashImage(resized)) <= 4);
+  assert.ok(hammingDistance(hashImage(GRADIENT), hashImage(CHECKERBOARD)) > 4);
+});
+
+test("undecodable images hash to null", () => {
+  assert.equal(hashImage(Buffer.from("not a jpeg").toString("base64")), null);
+});
+
+test("passed proofs are recorded and a reused photo is rejected without calling the model", async () => {
+  const requests = queueClaudeResponses("bed_pass");
+
+  await postBed(GRADIENT);
+  const res = await postBed(makeJpeg(horizontalGradient, { quality: 50 }));
+
+  assert.equal(requests.length, 1);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.passed, false);
+  assert.equal(res.body.is_made, false);
+  assert.equal(res.body.reason, "duplicate_proof");
+  assert.equal(res.body.details.source, "previous_proof");
+  assert.equal(res.body.details.habitType, "bed");
+  assert.equal(getFirestore().getData("proofHashes/user-1").entries.length, 1);
+});
+
+test("failed proofs and other users' photos don't count as duplicates", async () => {
+  const requests = queueClaudeResponses("bed_fail", "bed_pass", "bed_pass");
+
+  await postBed(GRADIENT);
+  await postBed(GRADIENT);
+  const res = await postBed(GRADIENT, "user-2");
+
+  assert.equal(requests.length, 3);
+  assert.equal(res.body.passed, true);
+});
+
+test("a different photo is verified normally", async () => {
+  queueClaudeResponses("bed_pass", "bed_pass");
+
+  await postBed(GRADIENT);
+  const res = await postBed(CHECKERBOARD);
+
+  assert.equal(res.body.passed, true);
+  assert.equal(res.body.reason, undefined);
+  assert.equal(getFirestore().getData("proofHashes/user-1").entries.length, 2);
+});
+
+test("a photo reused from an earlier day is rejected", async () => {
+  await getFirestore().doc("proofHashes/user-1").set({
+    entries: [{ ...fingerprint(GRADIENT), habitType: "bed", createdAt: Date.now() - 30 * DAY_MS }]
+  });
+  const requests = queueClaudeResponses("bed_pass");
+
+  const res = await postBed(makeJpeg(horizontalGradient, { quality: 60 }));
+
+  assert.equal(requests.length, 0);
+  assert.equal(res.body.reason, "duplicate_proof");
+  assert.equal(res.body.details.source, "previous_proof");
+});
+
+test("new photos of the same scene aren't duplicates, but resending one is", async () => {
+  const capturedAt = (minutesAgo) => ({ dateTimeOriginal: exifDateTime(Date.now() - minutesAgo * 60000), offsetTimeOriginal: "+00:00" });
+  const yesterday = withExif(GRADIENT, capturedAt(24 * 60));
+  const shotToday = capturedAt(5);
+  // Same framing, different sensor noise: hashes the same as the earlier shot
+  const today = withExif(makeJpeg((x, y) => horizontalGradient(x) + ((x * 7 + y * 13) % 9) - 4), shotToday);
+  assert.equal(hammingDistance(hashImage(yesterday), hashImage(today)), 0);
+  await getFirestore().doc("proofHashes/user-1").set({
+    entries: [{ ...fingerprint(yesterday), habitType: "bed", createdAt: Date.now() - DAY_MS }]
+  });
+  const requests = queueClaudeResponses("bed_pass");
+
+  const res = await postBed(today);
+  assert.equal(requests.length, 1);
+  assert.equal(res.body.passed, true);
+
+  // The same shot re-saved keeps its capture time
+  const resaved = withExif(makeJpeg((x, y) => horizontalGradient(x) + ((x * 7 + y * 13) % 9) - 4, { quality: 50 }), shotToday);
+  const again = await postBed(resaved);
+  assert.equal(requests.length, 1);
+  assert.equal(again.body.reason, "duplicate_proof");
+});
+
+test("flag policy verifies duplicates but tags the response", async () => {
+  process.env.DUPLICATE_PROOF_POLICY = "flag";
+  queueClaudeResponses("bed_pass", "bed_pass");
+
+  await postBed(GRADIENT);
+  const res = await postBed(GRADIENT);
+
+  assert.equal(res.body.passed, true);
+  assert.deepEqual(res.body.flags, ["duplicate_proof"]);
+  assert.equal(getFirestore().getData("proofHashes/user-1").entries.length, 1);
+});
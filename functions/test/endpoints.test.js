@@ -0,0 +1,361 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  TEST_IMAGE,
+  authHeaders,
+  invoke,
+  queueClaudeResponses,
+  resetClaude,
+  resetFirestore,
+} = require("./helpers/harness");
+const { movingSquareFrames } = require("./helpers/images");
+const { ClaudeAPIError } = require("../src/claude");
+const anthropicProvider = require("../src/providers/anthropic");
+const functions = require("../index");
+
+const VIDEO_FRAMES = movingSquareFrames(3);
+
+beforeEach(() => {
+  resetClaude();
+  resetFirestore();
+});
+
+const post = (handler, body, headers = authHeaders()) => invoke(handler, { body, headers });
+
+test("OPTIONS preflight returns 204 with CORS headers", async () => {
+  const res = await invoke(functions.verifyBed, { method: "OPTIONS" });
+
+  assert.equal(res.statusCode, 204);
+  assert.equal(res.headers["access-control-allow-origin"], "*");
+  assert.match(res.headers["access-control-allow-headers"], /Authorization/);
+});
+
+test("non-POST methods are rejected", async () => {
+  const res = await invoke(functions.verifyBed, { method: "GET", headers: authHeaders() });
+
+  assert.equal(res.statusCode, 405);
+  assert.deepEqual(res.body, { error: "Method not allowed" });
+});
+
+test("requests without credentials get 401", async () => {
+  const res = await post(functions.verifyBed, { imageBase64: TEST_IMAGE }, {});
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.code, "unauthenticated");
+});
+
+test("requests without credentials are rejected unless monitor mode is set explicitly", async (t) => {
+  queueClaudeResponses("bed_pass");
+  t.mock.method(console, "warn", () => {});
+  t.after(() => {
+    delete process.env.AUTH_MODE;
+  });
+
+  const rejected = await post(functions.verifyBed, { imageBase64: TEST_IMAGE }, {});
+  assert.equal(rejected.statusCode, 401);
+
+  process.env.AUTH_MODE = "monitor";
+  const res = await post(functions.verifyBed, { imageBase64: TEST_IMAGE }, {});
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.passed, true);
+});
+
+test("invalid ID tokens get 401", async () => {
+  const res = await post(functions.verifyBed, { imageBase64: TEST_IMAGE }, { Authorization: "Bearer forged" });
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.code, "invalid_id_token");
+});
+
+test("invalid App Check tokens get 403", async () => {
+  const res = await post(functions.verifyBed, { imageBase64: TEST_IMAGE }, { "X-Firebase-AppCheck": "tampered" });
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.code, "app_check_failed");
+});
+
+test("App Check alone is enough to call an endpoint", async () => {
+  queueClaudeResponses("bed_pass");
+
+  const res = await post(functions.verifyBed, { imageBase64: TEST_IMAGE }, { "X-Firebase-AppCheck": "app-check-ok" });
+
+  assert.equal(res.statusCode, 200);
+});
+
+test("verifyBed returns the normalized envelope with the legacy field", async () => {
+  const requests = queueClaudeResponses("bed_pass");
+
+  const res = await post(functions.verifyBed, { imageBase64: TEST_IMAGE });
+
+  assert.equal(res.statusCode, 200);
+  const { receipt, streak, ...envelope } = res.body;
+  assert.ok(receipt);
+  assert.equal(streak.currentStreak, 1);
+  assert.deepEqual(envelope, {
+    passed: true,
+    detected_subject: "bed",
+    feedback: "Nice work! Your comforter is pulled up and the pillows are in place.",
+    confidence: null,
+    prompt_version: "bed-v1",
+    is_made: true
+  });
+  assert.equal(requests[0].tool_choice.name, "record_verdict");
+  assert.equal(requests[0].max_tokens, 512);
+});
+
+test("verifyBed passes through a failing verdict", async () => {
+  queueClaudeResponses("bed_fail");
+
+  const res = await post(functions.verifyBed, { imageBase64: TEST_IMAGE });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.passed, false);
+  assert.equal(res.body.is_made, false);
+  assert.equal(res.body.detected_subject, "kitchen");
+});
+
+test("verifyBed requires imageBase64", async () => {
+  const res = await post(functions.verifyBed, {});
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, "Missing imageBase64");
+});
+
+test("verifySunlight coerces string booleans", async () => {
+  queueClaudeResponses("sunlight_string_bool");
+
+  const res = await post(functions.verifySunlight, { imageBase64: TEST_IMAGE });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.is_outside, true);
+  assert.equal(res.body.passed, true);
+});
+
+test("verifyHydration falls back to JSON in a text reply", async () => {
+  queueClaudeResponses("hydration_text_fallback");
+
+  const res = await post(functions.verifyHydration, { imageBase64: TEST_IMAGE });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.is_water, true);
+  assert.equal(res.body.detected_subject, "water_bottle");
+});
+
+test("malformed output is repaired with a second call", async () => {
+  const requests = queueClaudeResponses("malformed", "bed_pass");
+
+  const res = await post(functions.verifyBed, { imageBase64: TEST_IMAGE });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.is_made, true);
+  assert.equal(requests.length, 2);
+  assert.equal(requests[1].messages.at(-1).role, "user");
+});
+
+test("malformed output twice fails with 500", async () => {
+  queueClaudeResponses("malformed", "malformed");
+
+  const res = await post(functions.verifyBed, { imageBase64: TEST_IMAGE });
+
+  assert.equal(res.statusCode, 500);
+  assert.deepEqual(res.body, { error: "Verification failed" });
+});
+
+test("upstream 429 is retried before succeeding", async () => {
+  const requests = queueClaudeResponses("rate_limited", "bed_pass");
+
+  const res = await post(functions.verifyBed, { imageBase64: TEST_IMAGE });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(requests.length, 2);
+});
+
+test("persistent upstream 429 surfaces rate_limited", async () => {
+  queueClaudeResponses("rate_limited", "rate_limited", "rate_limited");
+
+  const res = await post(functions.verifyBed, { imageBase64: TEST_IMAGE });
+
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.code, "rate_limited");
+  assert.ok(res.headers["retry-after"]);
+});
+
+test("rejected images surface image_rejected", async () => {
+  queueClaudeResponses("image_rejected");
+
+  const res = await post(functions.verifyBed, { imageBase64: TEST_IMAGE });
+
+  assert.equal(res.statusCode, 422);
+  assert.equal(res.body.code, "image_rejected");
+});
+
+test("provider errors with an unknown code surface upstream_unavailable", async (t) => {
+  t.mock.method(console, "error", () => {});
+  t.mock.method(anthropicProvider, "verify", async () => {
+    throw new ClaudeAPIError("quota_exceeded", "Provider quota exceeded");
+  });
+
+  const res = await post(functions.verifyBed, { imageBase64: TEST_IMAGE });
+
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.code, "upstream_unavailable");
+});
+
+test("the model deadline runs from the start of the request", async () => {
+  const requests = queueClaudeResponses("bed_pass");
+  const realNow = Date.now;
+  const startedAt = realNow();
+  let calls = 0;
+  // Everything after the endpoint reads the clock happens a minute later
+  Date.now = () => startedAt + (calls++ === 0 ? 0 : 60 * 1000);
+
+  try {
+    const res = await post(functions.verifyBed, { imageBase64: TEST_IMAGE });
+
+    assert.equal(res.statusCode, 504);
+    assert.equal(res.body.code, "timeout");
+    assert.equal(requests.length, 0);
+  } finally {
+    Date.now = realNow;
+  }
+});
+
+test("verifyCustomHabit sends the sanitized habit name in the prompt", async () => {
+  const requests = queueClaudeResponses("custom_pass");
+
+  const res = await post(functions.verifyCustomHabit, {
+    imageBase64: TEST_IMAGE,
+    habitName: "Morning \"yoga\"",
+    aiPrompt: "Show me on the mat",
+    allowsScreenshots: false
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.is_verified, true);
+  const prompt = requests[0].messages[0].content.at(-1).text;
+  assert.match(prompt, /Morning \\"yoga\\"/);
+  assert.match(prompt, /Screenshots are NOT ACCEPTED/);
+});
+
+test("verifyCustomHabit requires image and habit name", async () => {
+  const res = await post(functions.verifyCustomHabit, { imageBase64: TEST_IMAGE });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, "Missing required fields");
+});
+
+test("verifyCustomHabit rejects habit names over the limit", async () => {
+  const res = await post(functions.verifyCustomHabit, {
+    imageBase64: TEST_IMAGE,
+    habitName: "x".repeat(101)
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, "Habit name must be 100 characters or less");
+});
+
+test("verifyCustomHabit rejects blank habit names", async () => {
+  const res = await post(functions.verifyCustomHabit, { imageBase64: TEST_IMAGE, habitName: "   " });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, "Habit name cannot be empty");
+});
+
+test("verifyCustomHabit rejects AI prompts over the limit", async () => {
+  const res = await post(functions.verifyCustomHabit, {
+    imageBase64: TEST_IMAGE,
+    habitName: "Stretch",
+    aiPrompt: "x".repeat(2001)
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, "AI prompt must be 2000 characters or less");
+});
+
+test("verifyVideo sends every frame and returns the video verdict", async () => {
+  const requests = queueClaudeResponses("video_pass");
+
+  const res = await post(functions.verifyVideo, {
+    frames: VIDEO_FRAMES,
+    habitName: "Pushups",
+    duration: 12.4
+  });
+
+  assert.equal(res.statusCode, 200);
+  const { receipt, streak, ...envelope } = res.body;
+  assert.ok(receipt);
+  assert.equal(streak.currentStreak, 1);
+  assert.deepEqual(envelope, {
+    passed: true,
+    detected_subject: "person doing pushups",
+    feedback: "Great form on those pushups!",
+    confidence: "high",
+    prompt_version: "customVideo-v1",
+    is_verified: true,
+    detected_action: "person doing pushups",
+    motion_score: 1
+  });
+  const images = requests[0].messages[0].content.filter((block) => block.type === "image");
+  assert.equal(images.length, 3);
+});
+
+test("verifyVideo requires frames", async () => {
+  const res = await post(functions.verifyVideo, { frames: [], habitName: "Pushups" });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, "Missing required fields");
+});
+
+test("verifyPredefinedHabit resolves the habit's prompt", async () => {
+  const requests = queueClaudeResponses("custom_pass");
+
+  const res = await post(functions.verifyPredefinedHabit, { imageBase64: TEST_IMAGE, habitType: "vitamins" });
+
+  assert.equal(res.statusCode, 200);
+  assert.match(requests[0].messages[0].content.at(-1).text, /VITAMINS/);
+});
+
+test("verifyPredefinedHabit rejects unknown and user-defined habit types", async () => {
+  for (const habitType of ["flossing", "custom"]) {
+    const res = await post(functions.verifyPredefinedHabit, { imageBase64: TEST_IMAGE, habitType });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, `Unknown habit type: ${habitType}`);
+  }
+});
+
+test("verify dispatches by habitType and media", async () => {
+  queueClaudeResponses("bed_pass");
+
+  const res = await post(functions.verify, {
+    habitType: "bed",
+    media: { kind: "image", data: TEST_IMAGE }
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.is_made, true);
+});
+
+test("verify rejects media the habit doesn't accept", async () => {
+  const res = await post(functions.verify, {
+    habitType: "bed",
+    media: { kind: "video", frames: VIDEO_FRAMES }
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, "unsupported_media");
+});
+
+test("burst limit returns 429 with Retry-After", async () => {
+  queueClaudeResponses("video_pass", "video_pass");
+  const body = { frames: VIDEO_FRAMES, habitName: "Pushups", duration: 5 };
+
+  await post(functions.verifyVideo, body);
+  await post(functions.verifyVideo, body);
+  const res = await post(functions.verifyVideo, body);
+
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.code, "rate_limited");
+  assert.ok(Number(res.headers["retry-after"]) > 0);
+});
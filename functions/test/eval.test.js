@@ -0,0 +1,123 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  buildReport,
+  computeMetrics,
+  diffReports,
+  evaluateCorpus,
+  getPromptVersion,
+} = require("../eval/evaluate");
+const { registerMockVerdict } = require("../src/providers/mock");
+
+const result = (id, expected, predicted, tags = []) => ({
+  id, habitType: "bed", expected, predicted, tags, status: "ok"
+});
+
+test("computeMetrics reports precision, recall and adversarial false accepts", () => {
+  const metrics = computeMetrics([
+    result("a", true, true),
+    result("b", true, false),
+    result("c", false, false),
+    result("d", false, true, ["screenshot"]),
+    result("e", false, false, ["screenshot"]),
+    result("f", false, false, ["stock_photo"])
+  ]).bed;
+
+  assert.equal(metrics.precision, 0.5);
+  assert.equal(metrics.recall, 0.5);
+  assert.equal(metrics.adversarial.screenshot.falseAcceptRate, 0.5);
+  assert.equal(metrics.adversarial.stock_photo.falseAcceptRate, 0);
+});
+
+test("diffReports lists metric deltas and flipped verdicts", () => {
+  const baseline = buildReport([result("a", true, true), result("d", false, false, ["screenshot"])]);
+  const current = buildReport([result("a", true, true), result("d", false, true, ["screenshot"])]);
+
+  const [bed] = diffReports(baseline, current);
+
+  assert.equal(bed.promptChanged, false);
+  assert.equal(bed.precision, -0.5);
+  assert.equal(bed.falseAcceptRate.screenshot, 1);
+  assert.deepEqual(bed.flipped, [{ id: "d", from: false, to: true }]);
+});
+
+test("evaluateCorpus records through the provider, then replays from cache", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "eval-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const corpusDir = path.join(dir, "corpus");
+  const cacheDir = path.join(dir, "cache");
+  fs.mkdirSync(path.join(corpusDir, "images"), { recursive: true });
+  fs.writeFileSync(path.join(corpusDir, "images", "made.jpg"), "made-bed");
+  fs.writeFileSync(path.join(corpusDir, "manifest.json"), JSON.stringify({
+    cases: [{ id: "made", habitType: "bed", image: "images/made.jpg", expected: true }]
+  }));
+  registerMockVerdict(Buffer.from("made-bed").toString("base64"), {
+    is_made: true, detected_subject: "bed", feedback: "Looks great"
+  });
+
+  const previousProvider = process.env.VISION_PROVIDER;
+  process.env.VISION_PROVIDER = "mock";
+  t.after(() => {
+    if (previousProvider === undefined) delete process.env.VISION_PROVIDER;
+    else process.env.VISION_PROVIDER = previousProvider;
+  });
+
+  const replayBefore = await evaluateCorpus({ corpusDir, cacheDir });
+  assert.equal(replayBefore[0].status, "missing");
+
+  const recorded = await evaluateCorpus({ corpusDir, cacheDir, record: true });
+  assert.deepEqual(recorded[0], {
+    id: "made", habitType: "bed", expected: true, tags: [], predicted: true, status: "ok"
+  });
+
+  // Replay needs neither the provider nor the image
+  fs.rmSync(path.join(corpusDir, "images"), { recursive: true });
+  const replayed = await evaluateCorpus({ corpusDir, cacheDir });
+  assert.equal(replayed[0].predicted, true);
+
+  const cached = JSON.parse(fs.readFileSync(path.join(cacheDir, "bed", "made.json"), "utf8"));
+  assert.deepEqual(Object.keys(cached), [`${getPromptVersion("bed")}:claude-haiku-4-5`]);
+});
+
+test("evaluateCorpus reports a missing corpus image when recording", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "eval-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, "error", () => {});
+
+  fs.writeFileSync(path.join(dir, "manifest.json"), JSON.stringify({
+    cases: [{ id: "unmade", habitType: "bed", image: "images/unmade.jpg", expected: false }]
+  }));
+
+  const [recorded] = await evaluateCorpus({ corpusDir: dir, cacheDir: path.join(dir, "cache"), record: true });
+
+  assert.equal(recorded.status, "error");
+  assert.equal(recorded.error, "Corpus image not found: images/unmade.jpg");
+});
+
+test("written entry cases are kept inline and need no corpus files", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "eval-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, "log", () => {});
+  fs.writeFileSync(path.join(dir, "manifest.json"), JSON.stringify({
+    cases: [{ id: "thanks", habitType: "gratitude", text: "Grateful for a slow breakfast with my dad.", expected: true }]
+  }));
+
+  const previousProvider = process.env.VISION_PROVIDER;
+  process.env.VISION_PROVIDER = "mock";
+  t.after(() => {
+    if (previousProvider === undefined) delete process.env.VISION_PROVIDER;
+    else process.env.VISION_PROVIDER = previousProvider;
+  });
+
+  const cacheDir = path.join(dir, "cache");
+  const [recorded] = await evaluateCorpus({ corpusDir: dir, cacheDir, record: true });
+  assert.equal(recorded.status, "ok");
+
+  const [replayed] = await evaluateCorpus({ corpusDir: dir, cacheDir });
+  assert.equal(replayed.predicted, recorded.predicted);
+});
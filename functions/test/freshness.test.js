@@ -0,0 +1,142 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  authHeaders,
+  invoke,
+  queueClaudeResponses,
+  resetClaude,
+  resetFirestore,
+} = require("./helpers/harness");
+const { exifDateTime, horizontalGradient, makeJpeg, withExif } = require("./helpers/images");
+const { readExif } = require("../src/exif");
+const { checkFreshness, parseCaptureContext } = require("../src/freshness");
+const { getLocalParts, wallClockToEpochMs } = require("../src/timezone");
+const functions = require("../index");
+
+const PHOTO = makeJpeg(horizontalGradient);
+const NEW_YORK = parseCaptureContext({ timezone: "America/New_York" });
+
+// 2026-03-10 08:00 in New York (UTC-4 after the DST switch)
+const NOW = Date.parse("2026-03-10T12:00:00Z");
+
+const check = (habitType, tags, capture = NEW_YORK) => checkFreshness({
+  habitType,
+  media: { kind: "image", data: withExif(PHOTO, tags) },
+  capture
+}, NOW);
+
+beforeEach(() => {
+  resetClaude();
+  resetFirestore();
+});
+
+afterEach(() => {
+  delete process.env.FRESHNESS_POLICIES;
+});
+
+test("readExif reads camera, software and capture tags", () => {
+  const exif = readExif(withExif(PHOTO, {
+    make: "Apple",
+    model: "iPhone 15",
+    software: "17.4",
+    dateTimeOriginal: "2026:03:10 07:30:00",
+    offsetTimeOriginal: "-04:00"
+  }));
+
+  assert.deepEqual(exif, {
+    make: "Apple",
+    model: "iPhone 15",
+    software: "17.4",
+    dateTimeOriginal: "2026:03:10 07:30:00",
+    offsetTimeOriginal: "-04:00"
+  });
+  assert.equal(readExif(PHOTO), null);
+});
+
+test("local wall-clock times convert across DST", () => {
+  assert.equal(wallClockToEpochMs("America/New_York", Date.UTC(2026, 2, 10, 7, 30)), Date.parse("2026-03-10T11:30:00Z"));
+  assert.equal(wallClockToEpochMs("America/New_York", Date.UTC(2026, 2, 6, 7, 30)), Date.parse("2026-03-06T12:30:00Z"));
+  assert.deepEqual(getLocalParts("America/New_York", NOW).date, "2026-03-10");
+});
+
+test("a photo from this morning passes", () => {
+  assert.equal(check("bed", { dateTimeOriginal: "2026:03:10 07:30:00" }), null);
+});
+
+test("photos without EXIF pass unless the policy requires a capture time", () => {
+  assert.equal(checkFreshness({ habitType: "bed", media: { kind: "image", data: PHOTO }, capture: NEW_YORK }, NOW), null);
+
+  process.env.FRESHNESS_POLICIES = JSON.stringify({ bed: { requireCaptureTime: true } });
+  const failure = checkFreshness({ habitType: "bed", media: { kind: "image", data: PHOTO }, capture: NEW_YORK }, NOW);
+  assert.equal(failure.reason, "missing_capture_time");
+});
+
+test("old photos fail as stale_capture", () => {
+  const failure = check("bed", { dateTimeOriginal: "2026:03:09 07:30:00" });
+
+  assert.equal(failure.reason, "stale_capture");
+  assert.equal(failure.details.capturedAt, "2026-03-09T11:30:00.000Z");
+});
+
+test("the camera's recorded offset is used without a client timezone", () => {
+  const capture = parseCaptureContext({});
+
+  assert.equal(check("bed", { dateTimeOriginal: "2026:03:10 03:00:00", offsetTimeOriginal: "+00:00" }, capture).reason, "stale_capture");
+  assert.equal(check("bed", { dateTimeOriginal: "2026:03:10 03:00:00" }, capture), null);
+});
+
+test("photos outside the morning window fail", () => {
+  const capture = parseCaptureContext({
+    timezone: "America/New_York",
+    morningWindow: { startMinutes: 7 * 60 + 45, endMinutes: 9 * 60 }
+  });
+
+  const failure = check("bed", { dateTimeOriginal: "2026:03:10 07:30:00" }, capture);
+
+  assert.equal(failure.reason, "outside_morning_window");
+  assert.deepEqual(failure.details.morningWindow, { startMinutes: 465, endMinutes: 540 });
+});
+
+test("future timestamps and editing software fail", () => {
+  assert.equal(check("bed", { dateTimeOriginal: "2026:03:10 10:00:00" }).reason, "future_capture_time");
+
+  const edited = check("bed", { software: "Adobe Photoshop Lightroom", model: "iPhone 15", dateTimeOriginal: "2026:03:10 07:30:00" });
+  assert.equal(edited.reason, "edited_photo");
+  assert.equal(edited.details.camera, "iPhone 15");
+});
+
+test("policies differ per habit type", () => {
+  // Meal prep from last night is fine
+  assert.equal(check("mealPrep", { dateTimeOriginal: "2026:03:09 21:00:00" }), null);
+  assert.equal(check("bed", { dateTimeOriginal: "2026:03:09 21:00:00" }).reason, "stale_capture");
+});
+
+test("stale proofs are rejected with a structured reason before calling the model", async () => {
+  const requests = queueClaudeResponses("bed_pass");
+  const stale = withExif(PHOTO, {
+    dateTimeOriginal: exifDateTime(Date.now() - 24 * 60 * 60 * 1000),
+    offsetTimeOriginal: "+00:00"
+  });
+
+  const res = await invoke(functions.verifyBed, {
+    body: { imageBase64: stale, timezone: "Europe/London" },
+    headers: authHeaders()
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.passed, false);
+  assert.equal(res.body.is_made, false);
+  assert.equal(res.body.reason, "stale_capture");
+  assert.equal(requests.length, 0);
+});
+
+test("invalid capture context is a 400", async () => {
+  const res = await invoke(functions.verifyBed, {
+    body: { imageBase64: PHOTO, timezone: "Mars/Olympus_Mons" },
+    headers: authHeaders()
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, "Unknown timezone: Mars/Olympus_Mons");
+});
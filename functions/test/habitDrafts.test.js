@@ -0,0 +1,77 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  authHeaders,
+  invoke,
+  queueClaudeResponses,
+  resetClaude,
+  resetFirestore,
+} = require("./helpers/harness");
+const functions = require("../index");
+
+beforeEach(() => {
+  resetClaude();
+  resetFirestore();
+});
+
+const draft = (body) => invoke(functions.draftHabitCriteria, { body, headers: authHeaders() });
+
+test("a draft comes back with criteria, proof type, examples and an icon", async () => {
+  const requests = queueClaudeResponses("habit_draft_pushups");
+
+  const res = await draft({ habitName: "Morning \"pushups\"", description: "20 pushups\nbefore coffee" });
+
+  assert.equal(res.statusCode, 200);
+  assert.match(res.body.draft.criteria, /^Pass if the video shows/);
+  assert.equal(res.body.draft.proofType, "video");
+  assert.equal(res.body.draft.iconCategory, "fitness");
+  assert.equal(res.body.draft.icon, "dumbbell.fill");
+  assert.equal(res.body.draft.promptVersion, "habitDraft-v2");
+  assert.equal(res.body.draft.examples.bad.length, 2);
+
+  const content = requests[0].messages[0].content;
+  assert.equal(content.length, 1);
+  assert.match(content[0].text, /habit "Morning \\"pushups\\""/);
+  assert.match(content[0].text, /User's description: 20 pushups before coffee/);
+  assert.deepEqual(requests[0].tools[0].input_schema.required, [
+    "criteria", "proof_type", "allows_screenshots", "good_examples", "bad_examples", "icon_category"
+  ]);
+  // Custom habits can't be verified from a written entry
+  assert.deepEqual(requests[0].tools[0].input_schema.properties.proof_type.enum, ["photo", "video"]);
+  assert.doesNotMatch(content[0].text, /"text"/);
+});
+
+test("only photo drafts allow screenshots and examples are capped", async () => {
+  queueClaudeResponses("habit_draft_pushups");
+
+  const res = await draft({ habitName: "Pushups" });
+
+  assert.equal(res.body.draft.allowsScreenshots, false);
+  assert.equal(res.body.draft.examples.good.length, 3);
+});
+
+test("names and descriptions are validated like custom habits", async () => {
+  const cases = [
+    {},
+    { habitName: "   " },
+    { habitName: "x".repeat(101) },
+    { habitName: "Read", description: "x".repeat(2001) },
+    { habitName: "Read", description: 42 }
+  ];
+
+  for (const body of cases) {
+    const res = await draft(body);
+    assert.equal(res.statusCode, 400, JSON.stringify(body).slice(0, 60));
+    assert.equal(res.body.code, "invalid_request");
+  }
+});
+
+test("upstream failures surface their client error", async () => {
+  queueClaudeResponses("rate_limited", "rate_limited", "rate_limited");
+
+  const res = await draft({ habitName: "Pushups" });
+
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.code, "rate_limited");
+});
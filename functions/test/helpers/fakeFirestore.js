@@ -0,0 +1,234 @@
+// In-memory stand-in for the slice of the Firestore Admin API the functions use.
+// Documents are stored by full path; transactions run against the same store.
+
+const crypto = require("crypto");
+
+const clone = (data) => (data === undefined ? undefined : JSON.parse(JSON.stringify(data)));
+
+class FakeSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return clone(this._data);
+  }
+}
+
+class FakeDocumentReference {
+  constructor(db, path) {
+    this.db = db;
+    this.path = path;
+    this.id = path.split("/").pop();
+  }
+
+  collection(name) {
+    return new FakeCollectionReference(this.db, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return new FakeSnapshot(this, this.db.store.get(this.path));
+  }
+
+  async set(data, options = {}) {
+    const existing = options.merge ? this.db.store.get(this.path) || {} : {};
+    this.db.store.set(this.path, { ...existing, ...clone(data) });
+  }
+
+  async update(data) {
+    if (!this.db.store.has(this.path)) {
+      throw new Error(`No document to update: ${this.path}`);
+    }
+    this.db.store.set(this.path, { ...this.db.store.get(this.path), ...clone(data) });
+  }
+
+  async delete() {
+    this.db.store.delete(this.path);
+  }
+}
+
+const COMPARATORS = {
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "in": (a, b) => b.includes(a),
+  "array-contains": (a, b) => Array.isArray(a) && a.includes(b)
+};
+
+class FakeQuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+// Immutable query over the direct children of a collection path:
+// where / orderBy / limit / get
+class FakeQuery {
+  constructor(db, path, { filters = [], orders = [], limitCount = null } = {}) {
+    this.db = db;
+    this.path = path;
+    this._filters = filters;
+    this._orders = orders;
+    this._limit = limitCount;
+  }
+
+  _with(changes) {
+    return new FakeQuery(this.db, this.path, {
+      filters: this._filters,
+      orders: this._orders,
+      limitCount: this._limit,
+      ...changes
+    });
+  }
+
+  where(field, op, value) {
+    if (!COMPARATORS[op]) {
+      throw new Error(`Unsupported query operator in fake Firestore: ${op}`);
+    }
+    return this._with({ filters: [...this._filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = "asc") {
+    return this._with({ orders: [...this._orders, { field, direction }] });
+  }
+
+  limit(count) {
+    return this._with({ limitCount: count });
+  }
+
+  async get() {
+    const prefix = `${this.path}/`;
+    let docs = [...this.db.store.entries()]
+      .filter(([path]) => path.startsWith(prefix) && !path.slice(prefix.length).includes("/"))
+      .map(([path, data]) => new FakeSnapshot(new FakeDocumentReference(this.db, path), data));
+
+    docs = docs.filter((doc) => this._filters.every(({ field, op, value }) => {
+      const fieldValue = doc._data[field];
+      return fieldValue !== undefined && COMPARATORS[op](fieldValue, value);
+    }));
+
+    this._orders.slice().reverse().forEach(({ field, direction }) => {
+      const sign = direction === "desc" ? -1 : 1;
+      docs.sort((a, b) => {
+        const left = a._data[field];
+        const right = b._data[field];
+        if (left === right) return 0;
+        return left < right ? -sign : sign;
+      });
+    });
+
+    if (this._limit !== null) {
+      docs = docs.slice(0, this._limit);
+    }
+    return new FakeQuerySnapshot(docs);
+  }
+}
+
+class FakeCollectionReference extends FakeQuery {
+  constructor(db, path) {
+    super(db, path);
+    this.id = path.split("/").pop();
+  }
+
+  doc(id = crypto.randomUUID()) {
+    return new FakeDocumentReference(this.db, `${this.path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class FakeTransaction {
+  get(ref) {
+    return ref.get();
+  }
+
+  set(ref, data, options) {
+    ref.set(data, options);
+    return this;
+  }
+
+  update(ref, data) {
+    ref.update(data);
+    return this;
+  }
+
+  delete(ref) {
+    ref.delete();
+    return this;
+  }
+}
+
+// Writes are buffered until commit
+class FakeWriteBatch {
+  constructor() {
+    this.operations = [];
+  }
+
+  set(ref, data, options) {
+    this.operations.push(() => ref.set(data, options));
+    return this;
+  }
+
+  update(ref, data) {
+    this.operations.push(() => ref.update(data));
+    return this;
+  }
+
+  delete(ref) {
+    this.operations.push(() => ref.delete());
+    return this;
+  }
+
+  async commit() {
+    for (const operation of this.operations) {
+      await operation();
+    }
+  }
+}
+
+class FakeFirestore {
+  constructor() {
+    this.store = new Map();
+  }
+
+  collection(name) {
+    return new FakeCollectionReference(this, name);
+  }
+
+  doc(path) {
+    return new FakeDocumentReference(this, path);
+  }
+
+  batch() {
+    return new FakeWriteBatch();
+  }
+
+  async runTransaction(updateFunction) {
+    return updateFunction(new FakeTransaction());
+  }
+
+  // Test helper: raw document data by path
+  getData(path) {
+    return clone(this.store.get(path));
+  }
+}
+
+module.exports = {
+  FakeFirestore,
+};
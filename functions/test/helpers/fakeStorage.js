@@ -0,0 +1,70 @@
+// In-memory stand-in for the slice of the Cloud Storage Admin API the functions use.
+// Objects are stored by path in the default bucket.
+
+// Matches @google-cloud/storage's ApiError for a missing object
+const notFound = (path) => Object.assign(new Error(`No such object: ${path}`), { code: 404 });
+
+class FakeFile {
+  constructor(bucket, name) {
+    this.bucket = bucket;
+    this.name = name;
+  }
+
+  async save(data, options = {}) {
+    this.bucket.objects.set(this.name, {
+      data: Buffer.from(data),
+      contentType: options.contentType || null,
+      metadata: options.metadata?.metadata || {}
+    });
+  }
+
+  async download() {
+    const object = this.bucket.objects.get(this.name);
+    if (!object) throw notFound(this.name);
+    return [Buffer.from(object.data)];
+  }
+
+  async exists() {
+    return [this.bucket.objects.has(this.name)];
+  }
+
+  async delete({ ignoreNotFound = false } = {}) {
+    if (!this.bucket.objects.delete(this.name) && !ignoreNotFound) {
+      throw notFound(this.name);
+    }
+  }
+}
+
+class FakeBucket {
+  constructor() {
+    this.name = "demo-morningproof.appspot.com";
+    this.objects = new Map();
+  }
+
+  file(name) {
+    return new FakeFile(this, name);
+  }
+
+  async deleteFiles({ prefix = "" } = {}) {
+    [...this.objects.keys()].filter((path) => path.startsWith(prefix)).forEach((path) => this.objects.delete(path));
+  }
+
+  // Stored paths, for assertions
+  listPaths(prefix = "") {
+    return [...this.objects.keys()].filter((path) => path.startsWith(prefix)).sort();
+  }
+}
+
+class FakeStorage {
+  constructor() {
+    this.defaultBucket = new FakeBucket();
+  }
+
+  bucket() {
+    return this.defaultBucket;
+  }
+}
+
+module.exports = {
+  FakeStorage,
+};
@@ -0,0 +1,197 @@
+// Shared setup for endpoint tests: environment, Admin SDK stubs, a fetch stub
+// that replays recorded Claude responses, and mock req/res objects.
+// Nothing here touches the network.
+
+const fs = require("fs");
+const path = require("path");
+
+process.env.GCLOUD_PROJECT = process.env.GCLOUD_PROJECT || "demo-morningproof";
+process.env.CLAUDE_API_KEY = "test-api-key";
+process.env.RECEIPT_SIGNING_KEY = "test-receipt-key";
+
+const admin = require("firebase-admin");
+const { FakeFirestore } = require("./fakeFirestore");
+const { FakeStorage } = require("./fakeStorage");
+
+const FIXTURES_DIR = path.join(__dirname, "..", "fixtures", "claude");
+
+// Base64 stand-in for a photo; the functions never decode it
+const TEST_IMAGE = Buffer.from("test-image").toString("base64");
+
+let db = new FakeFirestore();
+let storage = new FakeStorage();
+
+// ID tokens: "valid:<uid>" and "premium:<uid>" verify, anything else is rejected
+const fakeAuth = {
+  async verifyIdToken(token) {
+    const [kind, uid] = token.split(":");
+    if (kind === "valid" && uid) return { uid };
+    if (kind === "premium" && uid) return { uid, premium: true };
+    const error = new Error("Decoding Firebase ID token failed");
+    error.code = "auth/argument-error";
+    throw error;
+  }
+};
+
+// App Check tokens: "app-check-ok" verifies
+const fakeAppCheck = {
+  async verifyToken(token) {
+    if (token === "app-check-ok") return { appId: "1:test:ios:morningproof" };
+    throw new Error("Invalid App Check token");
+  }
+};
+
+// FCM: records every multicast; tokens starting "stale-" fail as unregistered devices
+const sentMessages = [];
+const fakeMessaging = {
+  async sendEachForMulticast(message) {
+    sentMessages.push(message);
+    const responses = message.tokens.map((token) => (token.startsWith("stale-")
+      ? { success: false, error: { code: "messaging/registration-token-not-registered" } }
+      : { success: true, messageId: `message-${sentMessages.length}` }));
+    return {
+      responses,
+      successCount: responses.filter((response) => response.success).length,
+      failureCount: responses.filter((response) => !response.success).length
+    };
+  }
+};
+
+const getSentMessages = () => sentMessages;
+
+const resetMessaging = () => {
+  sentMessages.length = 0;
+};
+
+// Replace Admin SDK service getters (they live on the namespace prototype)
+const stubAdminService = (name, factory) => {
+  Object.defineProperty(admin, name, { value: factory, configurable: true, writable: true });
+};
+
+stubAdminService("firestore", () => db);
+stubAdminService("auth", () => fakeAuth);
+stubAdminService("appCheck", () => fakeAppCheck);
+stubAdminService("messaging", () => fakeMessaging);
+stubAdminService("storage", () => storage);
+
+// Fresh Firestore for each test
+const resetFirestore = () => {
+  db = new FakeFirestore();
+  return db;
+};
+
+const getFirestore = () => db;
+
+// Fresh Cloud Storage for each test
+const resetStorage = () => {
+  storage = new FakeStorage();
+  return storage;
+};
+
+const getBucket = () => storage.bucket();
+
+const loadFixture = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), "utf8"));
+
+// Queue recorded Claude responses; each fetch call consumes one.
+// Returns the list of request bodies sent, for assertions.
+const queuedResponses = [];
+const sentRequests = [];
+
+const queueClaudeResponses = (...fixtureNames) => {
+  fixtureNames.forEach((name) => queuedResponses.push(loadFixture(name)));
+  return sentRequests;
+};
+
+const resetClaude = () => {
+  queuedResponses.length = 0;
+  sentRequests.length = 0;
+};
+
+global.fetch = async (url, options) => {
+  if (!url.startsWith("https://api.anthropic.com/")) {
+    throw new Error(`Unexpected fetch in tests: ${url}`);
+  }
+
+  const fixture = queuedResponses.shift();
+  if (!fixture) {
+    throw new Error("No recorded Claude response queued for this request");
+  }
+  sentRequests.push(JSON.parse(options.body));
+
+  const headers = fixture.headers || {};
+  return {
+    ok: fixture.status >= 200 && fixture.status < 300,
+    status: fixture.status,
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+    json: async () => fixture.body,
+    text: async () => JSON.stringify(fixture.body)
+  };
+};
+
+// Minimal Express-like request
+const createRequest = ({ method = "POST", body = {}, headers = {}, ip = "203.0.113.7" } = {}) => {
+  const lowerHeaders = Object.fromEntries(
+    Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value])
+  );
+  return {
+    method,
+    body,
+    ip,
+    headers: lowerHeaders,
+    get(name) {
+      return lowerHeaders[name.toLowerCase()];
+    }
+  };
+};
+
+// Minimal Express-like response that records what the handler sent
+const createResponse = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    set(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+};
+
+// Invoke an exported HTTPS function and return the recorded response
+const invoke = async (handler, request) => {
+  const res = createResponse();
+  await handler(createRequest(request), res);
+  return res;
+};
+
+// Headers for a signed-in caller
+const authHeaders = (uid = "user-1", kind = "valid") => ({
+  Authorization: `Bearer ${kind}:${uid}`
+});
+
+module.exports = {
+  TEST_IMAGE,
+  authHeaders,
+  getBucket,
+  getFirestore,
+  getSentMessages,
+  invoke,
+  queueClaudeResponses,
+  resetClaude,
+  resetFirestore,
+  resetMessaging,
+  resetStorage,
+};
@@ -0,0 +1,109 @@
+// Synthetic JPEGs for tests that decode images (hashing, frame checks)
+
+const jpeg = require("jpeg-js");
+
+// Encode a width x height JPEG whose pixel (x, y) has gray level shade(x, y) (0-255).
+// Returns base64, like the app sends.
+const makeJpeg = (shade, { width = 64, height = 64, quality = 90 } = {}) => {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = Math.max(0, Math.min(255, Math.round(shade(x, y))));
+      const i = (y * width + x) * 4;
+      data[i] = value;
+      data[i + 1] = value;
+      data[i + 2] = value;
+      data[i + 3] = 255;
+    }
+  }
+  return jpeg.encode({ width, height, data }, quality).data.toString("base64");
+};
+
+const TYPE_ASCII = 2;
+const TYPE_LONG = 4;
+
+// One big-endian TIFF IFD at ifdOffset: entry table, next-IFD pointer, then out-of-line values
+const buildIfd = (entries, ifdOffset) => {
+  const table = Buffer.alloc(2 + entries.length * 12 + 4);
+  const values = [];
+  let valueOffset = ifdOffset + table.length;
+
+  table.writeUInt16BE(entries.length, 0);
+  entries.forEach(({ tag, type, value }, index) => {
+    const at = 2 + index * 12;
+    table.writeUInt16BE(tag, at);
+    table.writeUInt16BE(type, at + 2);
+
+    if (type === TYPE_LONG) {
+      table.writeUInt32BE(1, at + 4);
+      table.writeUInt32BE(value, at + 8);
+      return;
+    }
+
+    const bytes = Buffer.from(`${value}\0`, "latin1");
+    table.writeUInt32BE(bytes.length, at + 4);
+    if (bytes.length <= 4) {
+      bytes.copy(table, at + 8);
+    } else {
+      table.writeUInt32BE(valueOffset, at + 8);
+      values.push(bytes);
+      valueOffset += bytes.length;
+    }
+  });
+
+  return Buffer.concat([table, ...values]);
+};
+
+// Insert an APP1 Exif segment into a base64 JPEG.
+// tags: { make, model, software, dateTimeOriginal ("YYYY:MM:DD HH:MM:SS"), offsetTimeOriginal ("+HH:MM") }
+const withExif = (imageBase64, tags) => {
+  const ascii = (tag, value) => (value === undefined ? [] : [{ tag, type: TYPE_ASCII, value }]);
+  const exifEntries = [
+    ...ascii(0x9003, tags.dateTimeOriginal),
+    ...ascii(0x9011, tags.offsetTimeOriginal)
+  ];
+  const ifd0Entries = (exifIfdOffset) => [
+    ...ascii(0x010f, tags.make),
+    ...ascii(0x0110, tags.model),
+    ...ascii(0x0131, tags.software),
+    ...(exifEntries.length ? [{ tag: 0x8769, type: TYPE_LONG, value: exifIfdOffset }] : [])
+  ];
+
+  // IFD0 size doesn't depend on the pointer value, so build it twice
+  const exifIfdOffset = 8 + buildIfd(ifd0Entries(0), 8).length;
+  const tiffHeader = Buffer.from([0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08]);
+  const tiff = Buffer.concat([
+    tiffHeader,
+    buildIfd(ifd0Entries(exifIfdOffset), 8),
+    ...(exifEntries.length ? [buildIfd(exifEntries, exifIfdOffset)] : [])
+  ]);
+
+  const payload = Buffer.concat([Buffer.from("Exif\0\0", "latin1"), tiff]);
+  const segmentHeader = Buffer.from([0xff, 0xe1, 0x00, 0x00]);
+  segmentHeader.writeUInt16BE(payload.length + 2, 2);
+
+  const jpegBytes = Buffer.from(imageBase64, "base64");
+  return Buffer.concat([jpegBytes.subarray(0, 2), segmentHeader, payload, jpegBytes.subarray(2)]).toString("base64");
+};
+
+// EXIF date string for an instant, as UTC wall clock (pair with offsetTimeOriginal "+00:00")
+const exifDateTime = (epochMs) => new Date(epochMs).toISOString().slice(0, 19).replace(/-/g, ":").replace("T", " ");
+
+// Two visually distinct scenes
+const horizontalGradient = (x) => x * 4;
+const checkerboard = (x, y) => ((Math.floor(x / 8) + Math.floor(y / 8)) % 2 ? 230 : 20);
+
+// count 64x64 video frames of a bright square sliding left to right
+const movingSquareFrames = (count) => Array.from({ length: count }, (_, index) => {
+  const left = Math.round((index * 48) / Math.max(1, count - 1));
+  return makeJpeg((x, y) => (x >= left && x < left + 16 && y >= 24 && y < 40 ? 230 : 30));
+});
+
+module.exports = {
+  checkerboard,
+  exifDateTime,
+  horizontalGradient,
+  makeJpeg,
+  movingSquareFrames,
+  withExif,
+};
@@ -0,0 +1,109 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  authHeaders,
+  getBucket,
+  getFirestore,
+  invoke,
+  queueClaudeResponses,
+  resetClaude,
+  resetFirestore,
+  resetStorage,
+} = require("./helpers/harness");
+const { checkerboard, horizontalGradient, makeJpeg } = require("./helpers/images");
+const { decodeJpeg } = require("../src/imageHash");
+const { HISTORY_THUMBNAIL_SIZE } = require("../src/history");
+const functions = require("../index");
+
+beforeEach(() => {
+  resetClaude();
+  resetFirestore();
+  resetStorage();
+});
+
+const history = (body, uid = "user-1") => invoke(functions.verificationHistory, { body, headers: authHeaders(uid) });
+
+const verifyBed = (imageBase64, uid = "user-1") => invoke(functions.verifyBed, {
+  body: { imageBase64 },
+  headers: authHeaders(uid)
+});
+
+test("nothing is stored until the user opts in", async () => {
+  queueClaudeResponses("bed_pass");
+
+  const settings = await history({ action: "settings" });
+  await verifyBed(makeJpeg(horizontalGradient));
+
+  assert.deepEqual(settings.body, { settings: { enabled: false } });
+  assert.deepEqual((await history({ action: "list" })).body.records, []);
+  assert.deepEqual(getBucket().listPaths(), []);
+});
+
+test("opted-in verifications are listed newest first with thumbnails", async () => {
+  queueClaudeResponses("bed_pass", "bed_fail");
+  await history({ action: "settings", enabled: true });
+
+  await verifyBed(makeJpeg(horizontalGradient, { width: 640, height: 480 }));
+  await verifyBed(makeJpeg(checkerboard));
+
+  const { records } = (await history({ action: "list" })).body;
+  assert.equal(records.length, 2);
+  assert.deepEqual(records.map((record) => record.passed), [false, true]);
+  assert.equal(records[1].habitType, "bed");
+  assert.equal(records[1].promptVersion, "bed-v1");
+  assert.equal(records[1].mediaKind, "image");
+  assert.equal(records[1].thumbnailPath, undefined);
+
+  const thumbnail = decodeJpeg(records[1].thumbnail);
+  assert.equal(thumbnail.width, HISTORY_THUMBNAIL_SIZE);
+  assert.equal(thumbnail.height, 240);
+  assert.equal(getBucket().listPaths("verificationHistory/user-1/").length, 2);
+
+  const older = (await history({ action: "list", before: records[0].createdAt, limit: 1 })).body.records;
+  assert.ok(older.every((record) => record.createdAt < records[0].createdAt));
+});
+
+test("records can be fetched and deleted only by their owner", async () => {
+  queueClaudeResponses("bed_pass");
+  await history({ action: "settings", enabled: true });
+  await verifyBed(makeJpeg(horizontalGradient));
+  const [record] = (await history({ action: "list" })).body.records;
+
+  const fetched = await history({ action: "get", recordId: record.id });
+  assert.equal(fetched.body.record.feedback, record.feedback);
+
+  const stranger = await history({ action: "delete", recordId: record.id }, "user-2");
+  assert.equal(stranger.statusCode, 404);
+  assert.equal(stranger.body.code, "record_not_found");
+
+  const deleted = await history({ action: "delete", recordId: record.id });
+  assert.deepEqual(deleted.body, { deleted: true });
+  assert.deepEqual(getBucket().listPaths(), []);
+  assert.equal((await history({ action: "get", recordId: record.id })).statusCode, 404);
+});
+
+test("clearing removes every record and thumbnail", async () => {
+  queueClaudeResponses("bed_pass", "bed_pass");
+  await history({ action: "settings", enabled: true });
+  await verifyBed(makeJpeg(horizontalGradient));
+  await verifyBed(makeJpeg(checkerboard));
+
+  const res = await history({ action: "clear" });
+
+  assert.deepEqual(res.body, { deleted: 2 });
+  assert.deepEqual((await history({ action: "list" })).body.records, []);
+  assert.deepEqual(getBucket().listPaths(), []);
+  assert.equal(getFirestore().getData("verificationHistory/user-1").enabled, true);
+});
+
+test("history requires a signed-in caller and valid settings", async () => {
+  const anonymous = await invoke(functions.verificationHistory, { body: { action: "list" } });
+  assert.equal(anonymous.statusCode, 401);
+
+  const invalid = await history({ action: "settings", enabled: "yes" });
+  assert.equal(invalid.statusCode, 400);
+
+  const unknown = await history({ action: "export" });
+  assert.equal(unknown.statusCode, 400);
+});
@@ -0,0 +1,37 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const mockProvider = require("../src/providers/mock");
+const { getHabitDefinition } = require("../src/habits");
+const { TEST_IMAGE } = require("./helpers/harness");
+
+const { resultSchema } = getHabitDefinition("gratitude");
+
+afterEach(() => {
+  mockProvider.clearMockVerdicts();
+});
+
+const verifyPrompt = (prompt, images = []) => mockProvider.verify({ habitType: "gratitude", images, prompt, schema: resultSchema });
+
+test("requests without images get verdicts keyed on their prompt", async () => {
+  const prompts = Array.from({ length: 8 }, (_, index) => `Entry ${index}: grateful for coffee`);
+  const verdicts = await Promise.all(prompts.map((prompt) => verifyPrompt(prompt)));
+
+  assert.deepEqual(new Set(verdicts.map((verdict) => verdict.is_verified)), new Set([true, false]));
+  assert.deepEqual(await verifyPrompt(prompts[0]), verdicts[0]);
+});
+
+test("canned verdicts can be registered for a prompt or for images", async () => {
+  mockProvider.registerMockPromptVerdict("Entry: grateful for coffee", { error: "rate_limited" });
+  mockProvider.registerMockVerdict(TEST_IMAGE, { is_verified: true, on_topic: true, genuine: true, feedback: "Nice" });
+
+  await assert.rejects(verifyPrompt("Entry: grateful for coffee"), { code: "rate_limited" });
+  // Photo requests stay keyed on their images, whatever the prompt
+  const verdict = await verifyPrompt("Entry: grateful for coffee", [{ data: TEST_IMAGE }]);
+  assert.equal(verdict.feedback, "Nice");
+});
+
+test("error entries must use a client error code", () => {
+  assert.throws(() => mockProvider.registerMockPromptVerdict("Entry", { error: "quota_exceeded" }), /unknown error code/);
+  assert.throws(() => mockProvider.registerMockVerdict(TEST_IMAGE, { error: "server_error" }), /unknown error code/);
+});
@@ -0,0 +1,104 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  TEST_IMAGE,
+  authHeaders,
+  invoke,
+  queueClaudeResponses,
+  resetClaude,
+  resetFirestore,
+} = require("./helpers/harness");
+const { checkerboard, makeJpeg, movingSquareFrames } = require("./helpers/images");
+const { MAX_MODEL_FRAMES, analyzeFrames } = require("../src/motion");
+const functions = require("../index");
+
+beforeEach(() => {
+  resetClaude();
+  resetFirestore();
+});
+
+const verifyVideo = (frames) => invoke(functions.verifyVideo, {
+  body: { frames, habitName: "Pushups", duration: 10 },
+  headers: authHeaders()
+});
+
+// The same still, re-encoded at different qualities like a looped photo would be
+const loopedStill = [90, 80, 85, 75].map((quality) => makeJpeg(checkerboard, { quality }));
+
+test("moving frames score full motion and are all kept", () => {
+  const motion = analyzeFrames(movingSquareFrames(4));
+
+  assert.equal(motion.motionScore, 1);
+  assert.equal(motion.staticPairs, 0);
+  assert.deepEqual(motion.selectedFrames, [0, 1, 2, 3]);
+});
+
+test("a looped still scores zero and its repeats are dropped", () => {
+  const motion = analyzeFrames(loopedStill);
+
+  assert.equal(motion.motionScore, 0);
+  assert.deepEqual(motion.duplicateFrames, [1, 2, 3]);
+  assert.deepEqual(motion.selectedFrames, [0]);
+});
+
+test("long videos send a capped subset including the first and last frame", () => {
+  const frames = movingSquareFrames(12);
+  // Hold still in the middle: frames 4-7 repeat frame 3
+  frames.splice(4, 4, frames[3], frames[3], frames[3], frames[3]);
+
+  const motion = analyzeFrames(frames);
+
+  assert.equal(motion.motionScore, 0.636);
+  assert.deepEqual(motion.duplicateFrames, [4, 5, 6, 7]);
+  assert.equal(motion.selectedFrames.length, MAX_MODEL_FRAMES);
+  assert.equal(motion.selectedFrames[0], 0);
+  assert.equal(motion.selectedFrames.at(-1), 11);
+});
+
+test("a video without motion fails without calling the model", async () => {
+  const requests = queueClaudeResponses("video_pass");
+
+  const res = await verifyVideo(loopedStill);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.passed, false);
+  assert.equal(res.body.reason, "no_motion");
+  assert.equal(res.body.motion_score, 0);
+  assert.equal(res.body.is_verified, false);
+  assert.equal(requests.length, 0);
+});
+
+test("only the selected frames reach the model", async () => {
+  const requests = queueClaudeResponses("video_pass");
+  const frames = movingSquareFrames(3);
+
+  const res = await verifyVideo([frames[0], frames[0], frames[1], frames[2]]);
+
+  assert.equal(res.body.motion_score, 0.667);
+  const images = requests[0].messages[0].content.filter((block) => block.type === "image");
+  assert.equal(images.length, 3);
+  assert.match(requests[0].messages[0].content.at(-1).text, /seeing 3 frames/);
+});
+
+test("unreadable frames and single frames are rejected", async () => {
+  const unreadable = await verifyVideo([...movingSquareFrames(2), TEST_IMAGE]);
+  assert.equal(unreadable.statusCode, 400);
+  assert.equal(unreadable.body.code, "invalid_frame");
+  assert.equal(unreadable.body.error, "Invalid video: frame 3 is not a readable JPEG");
+
+  const single = await verifyVideo(movingSquareFrames(1));
+  assert.equal(single.statusCode, 400);
+});
+
+test("rate-limited videos are rejected before their frames are decoded", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const unreadable = [...movingSquareFrames(2), TEST_IMAGE];
+
+  // customVideo allows two requests a minute; each is still decoded and rejected
+  assert.equal((await verifyVideo(unreadable)).body.code, "invalid_frame");
+  assert.equal((await verifyVideo(unreadable)).body.code, "invalid_frame");
+
+  const limited = await verifyVideo(unreadable);
+  assert.equal(limited.statusCode, 429);
+});
@@ -0,0 +1,250 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  authHeaders,
+  getFirestore,
+  getSentMessages,
+  invoke,
+  resetFirestore,
+  resetMessaging,
+} = require("./helpers/harness");
+const admin = require("firebase-admin");
+const {
+  getDueNotifications,
+  getNextCheckAt,
+  isInQuietHours,
+  sendScheduledNotifications,
+} = require("../src/notifications");
+const functions = require("../index");
+
+// 2026-10-19 in UTC; default deadline 9:00, reminder 8:00
+const at = (time) => Date.parse(`2026-10-19T${time}:00Z`);
+
+beforeEach(() => {
+  resetFirestore();
+  resetMessaging();
+});
+
+const settings = (uid, body) => invoke(functions.notificationSettings, { body, headers: authHeaders(uid) });
+
+const register = async (uid, fcmToken = `token-${uid}`) => {
+  await settings(uid, { action: "update", timezone: "UTC" });
+  return settings(uid, { action: "registerToken", fcmToken });
+};
+
+const seedStreak = (uid, data) => getFirestore().doc(`streaks/${uid}`).set({
+  currentStreak: 3,
+  longestStreak: 3,
+  totalCompletions: 3,
+  lastCompletionDate: "2026-10-18",
+  timezone: "UTC",
+  ...data
+});
+
+const seedCompletion = (uid, date = "2026-10-19") => getFirestore().doc(`streaks/${uid}/days/${date}`).set({
+  date,
+  completions: { makeBed: { completedAt: at("07:00"), promptVersion: null } }
+});
+
+const sentTypes = () => getSentMessages().map((message) => message.data.type);
+
+test("quiet hours can wrap midnight", () => {
+  const overnight = { startMinutes: 22 * 60, endMinutes: 6 * 60 };
+
+  assert.equal(isInQuietHours(overnight, 23 * 60), true);
+  assert.equal(isInQuietHours(overnight, 5 * 60), true);
+  assert.equal(isInQuietHours(overnight, 6 * 60), false);
+  assert.equal(isInQuietHours({ startMinutes: 60, endMinutes: 120 }, 90), true);
+  assert.equal(isInQuietHours(null, 90), false);
+});
+
+test("pushes are due between their send time and the deadline, once a day", () => {
+  const base = {
+    deadlineMinutes: 540,
+    reminderMinutes: 480,
+    quietHours: null,
+    enabled: { reminder: true, streakAtRisk: true, partnerNudge: true },
+    lastSent: {}
+  };
+  const context = { minutes: 530, today: "2026-10-19", completedToday: false, streak: 2, partner: { finished: true } };
+
+  assert.deepEqual(getDueNotifications(base, context), ["reminder", "streakAtRisk", "partnerNudge"]);
+  assert.deepEqual(getDueNotifications(base, { ...context, minutes: 470 }), []);
+  assert.deepEqual(getDueNotifications(base, { ...context, minutes: 540 }), []);
+  assert.deepEqual(getDueNotifications(base, { ...context, completedToday: true }), []);
+  assert.deepEqual(getDueNotifications(base, { ...context, streak: 0, partner: null }), ["reminder"]);
+  assert.deepEqual(
+    getDueNotifications({ ...base, lastSent: { reminder: "2026-10-19" }, enabled: { ...base.enabled, partnerNudge: false } }, context),
+    ["streakAtRisk"]
+  );
+});
+
+test("users are next checked at their earliest unsent push, or tomorrow once today is done", () => {
+  const base = {
+    timezone: "America/New_York",
+    deadlineMinutes: 540,
+    reminderMinutes: 480,
+    enabled: { reminder: true, streakAtRisk: true, partnerNudge: true },
+    lastSent: {}
+  };
+  const context = { minutes: 7 * 60, today: "2026-10-19", completedToday: false };
+  const newYork = (date, time) => Date.parse(`${date}T${time}:00-04:00`);
+  const now = newYork("2026-10-19", "07:00");
+
+  assert.equal(getNextCheckAt(base, context, now), newYork("2026-10-19", "08:00"));
+  assert.equal(getNextCheckAt(base, { ...context, minutes: 8 * 60 + 10 }, now + 70 * 60000), now + 70 * 60000);
+  assert.equal(
+    getNextCheckAt({ ...base, lastSent: { reminder: "2026-10-19" } }, { ...context, minutes: 8 * 60 + 10 }, now),
+    newYork("2026-10-19", "08:30")
+  );
+  assert.equal(getNextCheckAt(base, { ...context, completedToday: true }, now), newYork("2026-10-20", "08:00"));
+  assert.equal(getNextCheckAt(base, { ...context, minutes: 540 }, now), newYork("2026-10-20", "08:00"));
+  assert.equal(getNextCheckAt({ ...base, enabled: { reminder: false, streakAtRisk: false, partnerNudge: false } }, context, now), null);
+});
+
+test("pushes that can't go out today and quiet hours push the next check back", () => {
+  const base = {
+    timezone: "UTC",
+    deadlineMinutes: 540,
+    reminderMinutes: 480,
+    quietHours: null,
+    enabled: { reminder: true, streakAtRisk: true, partnerNudge: true },
+    lastSent: { reminder: "2026-10-19" }
+  };
+  const context = { minutes: 8 * 60 + 10, today: "2026-10-19", completedToday: false };
+  const now = at("08:10");
+
+  // No streak to lose and no partner: nothing more today
+  assert.equal(getNextCheckAt(base, { ...context, streak: 0, partner: null }, now), Date.parse("2026-10-20T08:00:00Z"));
+  assert.equal(getNextCheckAt(base, { ...context, streak: 2, partner: null }, now), at("08:45"));
+  assert.equal(getNextCheckAt(base, { ...context, streak: 0, partner: { finished: false } }, now), at("08:30"));
+
+  const quiet = { ...base, lastSent: {}, quietHours: { startMinutes: 22 * 60, endMinutes: 8 * 60 + 40 } };
+  assert.equal(getNextCheckAt(quiet, context, now), at("08:40"));
+  assert.equal(getNextCheckAt(quiet, { ...context, minutes: 23 * 60 }, at("23:00")), Date.parse("2026-10-20T08:40:00Z"));
+});
+
+test("settings are validated and tokens stay server-side", async () => {
+  const res = await register("alice");
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.settings.registeredDevices, 1);
+  assert.equal(res.body.settings.deadlineMinutes, 540);
+  assert.equal(res.body.settings.fcmTokens, undefined);
+  assert.equal(getFirestore().getData("notificationSettings/alice").active, true);
+
+  const invalid = await settings("alice", { action: "update", quietHours: { startMinutes: 1440, endMinutes: 0 } });
+  assert.equal(invalid.statusCode, 400);
+  assert.equal((await settings("alice", { action: "update", timezone: "Mars/Base" })).statusCode, 400);
+
+  await settings("alice", { action: "unregisterToken", fcmToken: "token-alice" });
+  assert.equal(getFirestore().getData("notificationSettings/alice").active, false);
+  assert.equal(getFirestore().getData("notificationSettings/alice").nextCheckAt, null);
+});
+
+test("the reminder goes out once before the deadline", async () => {
+  await register("alice");
+
+  await sendScheduledNotifications(at("07:45"));
+  assert.deepEqual(sentTypes(), []);
+
+  await sendScheduledNotifications(at("08:00"));
+  await sendScheduledNotifications(at("08:15"));
+  assert.deepEqual(sentTypes(), ["reminder"]);
+  assert.deepEqual(getSentMessages()[0].tokens, ["token-alice"]);
+  assert.match(getSentMessages()[0].notification.body, /^60 minutes until your 9:00 AM cutoff/);
+});
+
+test("nothing is sent once a habit is verified today", async () => {
+  await register("alice");
+  await seedStreak("alice", { lastCompletionDate: "2026-10-19" });
+  await seedCompletion("alice");
+
+  await sendScheduledNotifications(at("08:50"));
+
+  assert.deepEqual(sentTypes(), []);
+});
+
+test("a live streak gets a streak-at-risk push near the deadline", async () => {
+  await register("alice");
+  await seedStreak("alice");
+
+  await sendScheduledNotifications(at("08:50"));
+
+  assert.deepEqual(sentTypes(), ["reminder", "streakAtRisk"]);
+  assert.equal(getSentMessages()[1].notification.title, "Your 3-day streak is at risk");
+});
+
+test("partners who finished nudge the other", async () => {
+  await getFirestore().doc("partnerLinks/alice").set({ partnerUid: "bob", pairId: "alice_bob", routineHabits: [] });
+  await getFirestore().doc("partnerLinks/bob").set({ partnerUid: "alice", pairId: "alice_bob", routineHabits: [], displayName: "Bob" });
+  await register("alice");
+  await settings("alice", { action: "update", enabled: { reminder: false } });
+  await seedStreak("bob", { lastCompletionDate: "2026-10-19" });
+  await seedCompletion("bob");
+
+  await sendScheduledNotifications(at("08:30"));
+
+  assert.deepEqual(sentTypes(), ["partnerNudge"]);
+  assert.equal(getSentMessages()[0].notification.title, "Bob finished their morning");
+});
+
+test("quiet hours and template overrides apply", async () => {
+  await register("alice");
+  await getFirestore().doc("config/notificationTemplates").set({
+    templates: { reminder: { body: "Cutoff at {{deadline}}" } }
+  });
+
+  await settings("alice", { action: "update", quietHours: { startMinutes: 22 * 60, endMinutes: 8 * 60 + 30 } });
+  await sendScheduledNotifications(at("08:15"));
+  assert.deepEqual(sentTypes(), []);
+  assert.equal(getFirestore().getData("notificationSettings/alice").nextCheckAt, at("08:30"));
+
+  await sendScheduledNotifications(at("08:30"));
+  assert.deepEqual(getSentMessages()[0].notification, { title: "Good Morning!", body: "Cutoff at 9:00 AM" });
+});
+
+test("stale device tokens are dropped", async () => {
+  await register("alice", "stale-token");
+  await settings("alice", { action: "registerToken", fcmToken: "token-alice" });
+
+  await sendScheduledNotifications(at("08:00"));
+
+  assert.deepEqual(getSentMessages()[0].tokens, ["stale-token", "token-alice"]);
+  assert.deepEqual(getFirestore().getData("notificationSettings/alice").fcmTokens, ["token-alice"]);
+});
+
+test("runs only read users with a push coming up", async () => {
+  await register("alice");
+  await register("bob");
+  await settings("bob", { action: "update", enabled: { reminder: false, streakAtRisk: false, partnerNudge: false } });
+  const nextCheckAt = (uid) => getFirestore().getData(`notificationSettings/${uid}`).nextCheckAt;
+
+  await sendScheduledNotifications(at("07:45"));
+  assert.equal(nextCheckAt("alice"), at("08:00"));
+  assert.equal(nextCheckAt("bob"), null);
+
+  // Alice has no streak or partner, so the reminder was today's only push
+  await sendScheduledNotifications(at("08:00"));
+  assert.deepEqual(sentTypes(), ["reminder"]);
+  assert.equal(nextCheckAt("alice"), Date.parse("2026-10-20T08:00:00Z"));
+
+  await sendScheduledNotifications(at("09:00"));
+  assert.equal(nextCheckAt("alice"), Date.parse("2026-10-20T08:00:00Z"));
+});
+
+test("a push is marked sent before it goes out, so a failed run doesn't repeat it", async (t) => {
+  await register("alice");
+  t.mock.method(console, "error", () => {});
+  const send = t.mock.method(admin.messaging(), "sendEachForMulticast", async () => {
+    throw new Error("FCM unavailable");
+  });
+
+  await sendScheduledNotifications(at("08:00"));
+  assert.equal(send.mock.callCount(), 1);
+  assert.deepEqual(getFirestore().getData("notificationSettings/alice").lastSent, { reminder: "2026-10-19" });
+
+  await sendScheduledNotifications(at("08:15"));
+  assert.equal(send.mock.callCount(), 1);
+});
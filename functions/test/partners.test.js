@@ -0,0 +1,156 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  authHeaders,
+  getFirestore,
+  invoke,
+  queueClaudeResponses,
+  resetClaude,
+  resetFirestore,
+} = require("./helpers/harness");
+const { horizontalGradient, makeJpeg } = require("./helpers/images");
+const { decodeJpeg } = require("../src/imageHash");
+const { createThumbnail } = require("../src/thumbnails");
+const functions = require("../index");
+
+const PHOTO = makeJpeg(horizontalGradient, { width: 640, height: 480 });
+
+beforeEach(() => {
+  resetClaude();
+  resetFirestore();
+});
+
+const pairing = (uid, body) => invoke(functions.partnerPairing, { body, headers: authHeaders(uid) });
+
+const pair = async () => {
+  const invite = await pairing("alice", { action: "invite" });
+  return pairing("bob", { action: "accept", code: invite.body.code.toLowerCase() });
+};
+
+const verifyBed = (uid) => invoke(functions.verifyBed, {
+  body: { imageBase64: PHOTO, timezone: "UTC" },
+  headers: authHeaders(uid)
+});
+
+test("thumbnails fit the size limit", () => {
+  const thumbnail = decodeJpeg(createThumbnail(PHOTO));
+
+  assert.equal(thumbnail.width, 160);
+  assert.equal(thumbnail.height, 120);
+});
+
+test("invite codes pair two users once", async () => {
+  const res = await pair();
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.partnerUid, "alice");
+  assert.equal(getFirestore().getData("partnerLinks/alice").partnerUid, "bob");
+
+  const again = await pairing("carol", { action: "invite" });
+  const taken = await pairing("alice", { action: "accept", code: again.body.code });
+  assert.equal(taken.statusCode, 409);
+  assert.equal(taken.body.code, "already_partnered");
+});
+
+test("bad invite codes are rejected", async () => {
+  const invite = await pairing("alice", { action: "invite" });
+
+  assert.equal((await pairing("alice", { action: "accept", code: invite.body.code })).body.code, "own_invite");
+  assert.equal((await pairing("bob", { action: "accept", code: "ZZZZZZ" })).statusCode, 404);
+
+  await getFirestore().doc(`partnerInvites/${invite.body.code}`).update({ expiresAt: Date.now() - 1 });
+  assert.equal((await pairing("bob", { action: "accept", code: invite.body.code })).statusCode, 410);
+});
+
+test("passed verifications reach the partner feed, with thumbnails only when shared", async () => {
+  await pair();
+  await pairing("alice", { action: "settings", shareThumbnails: true });
+  queueClaudeResponses("bed_pass", "bed_pass");
+
+  await verifyBed("alice");
+  await verifyBed("bob");
+
+  const feed = await invoke(functions.partnerFeed, { body: {}, headers: authHeaders("bob") });
+  const aliceEntry = feed.body.entries.find((entry) => entry.uid === "alice");
+  const bobEntry = feed.body.entries.find((entry) => entry.uid === "bob");
+  assert.equal(feed.body.entries.length, 2);
+  assert.equal(aliceEntry.fromPartner, true);
+  assert.equal(aliceEntry.detected_subject, "bed");
+  assert.ok(aliceEntry.thumbnail);
+  assert.equal(bobEntry.fromPartner, false);
+  assert.equal(bobEntry.thumbnail, undefined);
+});
+
+test("partner status follows the shared routine", async () => {
+  await pair();
+  await pairing("alice", { action: "settings", routineHabits: ["bed", "sunlight"], displayName: "Alice" });
+  queueClaudeResponses("bed_pass");
+
+  const before = await invoke(functions.partnerStatus, { body: {}, headers: authHeaders("bob") });
+  await verifyBed("alice");
+  const after = await invoke(functions.partnerStatus, { body: {}, headers: authHeaders("bob") });
+
+  assert.equal(before.body.finished, false);
+  assert.deepEqual(after.body.completedHabits, ["bed"]);
+  assert.equal(after.body.finished, false);
+  assert.equal(after.body.displayName, "Alice");
+
+  await pairing("alice", { action: "settings", routineHabits: ["bed"] });
+  const done = await invoke(functions.partnerStatus, { body: {}, headers: authHeaders("bob") });
+  assert.equal(done.body.finished, true);
+});
+
+test("leaving ends the partnership for both", async () => {
+  const { pairId } = (await pair()).body;
+
+  await pairing("bob", { action: "leave" });
+
+  const status = await invoke(functions.partnerStatus, { body: {}, headers: authHeaders("alice") });
+  assert.equal(status.statusCode, 404);
+  assert.equal(status.body.code, "no_partner");
+  assert.ok(getFirestore().getData(`partnerships/${pairId}`).endedAt);
+});
+
+test("pairing again starts a new feed", async () => {
+  queueClaudeResponses("bed_pass");
+  const first = (await pair()).body;
+  await verifyBed("alice");
+  await pairing("bob", { action: "leave" });
+
+  const second = (await pair()).body;
+  const feed = await invoke(functions.partnerFeed, { body: {}, headers: authHeaders("bob") });
+
+  assert.notEqual(second.pairId, first.pairId);
+  assert.deepEqual(feed.body.entries, []);
+  assert.ok(getFirestore().getData(`partnerships/${first.pairId}`).endedAt);
+  assert.equal(getFirestore().getData(`partnerships/${second.pairId}`).endedAt, null);
+});
+
+test("guessing invite codes is rate limited per account and per IP", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const invite = await pairing("alice", { action: "invite" });
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    assert.equal((await pairing("mallory", { action: "accept", code: `WRONG${attempt}` })).statusCode, 404);
+  }
+  const blocked = await pairing("mallory", { action: "accept", code: invite.body.code });
+  assert.equal(blocked.statusCode, 429);
+  assert.equal(getFirestore().getData("partnerLinks/alice"), undefined);
+
+  // A fresh account from the same address is still blocked
+  assert.equal((await pairing("mallory-2", { action: "accept", code: invite.body.code })).statusCode, 429);
+});
+
+test("leaving only removes the partner's link for the same partnership", async () => {
+  const { pairId } = (await pair()).body;
+  // Bob's link has moved on to a newer partnership in the meantime
+  await getFirestore().doc("partnerLinks/bob").set({ partnerUid: "carol", pairId: "newer-pair", routineHabits: [] });
+
+  await pairing("alice", { action: "leave" });
+
+  assert.equal(getFirestore().getData("partnerLinks/alice"), undefined);
+  assert.equal(getFirestore().getData("partnerLinks/bob").pairId, "newer-pair");
+  assert.ok(getFirestore().getData(`partnerships/${pairId}`).endedAt);
+  assert.equal((await pairing("alice", { action: "leave" })).body.code, "no_partner");
+});
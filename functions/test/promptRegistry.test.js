@@ -0,0 +1,80 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { getFirestore, resetFirestore } = require("./helpers/harness");
+const {
+  COMPARISON_PROMPT_KEY,
+  PROMPT_VERSIONS,
+  assignPromptVersion,
+  getComparisonRubric,
+  getPromptVersionById,
+  isValidRollout,
+  renderPrompt,
+  resetRolloutCache,
+} = require("../src/promptRegistry");
+const { HABITS } = require("../src/habits");
+
+// Extra bed variant so rollouts have something to split between
+const BED_V2 = { id: "bed-v2", habitType: "bed", version: 2, template: "Is the bed made?", maxTokens: 256 };
+
+beforeEach(() => {
+  resetFirestore();
+  resetRolloutCache();
+  if (!PROMPT_VERSIONS.includes(BED_V2)) PROMPT_VERSIONS.push(BED_V2);
+});
+
+const setRollout = (rollouts) => getFirestore().doc("config/promptRollout").set({ rollouts });
+
+test("without a rollout every caller gets the latest version", async () => {
+  assert.equal((await assignPromptVersion("bed", "uid_a")).id, "bed-v2");
+  assert.equal((await assignPromptVersion("sunlight", "uid_a")).id, "sunlight-v1");
+});
+
+test("rollout assignment is deterministic and roughly follows percentages", async () => {
+  await setRollout({ bed: [{ promptId: "bed-v2", percent: 20 }, { promptId: "bed-v1", percent: 80 }] });
+
+  const counts = { "bed-v1": 0, "bed-v2": 0 };
+  for (let i = 0; i < 1000; i++) {
+    const first = await assignPromptVersion("bed", `uid_${i}`);
+    const again = await assignPromptVersion("bed", `uid_${i}`);
+    assert.equal(first.id, again.id);
+    counts[first.id]++;
+  }
+
+  assert.ok(counts["bed-v2"] > 150 && counts["bed-v2"] < 250, `bed-v2 got ${counts["bed-v2"]}`);
+});
+
+test("invalid rollouts fall back to the default", async () => {
+  await setRollout({ bed: [{ promptId: "sunlight-v1", percent: 100 }] });
+
+  assert.equal((await assignPromptVersion("bed", "uid_a")).id, "bed-v2");
+});
+
+test("isValidRollout requires known variants summing to 100", () => {
+  assert.equal(isValidRollout("bed", [{ promptId: "bed-v1", percent: 50 }, { promptId: "bed-v2", percent: 50 }]), true);
+  assert.equal(isValidRollout("bed", [{ promptId: "bed-v1", percent: 90 }]), false);
+  assert.equal(isValidRollout("bed", [{ promptId: "bed-v9", percent: 100 }]), false);
+  assert.equal(isValidRollout("bed", []), false);
+});
+
+test("comparison versions pin a rubric for every photo-set habit", () => {
+  const comparisons = PROMPT_VERSIONS.filter((entry) => entry.habitType === COMPARISON_PROMPT_KEY);
+  const photoSetHabits = Object.keys(HABITS).filter((habitType) => HABITS[habitType].mediaKinds.includes("images"));
+
+  comparisons.forEach((comparison) => photoSetHabits.forEach((habitType) => {
+    assert.equal(getComparisonRubric(comparison, habitType).habitType, habitType);
+  }));
+  // A newer bed prompt doesn't change what comparison-v1 embeds
+  assert.equal(getComparisonRubric(getPromptVersionById("comparison-v1"), "bed").id, "bed-v1");
+  assert.throws(() => getComparisonRubric(getPromptVersionById("comparison-v1"), "customVideo"));
+});
+
+test("renderPrompt fills custom habit placeholders without expanding user text", () => {
+  const customV1 = PROMPT_VERSIONS.find((entry) => entry.id === "custom-v1");
+
+  const prompt = renderPrompt(customV1, HABITS.custom, { habitName: "Read {{criteria}}", allowsScreenshots: true });
+
+  assert.match(prompt, /custom habit "Read \{\{criteria\}\}"/);
+  assert.match(prompt, /Screenshots ARE ACCEPTED/);
+  assert.doesNotMatch(prompt, /\{\{habitName\}\}/);
+});
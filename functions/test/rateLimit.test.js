@@ -0,0 +1,49 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { RATE_LIMITS, evaluateLimit, getSubjectKey } = require("../src/rateLimit");
+
+const NOW = Date.UTC(2026, 0, 15, 7, 30);
+
+test("allows requests under the burst limit", () => {
+  const first = evaluateLimit(null, RATE_LIMITS.default, "free", NOW);
+  const second = evaluateLimit(first.next, RATE_LIMITS.default, "free", NOW + 1000);
+
+  assert.equal(first.allowed, true);
+  assert.equal(second.allowed, true);
+  assert.equal(second.next.burstCount, 2);
+});
+
+test("blocks once the burst window is full and resets after it", () => {
+  const state = { burstStart: NOW, burstCount: RATE_LIMITS.default.burst.limit, day: "2026-01-15", dailyCount: 5 };
+
+  const blocked = evaluateLimit(state, RATE_LIMITS.default, "free", NOW + 10000);
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.code, "rate_limited");
+  assert.equal(blocked.retryAfter, 50);
+
+  const reset = evaluateLimit(state, RATE_LIMITS.default, "free", NOW + 60000);
+  assert.equal(reset.allowed, true);
+});
+
+test("daily quota depends on tier and resets at UTC midnight", () => {
+  const state = { burstStart: 0, burstCount: 0, day: "2026-01-15", dailyCount: RATE_LIMITS.default.daily.free };
+
+  const free = evaluateLimit(state, RATE_LIMITS.default, "free", NOW);
+  assert.equal(free.allowed, false);
+  assert.equal(free.code, "daily_quota_exceeded");
+  assert.equal(free.retryAfter, 16.5 * 3600);
+
+  assert.equal(evaluateLimit(state, RATE_LIMITS.default, "premium", NOW).allowed, true);
+  assert.equal(evaluateLimit(state, RATE_LIMITS.default, "free", Date.UTC(2026, 0, 16, 0, 1)).allowed, true);
+});
+
+test("spoofed X-Forwarded-For entries don't change the IP bucket", () => {
+  const request = (forwarded) => ({ ip: "10.0.0.1", headers: { "x-forwarded-for": forwarded } });
+  const key = getSubjectKey(request("203.0.113.7"), null);
+
+  assert.equal(getSubjectKey(request("198.51.100.1, 203.0.113.7"), null), key);
+  assert.equal(getSubjectKey(request("192.0.2.99,198.51.100.1, 203.0.113.7"), null), key);
+  assert.notEqual(getSubjectKey(request("203.0.113.7, 198.51.100.1"), null), key);
+  assert.equal(getSubjectKey(request("198.51.100.1"), { uid: "user-1" }), "uid_user-1");
+});
@@ -0,0 +1,87 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  TEST_IMAGE,
+  authHeaders,
+  invoke,
+  queueClaudeResponses,
+  resetClaude,
+  resetFirestore,
+} = require("./helpers/harness");
+const { RECEIPT_MAX_AGE_MS, hashMedia, issueReceipt, verifyReceipt } = require("../src/receipts");
+const functions = require("../index");
+
+const MEDIA = { kind: "image", data: TEST_IMAGE };
+
+beforeEach(() => {
+  resetClaude();
+  resetFirestore();
+});
+
+const checkReceipt = (receipt, headers = authHeaders("user-2")) => invoke(functions.verifyReceipt, {
+  body: { receipt },
+  headers
+});
+
+test("issued receipts verify and carry the signed fields", () => {
+  const token = issueReceipt({ uid: "user-1", habitType: "bed", promptVersion: "bed-v1", media: MEDIA }, 1760000000000);
+
+  assert.deepEqual(verifyReceipt(token, 1760000060000), {
+    valid: true,
+    receipt: {
+      v: 1,
+      uid: "user-1",
+      habitType: "bed",
+      issuedAt: 1760000000000,
+      promptVersion: "bed-v1",
+      imageHash: hashMedia(MEDIA)
+    }
+  });
+});
+
+test("tampered and malformed receipts are rejected", () => {
+  const token = issueReceipt({ uid: "user-1", habitType: "bed", promptVersion: "bed-v1", media: MEDIA });
+  const [payloadPart, signature] = token.split(".");
+  const forgedPayload = Buffer.from(
+    Buffer.from(payloadPart, "base64url").toString().replace("user-1", "user-9")
+  ).toString("base64url");
+
+  assert.deepEqual(verifyReceipt(`${forgedPayload}.${signature}`), { valid: false, reason: "invalid_signature" });
+  assert.deepEqual(verifyReceipt("not-a-receipt"), { valid: false, reason: "malformed" });
+});
+
+test("receipts expire a day after they're issued", () => {
+  const issuedAt = 1760000000000;
+  const token = issueReceipt({ uid: "user-1", habitType: "bed", promptVersion: "bed-v1", media: MEDIA }, issuedAt);
+
+  assert.equal(verifyReceipt(token, issuedAt + RECEIPT_MAX_AGE_MS).valid, true);
+  assert.deepEqual(verifyReceipt(token, issuedAt + RECEIPT_MAX_AGE_MS + 1), { valid: false, reason: "expired" });
+});
+
+test("passed verifications return a receipt the endpoint accepts", async () => {
+  queueClaudeResponses("bed_pass");
+
+  const verified = await invoke(functions.verifyBed, { body: { imageBase64: TEST_IMAGE }, headers: authHeaders("user-1") });
+  const res = await checkReceipt(verified.body.receipt);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.valid, true);
+  assert.equal(res.body.receipt.uid, "user-1");
+  assert.equal(res.body.receipt.habitType, "bed");
+  assert.equal(res.body.receipt.promptVersion, "bed-v1");
+  assert.equal(res.body.receipt.imageHash, hashMedia(MEDIA));
+});
+
+test("failed verifications get no receipt", async () => {
+  queueClaudeResponses("bed_fail");
+
+  const res = await invoke(functions.verifyBed, { body: { imageBase64: TEST_IMAGE }, headers: authHeaders() });
+
+  assert.equal(res.body.receipt, undefined);
+});
+
+test("verifyReceipt requires a receipt and credentials", async () => {
+  assert.equal((await checkReceipt(undefined)).statusCode, 400);
+  assert.equal((await checkReceipt("a.b", {})).statusCode, 401);
+});
@@ -0,0 +1,39 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { validateAgainstSchema } = require("../src/schema");
+const { HABITS } = require("../src/habits");
+
+const bedSchema = HABITS.bed.resultSchema;
+
+test("coerces string booleans and trims strings", () => {
+  const result = validateAgainstSchema(
+    { is_made: "True", detected_subject: " bed ", feedback: "Looks good" },
+    bedSchema
+  );
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.value, { is_made: true, detected_subject: "bed", feedback: "Looks good" });
+});
+
+test("reports missing required fields", () => {
+  const result = validateAgainstSchema({ is_made: true }, bedSchema);
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors, ["detected_subject is required", "feedback is required"]);
+});
+
+test("drops unknown fields and invalid optional fields", () => {
+  const result = validateAgainstSchema(
+    { is_made: false, detected_subject: "couch", feedback: "Not a bed", score: 12, confidence: "certain" },
+    bedSchema
+  );
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.value, { is_made: false, detected_subject: "couch", feedback: "Not a bed" });
+});
+
+test("rejects non-object responses", () => {
+  assert.equal(validateAgainstSchema("true", bedSchema).valid, false);
+  assert.equal(validateAgainstSchema([], bedSchema).valid, false);
+});
@@ -0,0 +1,160 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  authHeaders,
+  getFirestore,
+  invoke,
+  resetFirestore,
+} = require("./helpers/harness");
+const { awardMilestoneTokens, checkRecoveryDate, grantTierTokens } = require("../src/freezeTokens");
+const { getRecoveryStatus, getToday, recordCompletion, recoverMissedDay } = require("../src/streaks");
+const { addDays } = require("../src/timezone");
+const functions = require("../index");
+
+beforeEach(() => {
+  resetFirestore();
+});
+
+const today = () => getToday("UTC");
+
+const seedStreak = (data) => getFirestore().doc("streaks/user-1").set({
+  currentStreak: 5,
+  longestStreak: 5,
+  totalCompletions: 5,
+  timezone: "UTC",
+  ...data
+});
+
+const recover = (body, kind = "valid") => invoke(functions.streakRecovery, {
+  body: { action: "recover", ...body },
+  headers: authHeaders("user-1", kind)
+});
+
+const auditEntries = async () => (await getFirestore().collection("streaks/user-1/recoveryAudit").get())
+  .docs.map((doc) => doc.data());
+
+test("milestones earn a token once each", () => {
+  const first = awardMilestoneTokens({}, 7);
+  const again = awardMilestoneTokens(first, 8);
+
+  assert.deepEqual(first, { freezeTokens: 1, milestonesAwarded: [7], earned: [7] });
+  assert.deepEqual(again.earned, []);
+  assert.equal(awardMilestoneTokens({}, 31).freezeTokens, 2);
+});
+
+test("premium grants one token per month", () => {
+  assert.equal(grantTierTokens({}, false, "2026-03"), null);
+  assert.deepEqual(grantTierTokens({}, true, "2026-03"), { freezeTokens: 1, tierGrantMonth: "2026-03" });
+  assert.equal(grantTierTokens({ tierGrantMonth: "2026-03" }, true, "2026-03"), null);
+});
+
+test("only the day after the last covered day can be recovered", () => {
+  const state = { lastCompletionDate: "2026-03-01", freezeTokens: 1 };
+
+  assert.equal(checkRecoveryDate(state, "2026-03-02", "2026-03-04"), null);
+  assert.equal(checkRecoveryDate(state, "2026-03-03", "2026-03-04"), "not_consecutive");
+  assert.equal(checkRecoveryDate(state, "2026-03-01", "2026-03-04"), "not_missed");
+  assert.equal(checkRecoveryDate(state, "2026-03-02", "2026-03-02"), "not_past");
+  assert.equal(checkRecoveryDate(state, "2026-03-02", "2026-03-20"), "too_old");
+  assert.equal(checkRecoveryDate({ ...state, freezeTokens: 0 }, "2026-03-02", "2026-03-04"), "no_tokens");
+  assert.equal(checkRecoveryDate({}, "2026-03-02", "2026-03-04"), "no_streak");
+});
+
+test("the single day that broke the previous streak can be bridged", () => {
+  const state = {
+    currentStreak: 1,
+    lastCompletionDate: "2026-03-09",
+    brokenStreak: { currentStreak: 7, lastCompletionDate: "2026-03-07", resumedOn: "2026-03-09" },
+    freezeTokens: 1
+  };
+
+  assert.equal(checkRecoveryDate(state, "2026-03-08", "2026-03-10"), null);
+  assert.equal(checkRecoveryDate(state, "2026-03-07", "2026-03-10"), "not_missed");
+  assert.equal(checkRecoveryDate(state, "2026-03-08", "2026-03-20"), "too_old");
+  assert.equal(checkRecoveryDate({ ...state, brokenStreak: { ...state.brokenStreak, resumedOn: "2026-03-10" } },
+    "2026-03-08", "2026-03-11"), "not_missed");
+});
+
+test("reaching a milestone through completions grants a token", async () => {
+  await seedStreak({ currentStreak: 6, longestStreak: 6, lastCompletionDate: "2026-03-06" });
+
+  const streak = await recordCompletion({ uid: "user-1", habitType: "bed" }, Date.parse("2026-03-07T09:00:00Z"));
+
+  assert.equal(streak.currentStreak, 7);
+  assert.equal(streak.freezeTokens, 1);
+  assert.equal((await auditEntries())[0].source, "milestone:7");
+});
+
+test("recovering a missed day spends a token and keeps the streak alive", async () => {
+  await seedStreak({ lastCompletionDate: addDays(today(), -2), freezeTokens: 1 });
+
+  const status = await invoke(functions.streakRecovery, { body: {}, headers: authHeaders("user-1") });
+  assert.equal(status.body.streak.currentStreak, 0);
+  assert.equal(status.body.recoverableDate, addDays(today(), -1));
+
+  const res = await recover({ date: addDays(today(), -1) });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.streak.currentStreak, 5);
+  assert.equal(res.body.streak.freezeTokens, 0);
+  assert.equal(getFirestore().getData(`streaks/user-1/days/${addDays(today(), -1)}`).frozen, true);
+
+  const audit = await auditEntries();
+  assert.deepEqual(audit.map(({ action, tokensBefore, tokensAfter }) => ({ action, tokensBefore, tokensAfter })), [
+    { action: "token_consumed", tokensBefore: 1, tokensAfter: 0 }
+  ]);
+});
+
+test("recoveries without tokens are refused and audited", async () => {
+  await seedStreak({ lastCompletionDate: addDays(today(), -2), freezeTokens: 0 });
+
+  const res = await recover({ date: addDays(today(), -1) });
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.code, "no_tokens");
+  assert.equal((await auditEntries())[0].action, "recovery_refused");
+  assert.equal(getFirestore().getData("streaks/user-1").lastCompletionDate, addDays(today(), -2));
+});
+
+test("premium callers get their monthly token when recovering", async () => {
+  await seedStreak({ lastCompletionDate: addDays(today(), -2) });
+
+  const res = await recover({ date: addDays(today(), -1) }, "premium");
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual((await auditEntries()).map((entry) => entry.action).sort(), ["token_consumed", "token_granted"]);
+  assert.equal((await recover({ date: today() }, "premium")).body.code, "not_past");
+});
+
+test("streakRecovery validates its input", async () => {
+  assert.equal((await recover({ date: "yesterday" })).statusCode, 400);
+  assert.equal((await invoke(functions.streakRecovery, {
+    body: { action: "steal" },
+    headers: authHeaders("user-1")
+  })).statusCode, 400);
+});
+
+test("a token spent after verifying again rejoins the broken streak", async () => {
+  const at = (date) => Date.parse(`${date}T09:00:00Z`);
+  for (let day = 1; day <= 7; day++) {
+    await recordCompletion({ uid: "user-1", habitType: "bed", timezone: "UTC" }, at(`2026-03-0${day}`));
+  }
+  const broken = await recordCompletion({ uid: "user-1", habitType: "bed" }, at("2026-03-09"));
+  assert.equal(broken.currentStreak, 1);
+
+  const status = await getRecoveryStatus({ uid: "user-1", isPremium: false }, at("2026-03-09"));
+  assert.equal(status.recoverableDate, "2026-03-08");
+
+  const result = await recoverMissedDay({ uid: "user-1", isPremium: false, date: "2026-03-08" }, at("2026-03-09"));
+
+  assert.equal(result.recovered, true);
+  assert.equal(result.streak.currentStreak, 8);
+  assert.equal(result.streak.longestStreak, 8);
+  assert.equal(result.streak.lastCompletionDate, "2026-03-09");
+  assert.equal(result.streak.freezeTokens, 0);
+  assert.equal(getFirestore().getData("streaks/user-1/days/2026-03-08").frozen, true);
+
+  const next = await recordCompletion({ uid: "user-1", habitType: "bed" }, at("2026-03-10"));
+  assert.equal(next.currentStreak, 9);
+});
@@ -0,0 +1,135 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  TEST_IMAGE,
+  authHeaders,
+  getFirestore,
+  invoke,
+  queueClaudeResponses,
+  resetClaude,
+  resetFirestore,
+} = require("./helpers/harness");
+const { applyCompletion, recordCompletion, summarizeStreak } = require("../src/streaks");
+const functions = require("../index");
+
+beforeEach(() => {
+  resetClaude();
+  resetFirestore();
+});
+
+const complete = (dates) => dates.reduce((state, date) => applyCompletion(state, date), {});
+
+test("consecutive days extend the streak and gaps restart it", () => {
+  const state = complete(["2026-03-01", "2026-03-02", "2026-03-03", "2026-03-05"]);
+
+  assert.deepEqual(state, {
+    currentStreak: 1,
+    longestStreak: 3,
+    totalCompletions: 4,
+    lastCompletionDate: "2026-03-05",
+    brokenStreak: { currentStreak: 3, lastCompletionDate: "2026-03-03", resumedOn: "2026-03-05" }
+  });
+});
+
+test("earlier dates count toward the total without touching the streak", () => {
+  const state = complete(["2026-03-01", "2026-03-02", "2026-02-27"]);
+
+  assert.equal(state.currentStreak, 2);
+  assert.equal(state.totalCompletions, 3);
+  assert.equal(state.lastCompletionDate, "2026-03-02");
+});
+
+test("a streak lapses once a full day is missed", () => {
+  const state = complete(["2026-03-01", "2026-03-02"]);
+
+  assert.equal(summarizeStreak(state, "2026-03-03").currentStreak, 2);
+  assert.equal(summarizeStreak(state, "2026-03-03").completedToday, false);
+  assert.equal(summarizeStreak(state, "2026-03-04").currentStreak, 0);
+  assert.equal(summarizeStreak(state, "2026-03-04").longestStreak, 2);
+});
+
+test("day boundaries follow the caller's timezone", async () => {
+  // 23:30 in New York on Mar 1 is already Mar 2 in UTC
+  const streak = await recordCompletion(
+    { uid: "user-1", habitType: "bed", timezone: "America/New_York" },
+    Date.parse("2026-03-02T04:30:00Z")
+  );
+  const next = await recordCompletion(
+    { uid: "user-1", habitType: "bed" },
+    Date.parse("2026-03-02T12:00:00Z")
+  );
+
+  assert.equal(streak.today, "2026-03-01");
+  assert.equal(next.today, "2026-03-02");
+  assert.equal(next.currentStreak, 2);
+  assert.equal(getFirestore().getData("streaks/user-1").timezone, "America/New_York");
+});
+
+test("the stored timezone wins over the client's until it's changed explicitly", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  await recordCompletion({ uid: "user-1", habitType: "bed", timezone: "America/New_York" }, Date.parse("2026-03-02T04:30:00Z"));
+
+  // Already Mar 2 in Tokyo, still Mar 1 in New York
+  const repeat = await recordCompletion(
+    { uid: "user-1", habitType: "sunlight", timezone: "Asia/Tokyo" },
+    Date.parse("2026-03-02T04:45:00Z")
+  );
+  assert.equal(repeat.today, "2026-03-01");
+  assert.equal(repeat.currentStreak, 1);
+  assert.equal(getFirestore().getData("streaks/user-1").timezone, "America/New_York");
+
+  const changed = await invoke(functions.setStreakTimezone, { body: { timezone: "Asia/Tokyo" }, headers: authHeaders("user-1") });
+  assert.equal(changed.statusCode, 200);
+  assert.equal(getFirestore().getData("streaks/user-1").timezone, "Asia/Tokyo");
+
+  const again = await invoke(functions.setStreakTimezone, { body: { timezone: "America/New_York" }, headers: authHeaders("user-1") });
+  assert.equal(again.statusCode, 429);
+  assert.equal(getFirestore().getData("streaks/user-1").timezone, "Asia/Tokyo");
+});
+
+test("several habits on one day count once", async () => {
+  const now = Date.parse("2026-03-02T12:00:00Z");
+  await recordCompletion({ uid: "user-1", habitType: "bed", timezone: "UTC" }, now);
+  await recordCompletion({ uid: "user-1", habitType: "sunlight", timezone: "UTC" }, now);
+  const streak = await recordCompletion({ uid: "user-1", habitType: "bed", timezone: "UTC" }, now);
+
+  assert.equal(streak.totalCompletions, 1);
+  assert.equal(streak.completedToday, true);
+  assert.deepEqual(Object.keys(getFirestore().getData("streaks/user-1/days/2026-03-02").completions), ["bed", "sunlight"]);
+});
+
+test("verify responses carry the streak and passes are logged", async () => {
+  queueClaudeResponses("bed_pass", "bed_fail");
+
+  const passed = await invoke(functions.verifyBed, { body: { imageBase64: TEST_IMAGE, timezone: "UTC" }, headers: authHeaders() });
+  const failed = await invoke(functions.verifyBed, { body: { imageBase64: TEST_IMAGE }, headers: authHeaders() });
+
+  assert.equal(passed.body.streak.currentStreak, 1);
+  assert.equal(failed.body.streak.currentStreak, 1);
+  assert.equal(failed.body.streak.completedToday, true);
+
+  const logs = await invoke(functions.getDailyLogs, { body: { timezone: "UTC" }, headers: authHeaders() });
+  assert.equal(logs.body.days.length, 1);
+  assert.equal(logs.body.days[0].habits[0].habitType, "bed");
+
+  const streak = await invoke(functions.getStreak, { body: {}, headers: authHeaders() });
+  assert.equal(streak.body.streak.totalCompletions, 1);
+});
+
+test("streak endpoints validate input and need a signed-in user", async () => {
+  const anonymous = await invoke(functions.getStreak, { body: {}, headers: { "X-Firebase-AppCheck": "app-check-ok" } });
+  assert.equal(anonymous.statusCode, 401);
+
+  const badRange = await invoke(functions.getDailyLogs, {
+    body: { from: "2026-01-01", to: "2026-06-01" },
+    headers: authHeaders()
+  });
+  assert.equal(badRange.statusCode, 400);
+
+  const badTimezone = await invoke(functions.getStreak, { body: { timezone: "Nowhere" }, headers: authHeaders() });
+  assert.equal(badTimezone.statusCode, 400);
+
+  const missingTimezone = await invoke(functions.setStreakTimezone, { body: {}, headers: authHeaders() });
+  assert.equal(missingTimezone.statusCode, 400);
+});
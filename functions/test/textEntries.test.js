@@ -0,0 +1,104 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  authHeaders,
+  getFirestore,
+  invoke,
+  queueClaudeResponses,
+  resetClaude,
+  resetFirestore,
+} = require("./helpers/harness");
+const { checkEntryEffort } = require("../src/textEntries");
+const functions = require("../index");
+
+const ENTRY = "Grateful for my sister's call last night.\nShe said \"you've got this\" and I believed her.";
+
+beforeEach(() => {
+  resetClaude();
+  resetFirestore();
+});
+
+const verifyEntry = (body, uid = "user-1") => invoke(functions.verifyTextEntry, {
+  body: { habitType: "gratitude", ...body },
+  headers: authHeaders(uid)
+});
+
+test("a genuine entry passes with a reflection when asked for one", async () => {
+  const requests = queueClaudeResponses("gratitude_pass");
+
+  const res = await verifyEntry({ text: ENTRY, reflection: true });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.passed, true);
+  assert.equal(res.body.is_verified, true);
+  assert.equal(res.body.on_topic, true);
+  assert.equal(res.body.prompt_version, "gratitude-v1");
+  assert.match(res.body.reflection, /grounded you/);
+  assert.equal(res.body.streak.currentStreak, 1);
+
+  const content = requests[0].messages[0].content;
+  assert.equal(content.filter((block) => block.type === "image").length, 0);
+  const prompt = content.at(-1).text;
+  // Sanitized like custom habit criteria: one line, quotes escaped
+  assert.match(prompt, /"Grateful for my sister's call last night\. She said \\"you've got this\\" and/);
+  assert.match(prompt, /set reflection to one or two warm sentences/);
+});
+
+test("off-topic entries fail and never carry a reflection", async () => {
+  queueClaudeResponses("gratitude_off_topic");
+
+  const res = await verifyEntry({ text: "Finish the report, gym at 6, call the dentist." });
+
+  assert.equal(res.body.passed, false);
+  assert.equal(res.body.on_topic, false);
+  assert.equal(res.body.reflection, undefined);
+});
+
+test("a resubmitted entry is rejected without calling the model", async () => {
+  const requests = queueClaudeResponses("gratitude_pass");
+
+  await verifyEntry({ text: ENTRY });
+  const res = await verifyEntry({ text: ENTRY.toUpperCase().replace(".", "!!") });
+
+  assert.equal(requests.length, 1);
+  assert.equal(res.body.passed, false);
+  assert.equal(res.body.reason, "duplicate_proof");
+  assert.equal(res.body.details.source, "previous_entry");
+  assert.match(res.body.feedback, /written this one before/);
+
+  const stored = getFirestore().getData("proofHashes/user-1");
+  assert.equal(stored.textEntries.length, 1);
+  assert.equal(stored.entries, undefined);
+});
+
+test("filler entries fail as low effort", async () => {
+  const requests = queueClaudeResponses("gratitude_pass");
+
+  const cases = {
+    too_few_words: "Grateful!!!",
+    repeated_words: "good good good good good good good good",
+    repeated_characters: "I am grateful for aaaaaaaaaaaa"
+  };
+  for (const [check, text] of Object.entries(cases)) {
+    assert.equal(checkEntryEffort({ kind: "text", text }).details.check, check);
+  }
+
+  const res = await verifyEntry({ text: cases.repeated_words });
+  assert.equal(res.body.reason, "low_effort");
+  assert.equal(requests.length, 0);
+});
+
+test("entries must be 10-2000 characters for a journaling habit", async () => {
+  const cases = [
+    { text: "Thanks" },
+    { text: "x ".repeat(1001) },
+    { text: ENTRY, reflection: "yes" },
+    { text: ENTRY, habitType: "bed" }
+  ];
+
+  for (const body of cases) {
+    const res = await verifyEntry(body);
+    assert.equal(res.statusCode, 400, JSON.stringify(body).slice(0, 60));
+  }
+});
@@ -0,0 +1,34 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  sanitizeForPrompt,
+  validateHabitName,
+  validateAIPrompt,
+} = require("../src/validation");
+
+test("validateHabitName requires a non-empty string", () => {
+  assert.deepEqual(validateHabitName(undefined), { valid: false, error: "Habit name is required" });
+  assert.deepEqual(validateHabitName(42), { valid: false, error: "Habit name is required" });
+  assert.deepEqual(validateHabitName("  "), { valid: false, error: "Habit name cannot be empty" });
+  assert.deepEqual(validateHabitName("Stretch"), { valid: true });
+});
+
+test("validateHabitName enforces the length limit", () => {
+  assert.deepEqual(validateHabitName("x".repeat(100)), { valid: true });
+  assert.equal(validateHabitName("x".repeat(101)).valid, false);
+});
+
+test("validateAIPrompt allows missing prompts and enforces the length limit", () => {
+  assert.deepEqual(validateAIPrompt(undefined), { valid: true });
+  assert.deepEqual(validateAIPrompt("x".repeat(2000)), { valid: true });
+  assert.deepEqual(validateAIPrompt("x".repeat(2001)), {
+    valid: false,
+    error: "AI prompt must be 2000 characters or less"
+  });
+});
+
+test("sanitizeForPrompt escapes quotes and flattens newlines", () => {
+  assert.equal(sanitizeForPrompt("say \"hi\"\nthen\\leave\r"), "say \\\"hi\\\" then\\\\leave");
+  assert.equal(sanitizeForPrompt(null), "");
+});
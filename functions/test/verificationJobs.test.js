@@ -0,0 +1,152 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  TEST_IMAGE,
+  authHeaders,
+  getBucket,
+  getFirestore,
+  getSentMessages,
+  invoke,
+  queueClaudeResponses,
+  resetClaude,
+  resetFirestore,
+  resetMessaging,
+  resetStorage,
+} = require("./helpers/harness");
+const { movingSquareFrames } = require("./helpers/images");
+const { MAX_JOB_ATTEMPTS, processJob } = require("../src/verificationJobs");
+const functions = require("../index");
+
+beforeEach(() => {
+  resetClaude();
+  resetFirestore();
+  resetMessaging();
+  resetStorage();
+});
+
+const createJob = (uid, body) => invoke(functions.createVerificationJob, { body, headers: authHeaders(uid) });
+const getJob = (uid, jobId) => invoke(functions.getVerificationJob, { body: { jobId }, headers: authHeaders(uid) });
+
+const videoJob = (extra = {}) => ({
+  media: { kind: "video", frames: movingSquareFrames(2), duration: 8 },
+  options: { habitName: "Pushups" },
+  ...extra
+});
+
+// What the Firestore trigger runs for a new job
+const runJob = (jobId) => functions.processVerificationJob.run({ id: jobId }, { params: { jobId } });
+
+test("inline frames are stored and the job runs to a verdict", async () => {
+  const created = await createJob("alice", videoJob());
+
+  assert.equal(created.statusCode, 200);
+  const { jobId, status } = created.body.job;
+  assert.equal(status, "queued");
+  assert.equal(getBucket().listPaths(`verificationJobs/${jobId}/`).length, 2);
+
+  queueClaudeResponses("video_pass");
+  await runJob(jobId);
+
+  const polled = await getJob("alice", jobId);
+  assert.equal(polled.body.job.status, "completed");
+  assert.equal(polled.body.job.attempts, 1);
+  assert.equal(polled.body.job.result.passed, true);
+  assert.equal(polled.body.job.result.streak.currentStreak, 1);
+  assert.ok(polled.body.job.result.receipt);
+  assert.deepEqual(getBucket().listPaths(), []);
+});
+
+test("jobs are validated and only visible to their owner", async () => {
+  const image = await createJob("alice", { media: { kind: "image", data: TEST_IMAGE } });
+  assert.equal(image.statusCode, 400);
+  assert.equal(image.body.code, "unsupported_media");
+
+  const noName = await createJob("alice", videoJob({ options: {} }));
+  assert.equal(noName.statusCode, 400);
+
+  const foreign = await createJob("alice", videoJob({ media: { kind: "video", framePaths: ["verificationUploads/bob/1.jpg"] } }));
+  assert.equal(foreign.statusCode, 400);
+
+  const anonymous = await invoke(functions.createVerificationJob, { body: videoJob() });
+  assert.equal(anonymous.statusCode, 401);
+
+  const created = await createJob("alice", videoJob());
+  assert.equal((await getJob("bob", created.body.job.jobId)).statusCode, 404);
+});
+
+test("uploaded frames are read from storage, and missing uploads fail the job", async () => {
+  const paths = ["verificationUploads/alice/clip/1.jpg", "verificationUploads/alice/clip/2.jpg"];
+  await getBucket().file(paths[0]).save(Buffer.from(TEST_IMAGE, "base64"));
+  await getBucket().file(paths[1]).save(Buffer.from(TEST_IMAGE, "base64"));
+
+  const uploaded = await createJob("alice", videoJob({ media: { kind: "video", framePaths: paths, duration: 5 } }));
+  let frames;
+  await processJob(uploaded.body.job.jobId, async ({ media }) => {
+    frames = media.frames;
+    return { passed: true };
+  });
+  assert.deepEqual(frames, [TEST_IMAGE, TEST_IMAGE]);
+  assert.equal((await getJob("alice", uploaded.body.job.jobId)).body.job.status, "completed");
+  assert.deepEqual(getBucket().listPaths(), []);
+
+  const missing = await createJob("alice", videoJob({ media: { kind: "video", framePaths: paths } }));
+  await processJob(missing.body.job.jobId, async () => ({ passed: true }));
+  const { job } = (await getJob("alice", missing.body.job.jobId)).body;
+  assert.equal(job.status, "failed");
+  assert.equal(job.error.code, "upload_not_found");
+});
+
+test("retryable failures are retried up to the attempt limit", async () => {
+  const created = await createJob("alice", videoJob());
+  const { jobId } = created.body.job;
+  const unavailable = async () => {
+    throw new Error("Firestore unavailable");
+  };
+
+  await assert.rejects(processJob(jobId, unavailable));
+  assert.equal((await getJob("alice", jobId)).body.job.status, "retrying");
+
+  for (let attempt = 2; attempt < MAX_JOB_ATTEMPTS; attempt++) {
+    await assert.rejects(processJob(jobId, unavailable));
+  }
+  const finished = await processJob(jobId, unavailable);
+  assert.equal(finished.status, "failed");
+  assert.equal(finished.attempts, MAX_JOB_ATTEMPTS);
+  assert.deepEqual(finished.error, { code: "internal", message: "Verification failed, please try again" });
+
+  // Later deliveries of the trigger find nothing to do
+  assert.equal(await processJob(jobId, unavailable), null);
+});
+
+test("job timestamps are taken when each write happens", async () => {
+  const created = await createJob("alice", videoJob());
+  const { jobId } = created.body.job;
+  const startedAt = Date.now() - 5000;
+  const stored = () => getFirestore().getData(`verificationJobs/${jobId}`);
+
+  await assert.rejects(processJob(jobId, async () => {
+    throw new Error("Firestore unavailable");
+  }, startedAt));
+  assert.equal(stored().startedAt, startedAt);
+  assert.ok(stored().updatedAt > startedAt);
+
+  await processJob(jobId, async () => ({ passed: true }), startedAt + 1000);
+  assert.ok(stored().completedAt >= stored().startedAt);
+  assert.ok(stored().completedAt > startedAt + 1000);
+  assert.equal(stored().updatedAt, stored().completedAt);
+});
+
+test("a finished job sends a push when asked", async () => {
+  await invoke(functions.notificationSettings, {
+    body: { action: "registerToken", fcmToken: "token-alice" },
+    headers: authHeaders("alice")
+  });
+  const created = await createJob("alice", videoJob({ notify: true }));
+
+  await processJob(created.body.job.jobId, async () => ({ passed: true, feedback: "Nice pushups!" }));
+
+  const [message] = getSentMessages();
+  assert.deepEqual(message.notification, { title: "Video verified!", body: "Nice pushups!" });
+  assert.deepEqual(message.data, { jobId: created.body.job.jobId, status: "completed", type: "verificationJob" });
+});